@@ -0,0 +1,479 @@
+#!/usr/bin/env node
+/*
+MIT License
+
+Copyright (c) 2026 Viresh Ratnakar
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+
+The latest code and documentation for Exolve can be found at:
+https://github.com/viresh-ratnakar/exolve
+
+Version: Exolve v1.64.6, October 19, 2026
+*/
+
+/**
+ * Command-line tool (for Node.js) for working with crossword files, using
+ * the Exolve code headlessly. Usage:
+ *
+ *   node exolve-cli.js convert [options] <input> <output>
+ *   node exolve-cli.js convert [options] --to <format> --out-dir <dir> <input>...
+ *   node exolve-cli.js lint [options] <input>...
+ *   node exolve-cli.js encode [options] <input> <output>
+ *   node exolve-cli.js checksum [options] <input> <output>
+ *
+ * The lint command lists all the problems found in each input (see
+ * Exolve.lintSpec() in exolve-m.js), one per line as:
+ *   <input>:<line>: <severity>: <message> (<code>)
+ * or, with "--format json", as a JSON array of {file, problems} objects.
+ * It exits with status 1 if any errors or warnings are found. For inputs that
+ * are not in exolve/html format, line numbers refer to the converted specs.
+ *
+ * The encode command hides the solution letters and annos of the input in an
+ * exolve-encoded section (see Exolve.encodeSpec() in exolve-m.js). The
+ * checksum command removes the solution letters and annos of the input,
+ * adding an exolve-checksums section instead (see Exolve.checksumSpec()).
+ * The output of these commands has to be in exolve or html format.
+ *
+ * Formats: exolve, html, ipuz, jpz, puz, plain. These are inferred from file
+ * extensions (an input .txt file is treated as exolve if it has an
+ * exolve-begin line, and as plain text otherwise), and can be set explicitly
+ * using the --from and --to options. Use - as the input/output for
+ * stdin/stdout.
+ *
+ * Options:
+ *   --from <format>     Format of the input(s).
+ *   --to <format>       Format of the output(s).
+ *   --out-dir <dir>     Convert all the inputs, writing outputs to <dir>.
+ *   --width <w>         Grid width, needed when the input is plain text.
+ *   --height <h>        Grid height, needed when the input is plain text.
+ *   --script-base <url> Where the html output loads exolve-m.js/css from.
+ *   --key <key>         The 4-digit key for unscrambling the solution of a
+ *                       puz input, and for scrambling the solution of a puz
+ *                       output.
+ *   --format <text|json> Output format for lint.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXOLVE_CLI_SCRIPTS = [
+  'exolve-m.js',
+  'exolve-from-ipuz.js',
+  'exolve-from-jpz.js',
+  'exolve-from-puz.js',
+  'exolve-from-text.js',
+  'exolve-to-ipuz.js',
+  'exolve-to-jpz.js',
+  'exolve-to-plain.js',
+  'exolve-to-puz.js',
+];
+
+const EXOLVE_CLI_FORMATS = ['exolve', 'html', 'ipuz', 'jpz', 'puz', 'plain'];
+
+const EXOLVE_CLI_EXTENSIONS = {
+  '.exolve': 'exolve',
+  '.html': 'html',
+  '.htm': 'html',
+  '.ipuz': 'ipuz',
+  '.jpz': 'jpz',
+  '.puz': 'puz',
+  '.txt': 'plain',
+};
+
+/**
+ * The Exolve scripts are written for browsers, with top-level names that
+ * they share. Load them all into the global scope, just like <script> tags.
+ */
+function exolveCliLoadScripts() {
+  for (const script of EXOLVE_CLI_SCRIPTS) {
+    const file = path.join(__dirname, script);
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), {filename: file});
+  }
+  /**
+   * exolveFromTextInfer() sends progress updates through postMessage(), as it
+   * usually runs in a Worker.
+   */
+  globalThis.postMessage = (message) => {};
+}
+
+function exolveCliUsage(msg='') {
+  if (msg) {
+    console.error('exolve: ' + msg);
+  }
+  console.error(`Usage:
+  node exolve-cli.js convert [options] <input> <output>
+  node exolve-cli.js convert [options] --to <format> --out-dir <dir> <input>...
+  node exolve-cli.js lint [options] <input>...
+  node exolve-cli.js encode [options] <input> <output>
+  node exolve-cli.js checksum [options] <input> <output>
+Formats: ${EXOLVE_CLI_FORMATS.join(', ')}
+Options: --from <format>, --to <format>, --out-dir <dir>, --width <w>,
+  --height <h>, --script-base <url>, --format <text|json>, --key <key>`);
+  process.exit(2);
+}
+
+/**
+ * Parses command-line args into {command, files, opts}. All options take
+ * values.
+ */
+function exolveCliParseArgs(args, optNames) {
+  const parsed = {
+    command: args[0] || '',
+    files: [],
+    opts: {},
+  };
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const name = arg.substr(2);
+      if (!optNames.includes(name)) {
+        exolveCliUsage('Unknown option: ' + arg);
+      }
+      if (i + 1 >= args.length) {
+        exolveCliUsage('Missing value for option: ' + arg);
+      }
+      parsed.opts[name] = args[++i];
+    } else {
+      parsed.files.push(arg);
+    }
+  }
+  return parsed;
+}
+
+function exolveCliRead(file) {
+  return fs.readFileSync(file == '-' ? 0 : file);
+}
+
+function exolveCliWrite(file, data) {
+  if (file == '-') {
+    process.stdout.write(data);
+  } else {
+    fs.writeFileSync(file, data);
+  }
+}
+
+/**
+ * Returns the format of the file, from opt if set, else from the file
+ * extension. The contents (a Buffer) are used to tell exolve and plain text
+ * apart, when provided.
+ */
+function exolveCliFormat(file, opt, contents=null) {
+  if (opt) {
+    if (!EXOLVE_CLI_FORMATS.includes(opt)) {
+      throw 'Unknown format: ' + opt;
+    }
+    return opt;
+  }
+  const ext = path.extname(file).toLowerCase();
+  const format = EXOLVE_CLI_EXTENSIONS[ext];
+  if (!format) {
+    throw 'Cannot tell the format of "' + file + '", please use --from/--to';
+  }
+  if (format == 'plain' && contents &&
+      /^\s*exolve-begin/m.test(contents.toString('utf8'))) {
+    return 'exolve';
+  }
+  return format;
+}
+
+/**
+ * Returns the first exolve-begin ... exolve-end section from text. If
+ * keepLineNums is true, then the section is preceded by as many newlines as
+ * in the text before it, so that line numbers in the specs are the same as
+ * in the file.
+ */
+function exolveCliExtractSpecs(text, file, keepLineNums=false) {
+  const match = text.match(/exolve-begin[\s\S]*?exolve-end/);
+  if (!match) {
+    throw 'No exolve-begin ... exolve-end section found in ' + file;
+  }
+  const prefix = keepLineNums ?
+      '\n'.repeat(text.substr(0, match.index).split('\n').length - 1) : '';
+  return prefix + '  ' + match[0] + '\n';
+}
+
+/**
+ * Returns the Exolve specs for the contents (a Buffer) of file in the given
+ * format. See exolveCliExtractSpecs() for keepLineNums.
+ */
+function exolveCliToSpecs(contents, format, file, opts, keepLineNums=false) {
+  const fname = (file == '-') ? 'stdin' : path.basename(file);
+  const text = contents.toString('utf8');
+  if (format == 'exolve' || format == 'html') {
+    return exolveCliExtractSpecs(text, file, keepLineNums);
+  }
+  if (format == 'ipuz') {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start < 0 || end < 0 || start >= end) {
+      throw 'Not in ipuz format: ' + file;
+    }
+    const specs = exolveFromIpuz(JSON.parse(text.substring(start, end + 1)),
+                                 fname);
+    if (!specs) {
+      throw 'Could not convert from ipuz: ' + file;
+    }
+    return specs;
+  }
+  if (format == 'jpz') {
+    /** .jpz files are often zipped. */
+    let xml = text;
+    const entry = exolveFromJpzZipEntry(contents);
+    if (entry) {
+      xml = (entry.method == 8 ? require('zlib').inflateRawSync(entry.data) :
+             Buffer.from(entry.data)).toString('utf8');
+    }
+    const specs = exolveFromJpz(xml, fname);
+    if (!specs) {
+      throw 'Could not convert from jpz: ' + file;
+    }
+    return specs;
+  }
+  if (format == 'puz') {
+    const specs = exolveFromPuz(contents, fname, opts['key'] || '');
+    if (!specs) {
+      throw 'Not in puz format: ' + file;
+    }
+    return specs;
+  }
+  /* plain */
+  const w = parseInt(opts['width']);
+  const h = parseInt(opts['height']);
+  if (isNaN(w) || isNaN(h)) {
+    throw 'Converting from plain text needs --width and --height';
+  }
+  const ret = exolveFromTextCandidates(w, h, text, fname);
+  if (ret.error) {
+    throw ret.error;
+  }
+  const results = exolveFromTextInfer(ret.candidates);
+  if (results.length == 0) {
+    throw 'Could not infer a ' + w + 'x' + h + ' grid from ' + file;
+  }
+  if (results.length > 1) {
+    console.error('exolve: ' + results.length + ' grids match the clues in ' +
+                  file + ', using the first one');
+  }
+  return results[0].exolve + '\n';
+}
+
+function exolveCliHTML(specs, scriptBase) {
+  return '' +
+    '<!DOCTYPE html>\n' +
+    '<html lang="en">\n' +
+    '<head>\n' +
+    '<meta charset="utf-8"/>\n' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1"/>\n' +
+    '<link rel="stylesheet" type="text/css" ' +
+    `href="${scriptBase}exolve-m.css"/>\n` +
+    `<script src="${scriptBase}exolve-m.js"></script>\n` +
+    '</head>\n' +
+    '<body>\n' +
+    '<script>\n' +
+    'createExolve(`\n' +
+    specs.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${') +
+    '`);\n' +
+    '</script>\n' +
+    '</body>\n' +
+    '</html>\n';
+}
+
+/**
+ * Returns the contents (string or Uint8Array) of the given format for the
+ * specs.
+ */
+function exolveCliFromSpecs(specs, format, opts) {
+  if (format == 'exolve') {
+    return specs;
+  }
+  if (format == 'html') {
+    return exolveCliHTML(
+        specs, opts['script-base'] || 'https://viresh-ratnakar.github.io/');
+  }
+  const xlvp = new Exolve(specs, '', null, false, 0, 0, false, true);
+  if (format == 'ipuz') {
+    return exolveToIpuz(xlvp);
+  }
+  if (format == 'jpz') {
+    return exolveToJpz(xlvp);
+  }
+  if (format == 'puz') {
+    return exolveToPuz(xlvp, opts['key'] || '');
+  }
+  return exolveToPlain(xlvp);
+}
+
+function exolveCliConvertFile(input, output, opts) {
+  const contents = exolveCliRead(input);
+  const fromFormat = exolveCliFormat(input, opts['from'], contents);
+  const toFormat = exolveCliFormat(output, opts['to']);
+  const specs = exolveCliToSpecs(contents, fromFormat, input, opts);
+  exolveCliWrite(output, exolveCliFromSpecs(specs, toFormat, opts));
+}
+
+function exolveCliConvert(files, opts) {
+  if (!opts['out-dir']) {
+    if (files.length != 2) {
+      exolveCliUsage('convert needs an input and an output (or --out-dir)');
+    }
+    exolveCliConvertFile(files[0], files[1], opts);
+    return 0;
+  }
+  if (!opts['to']) {
+    exolveCliUsage('--out-dir needs --to');
+  }
+  if (files.length == 0) {
+    exolveCliUsage('No inputs to convert');
+  }
+  const ext = (opts['to'] == 'plain') ? '.txt' : '.' + opts['to'];
+  fs.mkdirSync(opts['out-dir'], {recursive: true});
+  let numFailed = 0;
+  for (const input of files) {
+    const output = path.join(
+        opts['out-dir'], path.basename(input, path.extname(input)) + ext);
+    try {
+      exolveCliConvertFile(input, output, opts);
+    } catch (err) {
+      console.error('exolve: ' + input + ': ' + err);
+      numFailed++;
+    }
+  }
+  if (numFailed > 0) {
+    console.error('exolve: Failed to convert ' + numFailed + ' of ' +
+                  files.length + ' files');
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Implements the encode and checksum commands, which use the given function
+ * (Exolve.encodeSpec or Exolve.checksumSpec) to rewrite the specs.
+ */
+function exolveCliEncode(command, encoder, files, opts) {
+  if (files.length != 2) {
+    exolveCliUsage(command + ' needs an input and an output');
+  }
+  const [input, output] = files;
+  const contents = exolveCliRead(input);
+  const fromFormat = exolveCliFormat(input, opts['from'], contents);
+  const toFormat = exolveCliFormat(output, opts['to']);
+  if (toFormat != 'exolve' && toFormat != 'html') {
+    exolveCliUsage(command + ' can only write exolve or html, not ' +
+                   toFormat);
+  }
+  const specs = exolveCliToSpecs(contents, fromFormat, input, opts);
+  exolveCliWrite(output, exolveCliFromSpecs(encoder(specs), toFormat, opts));
+  return 0;
+}
+
+/**
+ * Returns the problems found in the input file, as an array of objects (see
+ * Exolve.lintSpec()). Failure to read or convert the file is reported as an
+ * error.
+ */
+function exolveCliLintFile(input, opts) {
+  try {
+    const contents = exolveCliRead(input);
+    const format = exolveCliFormat(input, opts['from'], contents);
+    const specs = exolveCliToSpecs(contents, format, input, opts, true);
+    return Exolve.lintSpec(specs);
+  } catch (err) {
+    return [{
+      severity: 'error',
+      code: 'error',
+      msg: '' + err,
+      line: 0,
+      fixes: [],
+    }];
+  }
+}
+
+function exolveCliLint(files, opts) {
+  const outFormat = opts['format'] || 'text';
+  if (outFormat != 'text' && outFormat != 'json') {
+    exolveCliUsage('Unknown lint output format: ' + outFormat);
+  }
+  if (files.length == 0) {
+    exolveCliUsage('No inputs to lint');
+  }
+  const results = [];
+  let failed = false;
+  for (const file of files) {
+    const problems = exolveCliLintFile(file, opts);
+    for (const problem of problems) {
+      if (problem.severity == 'error' || problem.severity == 'warning') {
+        failed = true;
+      }
+    }
+    results.push({file: file, problems: problems});
+  }
+  if (outFormat == 'json') {
+    exolveCliWrite('-', JSON.stringify(results, null, 2) + '\n');
+  } else {
+    let out = '';
+    for (const result of results) {
+      for (const problem of result.problems) {
+        const loc = result.file + (problem.line ? ':' + problem.line : '');
+        out += `${loc}: ${problem.severity}: ${problem.msg} (${problem.code})\n`;
+      }
+    }
+    exolveCliWrite('-', out);
+  }
+  return failed ? 1 : 0;
+}
+
+function exolveCliMain(args) {
+  const parsed = exolveCliParseArgs(args, [
+    'from', 'to', 'out-dir', 'width', 'height', 'script-base', 'format',
+    'key',
+  ]);
+  /**
+   * The output may be going to stdout, so send any logging from the Exolve
+   * scripts to stderr, only while we are running them.
+   */
+  const consoleLog = console.log;
+  console.log = console.error;
+  try {
+    exolveCliLoadScripts();
+    if (parsed.command == 'convert') {
+      return exolveCliConvert(parsed.files, parsed.opts);
+    }
+    if (parsed.command == 'lint') {
+      return exolveCliLint(parsed.files, parsed.opts);
+    }
+    if (parsed.command == 'encode') {
+      return exolveCliEncode(parsed.command, Exolve.encodeSpec,
+                             parsed.files, parsed.opts);
+    }
+    if (parsed.command == 'checksum') {
+      return exolveCliEncode(parsed.command, Exolve.checksumSpec,
+                             parsed.files, parsed.opts);
+    }
+    exolveCliUsage(parsed.command ? 'Unknown command: ' + parsed.command : '');
+  } catch (err) {
+    console.error('exolve: ' + err);
+    return 1;
+  } finally {
+    console.log = consoleLog;
+  }
+}
+
+process.exitCode = exolveCliMain(process.argv.slice(2));
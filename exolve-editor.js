@@ -0,0 +1,701 @@
+/*
+MIT License
+
+Copyright (c) 2026 Viresh Ratnakar
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+
+The latest code and documentation for Exolve can be found at:
+https://github.com/viresh-ratnakar/exolve
+
+Version: Exolve v1.64.6, October 19, 2026
+*/
+
+/**
+ * This file has ExolveEditor, an in-browser editor for Exolve puzzle specs.
+ * The puzzle is shown using the Exolve renderer. Clicking on grid cells
+ * toggles blocks, bars, circles, and pre-filled cells (optionally enforcing
+ * symmetry), typing in the grid enters solution letters, and the clue for
+ * each light in the grid is edited in a text box next to the grid. The specs
+ * get regenerated after every edit, and the problems found by
+ * Exolve.prototype.lint() are listed below the grid.
+ *
+ * Only the grid and the across/down clue sections get regenerated: all other
+ * sections of the specs are kept as they are. 3-D crosswords, diagramless
+ * crosswords, and specs with exolve-encoded cannot be edited.
+ */
+class ExolveEditor {
+  /**
+   * Creates the editor inside the HTML element with id containerId, for the
+   * given puzzle specs. If onChange is provided, it gets called with the
+   * regenerated specs after every edit. Throws an error if the specs cannot
+   * be edited.
+   */
+  constructor(containerId, specs, onChange=null) {
+    this.containerId = containerId;
+    this.onChange = onChange;
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      throw new Error('No element with id ' + containerId);
+    }
+    /** The current specs, and their headless parse. */
+    this.specs = '';
+    this.xlv = null;
+    /**
+     * cells[i][j] is an object with the fields text (the solution letter(s)
+     * as written in the grid, '.' for blocked cells and '' for empty light
+     * cells), after, under, circle, prefill (booleans for the decorators),
+     * and rest (any other decorators, as written in the grid).
+     */
+    this.cells = [];
+    /**
+     * Clue texts (without the clue labels), keyed by lightKey(). Texts of
+     * lights that disappear from the grid are kept, so that they come back
+     * if the light does.
+     */
+    this.clueTexts = {};
+    /**
+     * Clue labels as written in the specs (such as "12a"), keyed by
+     * lightKey(). The number in the label gets replaced by the current
+     * number of the light when the specs are regenerated.
+     */
+    this.clueLabels = {};
+    /** Lines (such as hints) following each clue, keyed by lightKey(). */
+    this.clueTails = {};
+    /**
+     * Lines of the across/down sections that are not clues for lights in the
+     * grid: these are kept after the clues.
+     */
+    this.extraLines = {across: [], down: []};
+    /** The lights of the grid, as returned by findLights(). */
+    this.lights = [];
+    this.puzzle = null;
+    this.tool = 'letters';
+    this.symmetry = '180';
+
+    this.container.innerHTML = `
+      <div class="xlv-editor-toolbar">
+        <select id="${containerId}-tool"
+            title="What clicking on a grid cell does">
+          <option value="letters">Letters</option>
+          <option value="block">Toggle block</option>
+          <option value="after">Toggle bar on the right</option>
+          <option value="under">Toggle bar below</option>
+          <option value="circle">Toggle circle</option>
+          <option value="prefill">Toggle pre-filled</option>
+        </select>
+        <select id="${containerId}-symmetry"
+            title="Symmetry enforced when toggling blocks and bars">
+          <option value="none">No symmetry</option>
+          <option value="180" selected>180-degree rotation</option>
+          <option value="90">90-degree rotation (square grids)</option>
+          <option value="lr">Left-right mirror</option>
+          <option value="ud">Up-down mirror</option>
+        </select>
+        <span id="${containerId}-status" class="xlv-editor-status"></span>
+      </div>
+      <div style="display:flex;flex-wrap:wrap;gap:16px">
+        <div id="${containerId}-puzzle"></div>
+        <div id="${containerId}-clues" class="xlv-editor-clues"></div>
+      </div>
+      <ul id="${containerId}-problems" class="xlv-editor-problems"></ul>`;
+    this.toolSelect = document.getElementById(containerId + '-tool');
+    this.toolSelect.addEventListener('change', () => {
+      this.tool = this.toolSelect.value;
+    });
+    this.symmetrySelect = document.getElementById(containerId + '-symmetry');
+    this.symmetrySelect.addEventListener('change', () => {
+      this.symmetry = this.symmetrySelect.value;
+    });
+    this.status = document.getElementById(containerId + '-status');
+    this.puzzleHolderId = containerId + '-puzzle';
+    this.cluesPanel = document.getElementById(containerId + '-clues');
+    this.problemsList = document.getElementById(containerId + '-problems');
+
+    const error = this.load(specs);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+
+  /**
+   * Returns the specs for a blank grid (of 0s) of the given dimensions.
+   */
+  static blankSpecs(width, height) {
+    const row = new Array(width).fill('0').join(' ');
+    return 'exolve-begin\n' +
+           '  exolve-width: ' + width + '\n' +
+           '  exolve-height: ' + height + '\n' +
+           '  exolve-grid:\n' +
+           new Array(height).fill('    ' + row + '\n').join('') +
+           '  exolve-across:\n' +
+           '  exolve-down:\n' +
+           'exolve-end\n';
+  }
+
+  /**
+   * Returns the key used in clueTexts for the light starting at cell, in
+   * the direction dir ('A' or 'D').
+   */
+  static lightKey(dir, cell) {
+    return dir + ':' + cell[0] + ',' + cell[1];
+  }
+
+  /**
+   * Loads the specs into the editor. Returns the empty string upon success,
+   * and an error message otherwise (in which case the editor is left as it
+   * was).
+   */
+  load(specs) {
+    let xlv = null;
+    try {
+      xlv = new Exolve(specs, '', null, false, 0, 0, false, true);
+    } catch (err) {
+      return 'Error in the specs: ' + err;
+    }
+    if (xlv.layers3d > 1 || xlv.hasDgmlessCells ||
+        xlv.sectionLines['encoded']) {
+      return 'The editor does not handle 3-D crosswords, diagramless ' +
+             'crosswords, or specs with exolve-encoded';
+    }
+    const cells = [];
+    for (let i = 0; i < xlv.gridHeight; i++) {
+      cells.push(xlv.gridLineParts(i).map((part, j) => {
+        const gridCell = xlv.grid[i][j];
+        const cell = {
+          text: part.cell.toUpperCase(),
+          after: false,
+          under: false,
+          circle: false,
+          prefill: false,
+          rest: '',
+        };
+        if (!gridCell.isLight) {
+          cell.text = '.';
+        } else if (gridCell.solution == '?' ||
+                   (xlv.hasUnsolvedCells && !gridCell.prefill)) {
+          cell.text = '';
+        }
+        const decorators = part.decorators;
+        for (let k = 0; k < decorators.length; k++) {
+          const c = decorators.charAt(k);
+          if (c == '[' || c == '{') {
+            const end = decorators.indexOf(c == '[' ? ']' : '}', k);
+            const next = (end < 0) ? decorators.length : end + 1;
+            cell.rest += decorators.substring(k, next);
+            k = next - 1;
+          } else if (c == '|') {
+            cell.after = true;
+          } else if (c == '_') {
+            cell.under = true;
+          } else if (c == '+') {
+            cell.after = true;
+            cell.under = true;
+          } else if (c == '@') {
+            cell.circle = true;
+          } else if (c == '!') {
+            cell.prefill = true;
+          } else if (!/\s/.test(c)) {
+            cell.rest += c;
+          }
+        }
+        return cell;
+      }));
+    }
+    let lights = [];
+    try {
+      lights = this.findLights(cells, xlv);
+    } catch (err) {
+      return 'Error in the grid: ' + err;
+    }
+    const lightLabels = {};
+    for (const light of lights) {
+      lightLabels[light.key] = light.label;
+    }
+    /**
+     * Only clue lines with the same (numeric) labels as the lights found in
+     * the grid are edited. Other lines (such as clues with non-numeric
+     * labels or with cells listed explicitly) are kept as extraLines.
+     */
+    const clueTexts = {};
+    const clueLabels = {};
+    const usedLines = {};
+    for (const ci in xlv.clues) {
+      const clue = xlv.clues[ci];
+      if ((clue.dir != 'A' && clue.dir != 'D') || !clue.cells ||
+          clue.cells.length == 0 || clue.lineIndex === undefined) {
+        continue;
+      }
+      const key = ExolveEditor.lightKey(clue.dir, clue.cells[0]);
+      const line = xlv.specLines[clue.lineIndex];
+      const parse = xlv.parseClueLabel(line, false);
+      const text = line.substr(parse.skip).trimStart();
+      if (parse.notLabel || parse.label != clue.label ||
+          lightLabels[key] != clue.label || text.startsWith('#')) {
+        continue;
+      }
+      usedLines[clue.lineIndex] = key;
+      clueTexts[key] = text;
+      clueLabels[key] = line.substr(0, parse.skip).trim();
+    }
+    /**
+     * Lines without clue labels (such as hints) that follow an edited clue
+     * stay with that clue.
+     */
+    const clueTails = {};
+    const extraLines = {across: [], down: []};
+    for (const section in extraLines) {
+      const lines = xlv.sectionLines[section] || [0, -1];
+      let owner = '';
+      for (let l = lines[0]; l <= lines[1]; l++) {
+        const line = xlv.specLines[l];
+        if (usedLines[l]) {
+          owner = usedLines[l];
+          clueTails[owner] = [];
+        } else if (owner && xlv.parseClueLabel(line, false).notLabel) {
+          clueTails[owner].push(line);
+        } else {
+          owner = '';
+          extraLines[section].push(line);
+        }
+      }
+    }
+    this.specs = specs;
+    this.xlv = xlv;
+    this.cells = cells;
+    this.lights = lights;
+    this.clueTexts = clueTexts;
+    this.clueLabels = clueLabels;
+    this.clueTails = clueTails;
+    this.extraLines = extraLines;
+    this.symmetrySelect.options[2].disabled =
+        (xlv.gridWidth != xlv.gridHeight);
+    if (this.symmetry == '90' && xlv.gridWidth != xlv.gridHeight) {
+      this.symmetry = '180';
+      this.symmetrySelect.value = '180';
+    }
+    this.showStatus('');
+    this.showProblems();
+    this.showClues();
+    this.render();
+    return '';
+  }
+
+  /**
+   * Returns the grid lines for cells. If placeholders is true, solution
+   * letters are replaced by 0s (except in pre-filled cells).
+   */
+  gridLines(cells, placeholders=false) {
+    let hasLetters = false;
+    for (const row of cells) {
+      for (const cell of row) {
+        if (cell.text != '.' && cell.text && !cell.prefill) {
+          hasLetters = true;
+        }
+      }
+    }
+    return cells.map(row => row.map(cell => {
+      let text = cell.text;
+      if (text.startsWith('#')) {
+        /** Escape "#" so that it does not start a comment. */
+        text = '&' + text;
+      }
+      const prefill = cell.prefill && text && text != '.';
+      if (text != '.' && (!text || (placeholders && !prefill))) {
+        text = (hasLetters && !placeholders) ? '?' : '0';
+      }
+      return text +
+          ((cell.after && cell.under) ? '+' :
+           (cell.after ? '|' : (cell.under ? '_' : ''))) +
+          (cell.circle ? '@' : '') + (prefill ? '!' : '') + cell.rest;
+    }).join(' '));
+  }
+
+  /**
+   * Returns the numbered lights in the grid of cells (in the order of their
+   * clue numbers, across lights first), as objects with the fields key, dir,
+   * label, and len. The settings (such as exolve-language) are taken from
+   * the parsed specs xlv. Throws an error if the grid cannot be parsed.
+   */
+  findLights(cells, xlv=this.xlv) {
+    /**
+     * Only the sections that affect how the grid gets parsed are used
+     * (along with the grid) here, as the other sections may refer to clues
+     * that do not exist any more.
+     */
+    const settings = [];
+    let section = '';
+    for (const line of xlv.specLines) {
+      const header = line.match(/^exolve-([\w-]+)/);
+      if (header) {
+        section = header[1];
+      }
+      if (['language', 'option', 'cell-decorator',
+           'shaped-cell'].includes(section)) {
+        settings.push(line);
+      }
+    }
+    const gridXlv = new Exolve(
+        ['exolve-begin',
+         'exolve-width: ' + xlv.gridWidth,
+         'exolve-height: ' + xlv.gridHeight].concat(
+         settings, ['exolve-grid:'], this.gridLines(cells),
+         ['exolve-end']).join('\n'),
+        '', null, false, 0, 0, false, true);
+    const lights = [];
+    for (const ci in gridXlv.clues) {
+      const clue = gridXlv.clues[ci];
+      if ((clue.dir != 'A' && clue.dir != 'D') || !clue.cells ||
+          clue.cells.length == 0 || !/^\d+$/.test(clue.label)) {
+        continue;
+      }
+      lights.push({
+        key: ExolveEditor.lightKey(clue.dir, clue.cells[0]),
+        dir: clue.dir,
+        label: clue.label,
+        len: clue.cells.length,
+      });
+    }
+    lights.sort((l1, l2) => (l1.dir == l2.dir) ?
+        (parseInt(l1.label) - parseInt(l2.label)) : (l1.dir == 'A' ? -1 : 1));
+    return lights;
+  }
+
+  /**
+   * Returns the specs with the grid and the across/down sections
+   * regenerated from cells, lights and this.clueTexts. If placeholders is
+   * true, the grid gets 0s in place of solution letters (see gridLines()).
+   */
+  specsFromModel(cells, lights, placeholders=false) {
+    const xlv = this.xlv;
+    const rawLines = this.specs.split('\n');
+    const indent = rawLines[xlv.specLineNums[xlv.sectionLines['grid'][0] - 1] -
+                            1].match(/^\s*/)[0];
+    const contents = {
+      grid: this.gridLines(cells, placeholders),
+      across: [],
+      down: [],
+    };
+    for (const light of lights) {
+      const text = this.clueTexts[light.key];
+      if (!text) {
+        continue;
+      }
+      const label = this.clueLabels[light.key] ?
+          this.clueLabels[light.key].replace(/\d+/, light.label) :
+          light.label;
+      contents[light.dir == 'A' ? 'across' : 'down'].push(
+          label + (text.startsWith(',') ? '' : ' ') + text,
+          ...(this.clueTails[light.key] || []));
+    }
+    let endLine = rawLines.length;
+    for (let l = 0; l < xlv.numLines; l++) {
+      if (xlv.specLines[l].match(/^exolve-end\b/)) {
+        endLine = xlv.specLineNums[l] - 1;
+        break;
+      }
+    }
+    const replacements = [];
+    ['grid', 'across', 'down'].forEach((section, order) => {
+      const body = contents[section].concat(this.extraLines[section] || []);
+      const sectionLines = [indent + 'exolve-' + section + ':'].concat(
+          body.map(line => indent + '  ' + line));
+      const lines = xlv.sectionLines[section];
+      if (lines) {
+        const start = xlv.specLineNums[lines[0] - 1] - 1;
+        const end = (lines[1] >= lines[0]) ?
+            xlv.specLineNums[lines[1]] : start + 1;
+        replacements.push({start, end, order, sectionLines});
+      } else if (body.length > 0) {
+        replacements.push({start: endLine, end: endLine, order, sectionLines});
+      }
+    });
+    /** Replace from the bottom up, so that line numbers stay valid. */
+    replacements.sort((r1, r2) => (r2.start - r1.start) || (r2.order - r1.order));
+    for (const r of replacements) {
+      rawLines.splice(r.start, r.end - r.start, ...r.sectionLines);
+    }
+    return rawLines.join('\n');
+  }
+
+  /**
+   * Regenerates the specs from cells (and this.clueTexts). If they parse
+   * without errors, they become the current specs (and the puzzle gets
+   * shown again if rerender is true), and true is returned. Otherwise, the
+   * error is shown and false is returned.
+   */
+  update(cells, rerender=true) {
+    let lights = this.lights;
+    let specs = '';
+    let xlv = null;
+    try {
+      if (rerender) {
+        lights = this.findLights(cells);
+      }
+      specs = this.specsFromModel(cells, lights);
+      xlv = new Exolve(specs, '', null, false, 0, 0, false, true);
+    } catch (err) {
+      this.showStatus('Error: ' + err);
+      return false;
+    }
+    this.cells = cells;
+    this.lights = lights;
+    this.specs = specs;
+    this.xlv = xlv;
+    this.showStatus('');
+    this.showProblems();
+    if (rerender) {
+      this.showClues();
+      this.render();
+    }
+    if (this.onChange) {
+      this.onChange(specs);
+    }
+    return true;
+  }
+
+  /**
+   * Shows the puzzle (using the current specs, but with the solution letters
+   * entered as the state, so that they can be edited by typing).
+   */
+  render() {
+    if (this.puzzle) {
+      this.puzzle.destroy();
+      this.puzzle = null;
+    }
+    document.getElementById(this.puzzleHolderId).innerHTML = '';
+    const specs = this.specsFromModel(this.cells, this.lights, true).replace(
+        /^([ \t]*exolve-end\b)/m,
+        'exolve-option: ignore-unclued ignore-enum-mismatch\n$1');
+    let puz = null;
+    try {
+      puz = new Exolve(specs, this.puzzleHolderId, null, false, 0, 0, false);
+    } catch (err) {
+      this.showStatus('Error: ' + err);
+      return;
+    }
+    let state = '';
+    for (let i = 0; i < this.xlv.gridHeight; i++) {
+      for (let j = 0; j < this.xlv.gridWidth; j++) {
+        const gridCell = this.xlv.grid[i][j];
+        if (!gridCell.isLight) {
+          state += '.';
+          continue;
+        }
+        state += ((this.xlv.hasUnsolvedCells || gridCell.solution == '?') ?
+                  '0' : gridCell.solution) + (puz.multiLetter ? '$' : '');
+      }
+    }
+    puz.gridParent.addEventListener(
+        'click', this.handleGridClick.bind(this), true);
+    this.puzzle = puz;
+    /**
+     * The preview restores any state saved for the same exolve-id (such as
+     * from solving the puzzle on this site). Our letters should replace that
+     * state, not get replaced by it, so we set them once it is restored.
+     */
+    puz.restoringState.then(() => {
+      if (this.puzzle != puz) {
+        return;
+      }
+      puz.parseState(state);
+      puz.updateDisplayAndGetState(false);
+      puz.onStateChange = this.noteLetters.bind(this);
+    });
+  }
+
+  showStatus(msg) {
+    this.status.textContent = msg;
+  }
+
+  /**
+   * Lists the problems found by lint() in the current specs.
+   */
+  showProblems() {
+    this.problemsList.innerHTML = '';
+    for (const problem of this.xlv.lint()) {
+      const li = document.createElement('li');
+      li.textContent = problem.severity + ': ' + problem.msg;
+      this.problemsList.appendChild(li);
+    }
+  }
+
+  /**
+   * Shows a text box for the clue of each light in the grid. The specs get
+   * regenerated as the clue is typed, and the puzzle gets shown again once
+   * the text box loses focus.
+   */
+  showClues() {
+    this.cluesPanel.innerHTML = '';
+    for (const light of this.lights) {
+      const div = document.createElement('div');
+      const label = document.createElement('label');
+      label.textContent = light.label + light.dir.toLowerCase() +
+                          ' (' + light.len + ') ';
+      const input = document.createElement('input');
+      input.size = 40;
+      input.value = this.clueTexts[light.key] || '';
+      input.addEventListener('input', () => {
+        this.clueTexts[light.key] = input.value.trim();
+        this.update(this.cells, false);
+      });
+      input.addEventListener('change', this.render.bind(this));
+      label.appendChild(input);
+      div.appendChild(label);
+      this.cluesPanel.appendChild(div);
+    }
+  }
+
+  /**
+   * Called whenever the state of the puzzle changes: copies the letters
+   * entered into the grid and regenerates the specs.
+   */
+  noteLetters(puz) {
+    const cells = JSON.parse(JSON.stringify(this.cells));
+    let changed = false;
+    for (let i = 0; i < puz.gridHeight; i++) {
+      for (let j = 0; j < puz.gridWidth; j++) {
+        const gridCell = puz.grid[i][j];
+        if (!gridCell.isLight || gridCell.prefill) {
+          continue;
+        }
+        const letter = gridCell.currLetter;
+        let text = '';
+        if (letter != '0' && letter != '?') {
+          /** Escape characters that are not letters, such as "&0". */
+          for (const c of puz.stateToDisplayChar(letter)) {
+            text += (/[\p{L}\p{M}1-9]/u.test(c) ? '' : '&') + c;
+          }
+        }
+        if (cells[i][j].text != text) {
+          cells[i][j].text = text;
+          changed = true;
+        }
+      }
+    }
+    if (changed) {
+      this.update(cells, false);
+    }
+  }
+
+  /**
+   * Returns the [row, col] of the grid cell where the mouse event happened,
+   * or null.
+   */
+  cellAt(e) {
+    const puz = this.puzzle;
+    const rect = puz.svg.getBoundingClientRect();
+    const viewBox = puz.svg.viewBox.baseVal;
+    if (!rect.width || !rect.height || !viewBox) {
+      return null;
+    }
+    const x = (e.clientX - rect.left) * viewBox.width / rect.width;
+    const y = (e.clientY - rect.top) * viewBox.height / rect.height;
+    const i = Math.floor((y - puz.cellTopPos(0, puz.GRIDLINE)) / puz.tilingH);
+    // In right-to-left puzzles, the grid is mirrored (see
+    // Exolve.setUpLocale()), and the leftmost column is the last one.
+    const leftCol = puz.rtl ? puz.gridWidth - 1 : 0;
+    const visualCol = Math.floor(
+        (x - puz.cellLeftPos(leftCol, puz.GRIDLINE)) / puz.tilingW);
+    const j = puz.rtl ? puz.gridWidth - 1 - visualCol : visualCol;
+    if (i < 0 || i >= puz.gridHeight || j < 0 || j >= puz.gridWidth) {
+      return null;
+    }
+    return [i, j];
+  }
+
+  /**
+   * Returns the functions that map a cell to its images under the chosen
+   * symmetry (including the identity).
+   */
+  symmetryMaps() {
+    const h = this.xlv.gridHeight;
+    const w = this.xlv.gridWidth;
+    const maps = [(i, j) => [i, j]];
+    if (this.symmetry == '180' || this.symmetry == '90') {
+      maps.push((i, j) => [h - 1 - i, w - 1 - j]);
+    }
+    if (this.symmetry == '90' && h == w) {
+      maps.push((i, j) => [j, w - 1 - i]);
+      maps.push((i, j) => [h - 1 - j, i]);
+    } else if (this.symmetry == 'lr') {
+      maps.push((i, j) => [i, w - 1 - j]);
+    } else if (this.symmetry == 'ud') {
+      maps.push((i, j) => [h - 1 - i, j]);
+    }
+    return maps;
+  }
+
+  /**
+   * In tools other than 'letters', a click on the grid changes the clicked
+   * cell (instead of selecting it).
+   */
+  handleGridClick(e) {
+    if (this.tool == 'letters') {
+      return;
+    }
+    e.stopPropagation();
+    e.preventDefault();
+    const cell = this.cellAt(e);
+    if (!cell) {
+      return;
+    }
+    const [i, j] = cell;
+    const cells = JSON.parse(JSON.stringify(this.cells));
+    const clicked = cells[i][j];
+    if (this.tool == 'block') {
+      const makeLight = (clicked.text == '.');
+      for (const map of this.symmetryMaps()) {
+        const [r, c] = map(i, j);
+        if (makeLight && cells[r][c].text == '.') {
+          cells[r][c].text = '';
+        } else if (!makeLight) {
+          cells[r][c].text = '.';
+          cells[r][c].prefill = false;
+        }
+      }
+    } else if (this.tool == 'after' || this.tool == 'under') {
+      const other = (this.tool == 'after') ? [i, j + 1] : [i + 1, j];
+      if (other[0] >= this.xlv.gridHeight || other[1] >= this.xlv.gridWidth) {
+        this.showStatus('There is no cell on the other side of that bar');
+        return;
+      }
+      const hasBar = !clicked[this.tool];
+      for (const map of this.symmetryMaps()) {
+        const [r1, c1] = map(i, j);
+        const [r2, c2] = map(other[0], other[1]);
+        if (r1 == r2) {
+          cells[r1][Math.min(c1, c2)].after = hasBar;
+        } else {
+          cells[Math.min(r1, r2)][c1].under = hasBar;
+        }
+      }
+    } else if (this.tool == 'circle') {
+      clicked.circle = !clicked.circle;
+    } else if (this.tool == 'prefill') {
+      if (!clicked.prefill && (!clicked.text || clicked.text == '.')) {
+        this.showStatus('Type a letter in the cell before making it ' +
+                        'pre-filled');
+        return;
+      }
+      clicked.prefill = !clicked.prefill;
+    }
+    this.update(cells);
+  }
+}
@@ -38,7 +38,7 @@ class ExolveEmbedder {
       this.exolveOverrides += 'exolve-' + key + ': ' + decodedValue + '\n';
     }
     if (!this.crossword) {
-      throw new Error('Must specify "?crossword=[puz/ipuz/exolve file]" (or ?xwd=...) in the URL.');
+      throw new Error('Must specify "?crossword=[puz/ipuz/jpz/exolve file]" (or ?xwd=...) in the URL.');
     }
     this.crossword = dirPrefix + this.crossword;
     const finisher = this.showData.bind(this);
@@ -60,13 +60,15 @@ class ExolveEmbedder {
   }
 
   /**
-   * Returns true if the crossword was successfully shown.
+   * Shows the crossword in the Exolve specs. Throws an error if it cannot be
+   * shown.
    */
   showExolve(specs) {
     let start = specs.indexOf('exolve-begin')
     let end = specs.indexOf('exolve-end')
     if (start < 0 || end < 0 || start >= end) {
-      return false;
+      throw new Error('Could not find exolve-begin and exolve-end in the ' +
+                      'crossword from [' + this.crossword + ']');
     }
     while (start > 0 && specs.charAt(start - 1) == ' ') {
       start--;
@@ -76,61 +78,25 @@ class ExolveEmbedder {
 
     const notInIframe = (window === window.parent);
 
-    try {
-      const xlv = new Exolve(exolveSpecs, 'xlv-embedder', null, notInIframe);
-      if (this.titlePrefix) {
-        document.title = this.titlePrefix + (xlv.title || 'Untitled');
-      }
-    } catch (err) {
-      this.showMessage(err);
-      return false;
-    }
-    return true;
-  }
-
-  showIpuz(specs) {
-    let start = specs.indexOf('{')
-    let end = specs.lastIndexOf('}')
-    if (start < 0 || end < 0 || start >= end) {
-      return false;
-    }         
-    const ipuzJSON = specs.substring(start, end) + '}';
-    try {
-      const ipuz = JSON.parse(ipuzJSON);
-      const exolve = exolveFromIpuz(ipuz, this.crossword);
-      if (!exolve) {
-        return false;
-      }
-      return this.showExolve(exolve);
-    } catch (err) {
-      console.log(err);
-    }
-    return false;
-  }
-
-  showPuz(buffer) {
-    const exolve = exolveFromPuz(buffer, this.crossword);
-    if (!exolve) {
-      return false;
+    const xlv = new Exolve(exolveSpecs, 'xlv-embedder', null, notInIframe);
+    if (this.titlePrefix) {
+      document.title = this.titlePrefix + (xlv.title || 'Untitled');
     }
-    return this.showExolve(exolve);
   }
 
-
+  /**
+   * Figures out the format of the data (see exolve-formats.js) and shows
+   * the crossword, or an error (listing the formats tried, if none worked).
+   */
   showData(data) {
-    const utf8decoder = new TextDecoder();
-    const text = utf8decoder.decode(data);
-    if (this.showExolve(text)) {
-      return;
-    }
-    if (this.showIpuz(text)) {
-      return;
-    }
-    if (this.showPuz(data)) {
-      return;
-    }
-    this.showMessage('Could not interpret the data in [' + this.crossword + '] as a crossword.');
+    exolveFormatToSpecs(data, this.crossword).then(result => {
+      this.showExolve(result.specs);
+    }).catch(err => {
+      this.showMessage(String(err.message || err).replace(/&/g, '&amp;').replace(
+          /</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>'));
+    });
   }
+
   showMessage(msg) {
     this.embedder.innerHTML = msg;
   }
@@ -0,0 +1,417 @@
+/*
+MIT License
+
+Copyright (c) 2026 Viresh Ratnakar
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+
+The latest code and documentation for Exolve can be found at:
+https://github.com/viresh-ratnakar/exolve
+
+Version: Exolve v1.64.6, October 19, 2026
+*/
+
+/**
+ * exolveFill() fills the lights of the grid of an Exolve puzzle with words
+ * from a word list, using a constraint search. The grid (with its blocks,
+ * bars, etc.) is taken from the given Exolve specs, whose light cells would
+ * typically be all 0s.
+ *
+ * The word list is given as text, with one word per line. A line may have a
+ * score after a semicolon (as in "CRANE;50"), and words with higher scores
+ * are tried first (words without scores come after the ones with scores, in
+ * the order in which they are listed). Spaces, hyphens, apostrophes and
+ * periods are removed from the words, and the words are converted to upper
+ * case. Each letter of a word fills one cell.
+ *
+ * seeds is an optional object that maps clue labels (such as "1a" or "D12")
+ * to the entries that must be placed in those lights. Pre-filled cells and
+ * cells that already have solution letters in the grid are kept as they are
+ * too. Lights that are already fully filled this way are not looked up in
+ * the word list, but no word gets used twice.
+ *
+ * The function returns a Worker object that does the search in another thread
+ * (as it can take a long time). The Worker can be aborted at any time by
+ * calling its terminate() function. While active, the Worker sends periodic
+ * update messages to the main thread (with the .update field being a useful
+ * update text to show) and finally sends a message that either has the
+ * .exolve field (the Exolve specs with the filled-in grid) or the .error field
+ * (saying why the grid could not be filled).
+ *
+ * If there is an error in the specs, the word list or the seeds, then instead
+ * of a Worker, an error string is returned.
+ *
+ * Usage:
+ *   const worker = exolveFill(specs, wordList, {'1a': 'CRANE'});
+ *   if (typeof worker == 'string') {
+ *     alert(worker);
+ *     return;
+ *   }
+ *   worker.onmessage = (e) => {
+ *     if (e.data.update) {
+ *       // Show e.data.update
+ *       return;
+ *     }
+ *     if (e.data.error) {
+ *       // Could not fill the grid.
+ *     } else {
+ *       // Use e.data.exolve
+ *     }
+ *   }
+ *
+ * Without a Worker (for example, in Node.js), call exolveFillProblem() and
+ * then exolveFillSolve() (optionally passing it a function that gets the
+ * progress updates).
+ */
+function exolveFill(specs, wordList, seeds={}) {
+  const ret = exolveFillProblem(specs, wordList, seeds);
+  if (ret.error) {
+    return ret.error;
+  }
+  return exolveFillCreateWorker(ret.problem);
+}
+
+/**
+ * Returns the word list text as an array of words (each an array of
+ * letters), ordered by preference.
+ */
+function exolveFillWords(wordList) {
+  const entries = [];
+  const seen = {};
+  for (const line of wordList.split('\n')) {
+    const semi = line.indexOf(';');
+    const word = exolveFillNormalize(semi < 0 ? line : line.substr(0, semi));
+    if (word.length < 2 || seen[word]) {
+      continue;
+    }
+    seen[word] = true;
+    const score = (semi < 0) ? NaN : parseFloat(line.substr(semi + 1));
+    entries.push({word: word, score: isNaN(score) ? -Infinity : score});
+  }
+  /** Array.sort() is stable, so listed order is kept for equal scores. */
+  entries.sort((e1, e2) => (e1.score == e2.score) ? 0 :
+                           ((e1.score > e2.score) ? -1 : 1));
+  return entries.map(e => Array.from(e.word));
+}
+
+function exolveFillNormalize(word) {
+  return word.replace(/[\s\-'’.]/g, '').toUpperCase();
+}
+
+/**
+ * Parses the specs, the word list and the seeds (see exolveFill()), and
+ * returns an object with either an .error string field, or with a .problem
+ * field that can be passed to exolveFillSolve(). This part needs Exolve
+ * (from exolve-m.js), but not a DOM.
+ */
+function exolveFillProblem(specs, wordList, seeds={}) {
+  let xlv = null;
+  try {
+    xlv = new Exolve(specs, '', null, false, 0, 0, false, true);
+  } catch (err) {
+    return {error: 'Could not parse the Exolve specs: ' + err};
+  }
+  if (xlv.hasDgmlessCells) {
+    return {error: 'Grids with diagramless cells cannot be filled'};
+  }
+  const w = xlv.gridWidth;
+  const fixed = {};
+  for (let i = 0; i < xlv.gridHeight; i++) {
+    for (let j = 0; j < w; j++) {
+      const gridCell = xlv.grid[i][j];
+      if (!gridCell.isLight) {
+        continue;
+      }
+      const letter = gridCell.prefill ? gridCell.solution :
+          (gridCell.solution == '0' ? '' : gridCell.solution);
+      if (letter) {
+        fixed[i * w + j] = letter;
+      }
+    }
+  }
+  for (const label in seeds) {
+    const clue = xlv.clueFromLabel(label);
+    if (!clue) {
+      return {error: 'Seed for unknown light: ' + label};
+    }
+    const cells = xlv.getAllCells(clue.index);
+    const entry = Array.from(exolveFillNormalize(seeds[label]));
+    if (entry.length != cells.length) {
+      return {error: 'Seed ' + seeds[label] + ' for ' + label + ' has ' +
+                     entry.length + ' letters, but the light has ' +
+                     cells.length + ' cells'};
+    }
+    for (let x = 0; x < cells.length; x++) {
+      const cellIndex = cells[x][0] * w + cells[x][1];
+      if (fixed[cellIndex] && fixed[cellIndex] != entry[x]) {
+        return {error: 'Seed ' + seeds[label] + ' for ' + label +
+                       ' clashes with ' + fixed[cellIndex] + ' in ' +
+                       'r' + (xlv.gridHeight - cells[x][0]) + 'c' +
+                       (cells[x][1] + 1)};
+      }
+      fixed[cellIndex] = entry[x];
+    }
+  }
+  const slots = [];
+  for (const ci in xlv.clues) {
+    const clue = xlv.clues[ci];
+    if (clue.dir == 'X' || !clue.cells || clue.cells.length < 2) {
+      continue;
+    }
+    slots.push({
+      label: ci,
+      cells: clue.cells.map(cell => cell[0] * w + cell[1]),
+    });
+  }
+  if (slots.length == 0) {
+    return {error: 'The grid does not have any lights to fill'};
+  }
+  const words = exolveFillWords(wordList);
+  if (words.length == 0) {
+    return {error: 'The word list does not have any words'};
+  }
+  const gridRows = [];
+  const gridLine = xlv.sectionLines['grid'][0];
+  for (let i = 0; i < xlv.gridHeight; i++) {
+    gridRows.push({
+      lineNum: xlv.specLineNums[gridLine + i] - 1,
+      parts: xlv.gridLineParts(i).map((part, j) => {
+        part.isLight = xlv.grid[i][j].isLight;
+        return part;
+      }),
+    });
+  }
+  return {
+    problem: {
+      width: w,
+      fixed: fixed,
+      slots: slots,
+      words: words,
+      lines: xlv.puzzleText.split('\n'),
+      gridRows: gridRows,
+      maxSteps: 200000,
+    },
+  };
+}
+
+/**
+ * Returns a Worker that runs exolveFillSolve() on the problem, or an error
+ * string.
+ */
+function exolveFillCreateWorker(problem) {
+  let scriptSrc = '';
+  for (let i = 0; i < document.scripts.length; i++) {
+    const src = document.scripts[i].src;
+    if (!src) continue;
+    const srcUrl = new URL(src);
+    if (srcUrl.pathname.endsWith('/exolve-filler.js')) {
+      scriptSrc = src;
+      break;
+    }
+  }
+  if (!scriptSrc) {
+    return 'Could not find script with src "/exolve-filler.js"';
+  }
+  const workerCode = `
+    importScripts('${scriptSrc}');
+    onmessage = (e) => {
+      const problem = e.data || null;
+      if (!problem) {
+        return;
+      }
+      postMessage(exolveFillSolve(problem));
+    }
+  `;
+  const blob = new Blob([workerCode], {type: "text/javascript" });
+  const worker = new Worker(window.URL.createObjectURL(blob));
+  worker.postMessage(problem);
+  return worker;
+}
+
+/**
+ * Fills the slots of the problem created by exolveFillProblem(), and returns
+ * an object with either the field .exolve (the specs with the filled grid)
+ * or the field .error. This is what the Worker from exolveFillCreateWorker()
+ * runs. Progress updates (strings) are passed to onUpdate if it is given, and
+ * are otherwise sent as {update: ...} through postMessage(), if it exists (it
+ * does, in a Worker).
+ *
+ * The search picks the unfilled slot with the fewest matching words, tries
+ * those words in order of preference, and backtracks when some crossing slot
+ * is left without any matching words. Matching words are found by
+ * intersecting bitsets of the words that have a given letter at a given
+ * position, for each word length.
+ */
+function exolveFillSolve(problem, onUpdate=null) {
+  if (!onUpdate && typeof postMessage == 'function') {
+    onUpdate = (update) => postMessage({update: update});
+  }
+  const byLength = {};
+  for (let x = 0; x < problem.words.length; x++) {
+    const word = problem.words[x];
+    if (!byLength[word.length]) {
+      byLength[word.length] = {words: [], positions: []};
+    }
+    byLength[word.length].words.push(word);
+  }
+  for (const len in byLength) {
+    const lenWords = byLength[len];
+    const numInts = Math.ceil(lenWords.words.length / 32);
+    for (let p = 0; p < len; p++) {
+      const bitsets = {};
+      for (let x = 0; x < lenWords.words.length; x++) {
+        const letter = lenWords.words[x][p];
+        if (!bitsets[letter]) {
+          bitsets[letter] = new Uint32Array(numInts);
+        }
+        bitsets[letter][x >> 5] |= (1 << (x & 31));
+      }
+      lenWords.positions.push(bitsets);
+    }
+  }
+
+  const letters = Object.assign({}, problem.fixed);
+  const used = {};
+  const slots = problem.slots;
+  const unfilled = [];
+  for (const slot of slots) {
+    const full = slot.cells.every(c => letters[c]);
+    if (full) {
+      used[slot.cells.map(c => letters[c]).join('')] = true;
+    } else {
+      unfilled.push(slot);
+    }
+  }
+
+  /**
+   * Returns the indices of the words (in byLength[slot.cells.length].words)
+   * that fit the letters currently in the cells of the slot, and that have
+   * not been used. Stops after finding more than limit words.
+   */
+  const matches = (slot, limit) => {
+    const lenWords = byLength[slot.cells.length];
+    if (!lenWords) {
+      return [];
+    }
+    let bits = null;
+    for (let p = 0; p < slot.cells.length; p++) {
+      const letter = letters[slot.cells[p]];
+      if (!letter) {
+        continue;
+      }
+      const bitset = lenWords.positions[p][letter];
+      if (!bitset) {
+        return [];
+      }
+      if (!bits) {
+        bits = bitset.slice();
+      } else {
+        for (let b = 0; b < bits.length; b++) {
+          bits[b] &= bitset[b];
+        }
+      }
+    }
+    const found = [];
+    for (let x = 0; x < lenWords.words.length; x++) {
+      if (bits && !(bits[x >> 5] & (1 << (x & 31)))) {
+        if (!bits[x >> 5]) {
+          x = (x | 31);
+        }
+        continue;
+      }
+      if (used[lenWords.words[x].join('')]) {
+        continue;
+      }
+      found.push(x);
+      if (found.length > limit) {
+        break;
+      }
+    }
+    return found;
+  };
+
+  let steps = 0;
+  const search = () => {
+    if (++steps > problem.maxSteps) {
+      throw 'Gave up after trying ' + problem.maxSteps + ' placements';
+    }
+    if (onUpdate && steps % 1000 == 0) {
+      onUpdate('Filled ' + (slots.length - unfilled.length) + ' of ' +
+               slots.length + ' lights (' + steps + ' placements tried)');
+    }
+    if (unfilled.length == 0) {
+      return true;
+    }
+    let best = -1;
+    let bestMatches = null;
+    for (let s = 0; s < unfilled.length; s++) {
+      const found = matches(unfilled[s],
+                            bestMatches ? bestMatches.length : Infinity);
+      if (found.length == 0) {
+        return false;
+      }
+      if (!bestMatches || found.length < bestMatches.length) {
+        best = s;
+        bestMatches = found;
+      }
+    }
+    const slot = unfilled[best];
+    unfilled.splice(best, 1);
+    const lenWords = byLength[slot.cells.length];
+    for (const x of matches(slot, Infinity)) {
+      const word = lenWords.words[x];
+      const placed = [];
+      for (let p = 0; p < slot.cells.length; p++) {
+        if (!letters[slot.cells[p]]) {
+          letters[slot.cells[p]] = word[p];
+          placed.push(slot.cells[p]);
+        }
+      }
+      used[word.join('')] = true;
+      if (search()) {
+        return true;
+      }
+      delete used[word.join('')];
+      for (const c of placed) {
+        delete letters[c];
+      }
+    }
+    unfilled.splice(best, 0, slot);
+    return false;
+  };
+
+  try {
+    if (!search()) {
+      return {error: 'No fill was found using the words in the word list'};
+    }
+  } catch (err) {
+    return {error: '' + err};
+  }
+
+  const lines = problem.lines.slice();
+  for (let i = 0; i < problem.gridRows.length; i++) {
+    const row = problem.gridRows[i];
+    const indent = lines[row.lineNum].match(/^\s*/)[0];
+    lines[row.lineNum] = indent + row.parts.map((part, j) => {
+      const letter = letters[i * problem.width + j];
+      return ((part.isLight && letter) ? letter : part.cell) + part.decorators;
+    }).join('');
+  }
+  return {exolve: lines.join('\n')};
+}
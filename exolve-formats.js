@@ -0,0 +1,336 @@
+/*
+MIT License
+
+Copyright (c) 2026 Viresh Ratnakar
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+
+The latest code and documentation for Exolve can be found at:
+https://github.com/viresh-ratnakar/exolve
+
+Version: Exolve v1.64.6, October 19, 2026
+*/
+
+/**
+ * This file has the registry of the crossword file formats that Exolve can
+ * read, used by exolve-player and exolve-embedder to figure out the format of
+ * a file and to convert it to Exolve specs.
+ *
+ * Each format in exolveFormats is an object with these fields:
+ *   name: Short name of the format, such as 'ipuz'.
+ *   script: The script that has the converter, such as 'exolve-from-ipuz.js'.
+ *   loaded(): Returns true if the converter is available.
+ *   sniff(bytes, text): Given the contents of a file (as a Uint8Array, and
+ *     as UTF-8-decoded text), returns the empty string if the contents look
+ *     like they are in this format, and the reason why not otherwise.
+ *   convert(bytes, text, fname, options): Returns the Exolve specs (or a
+ *     Promise that resolves to them) for contents that passed sniff(). Upon
+ *     failure, this throws an error (or returns the empty string, or a
+ *     Promise that rejects).
+ *
+ * New formats can be plugged in with exolveAddFormat().
+ */
+const exolveFormats = [
+  {
+    name: 'exolve',
+    script: 'exolve-m.js',
+    loaded: () => true,
+    sniff: (bytes, text) => {
+      const start = text.indexOf('exolve-begin');
+      const end = text.indexOf('exolve-end');
+      if (start < 0 || end < 0 || start >= end) {
+        return 'no exolve-begin ... exolve-end section';
+      }
+      return '';
+    },
+    convert: (bytes, text, fname, options) => {
+      let start = text.indexOf('exolve-begin');
+      while (start > 0 && text.charAt(start - 1) == ' ') {
+        start--;
+      }
+      return text.substring(start, text.indexOf('exolve-end')) +
+             'exolve-end';
+    },
+  },
+  {
+    name: 'ipuz',
+    script: 'exolve-from-ipuz.js',
+    loaded: () => typeof exolveFromIpuz == 'function',
+    sniff: (bytes, text) => {
+      let ipuz = null;
+      try {
+        ipuz = exolveFormatsParseJSON(text);
+      } catch (err) {
+        return 'not JSON (' + err + ')';
+      }
+      if (!ipuz || typeof ipuz != 'object' ||
+          !(ipuz.dimensions || ipuz.puzzle ||
+            (ipuz.kind && JSON.stringify(ipuz.kind).includes('ipuz')))) {
+        return 'JSON, but without the ipuz "kind", "dimensions" or "puzzle"';
+      }
+      return '';
+    },
+    convert: (bytes, text, fname, options) => {
+      return exolveFromIpuz(exolveFormatsParseJSON(text), fname);
+    },
+  },
+  {
+    name: 'puz',
+    script: 'exolve-from-puz.js',
+    loaded: () => typeof exolveFromPuz == 'function',
+    sniff: (bytes, text) => {
+      const fileMagic = 'ACROSS&DOWN';
+      for (let i = 0; i < fileMagic.length; i++) {
+        if (bytes[0x02 + i] != fileMagic.charCodeAt(i)) {
+          return 'no "ACROSS&DOWN" file magic';
+        }
+      }
+      return '';
+    },
+    /**
+     * If the solution is scrambled, options.key is used to unscramble it. If
+     * options.askKey(fname, key, err) is provided, it is called to get the key
+     * instead (with the last key tried and its error, if any), until it
+     * returns a key that works or an empty key (for solving without the
+     * solution).
+     */
+    convert: (bytes, text, fname, options) => {
+      let key = options.key || '';
+      let err = '';
+      while (options.askKey && exolveFromPuzIsScrambled(bytes)) {
+        key = (options.askKey(fname, key, err) || '').trim();
+        if (!key) {
+          break;
+        }
+        try {
+          return exolveFromPuz(bytes, fname, key);
+        } catch (e) {
+          err = e;
+        }
+      }
+      return exolveFromPuz(bytes, fname, key);
+    },
+  },
+  {
+    name: 'jpz',
+    script: 'exolve-from-jpz.js',
+    loaded: () => typeof exolveFromJpz == 'function',
+    sniff: (bytes, text) => {
+      if (bytes[0] == 0x50 && bytes[1] == 0x4b && bytes[2] == 0x03 &&
+          bytes[3] == 0x04) {
+        /** A zip archive: jpz is the only zipped format that we read. */
+        return '';
+      }
+      if (!/<([\w-]+:)?(crossword-compiler|rectangular-puzzle)\b/.test(text)) {
+        return 'not a zip archive, and no <crossword-compiler> or ' +
+               '<rectangular-puzzle> XML element';
+      }
+      return '';
+    },
+    convert: (bytes, text, fname, options) => {
+      return exolveFromJpzFileText(bytes).then(xml => {
+        const specs = exolveFromJpz(xml, fname);
+        if (!specs) {
+          throw 'not a crossword in the jpz format';
+        }
+        return specs;
+      });
+    },
+  },
+  {
+    name: 'text',
+    script: 'exolve-from-text.js',
+    loaded: () => typeof exolveFromText == 'function',
+    sniff: (bytes, text) => {
+      const lines = text.split('\n');
+      const isHeading = (word) => lines.some(line => new RegExp(
+          '^[^a-zA-Z0-9]*' + word + '[^a-zA-Z0-9]*$', 'i').test(line));
+      if (!isHeading('across') || !isHeading('down')) {
+        return 'no "Across" and "Down" heading lines';
+      }
+      return '';
+    },
+    /**
+     * The grid is inferred (see exolve-from-text.js) for the width and height
+     * given in options.width and options.height. If multiple grids match, the
+     * first one is used.
+     */
+    convert: (bytes, text, fname, options) => {
+      const w = parseInt(options.width);
+      const h = parseInt(options.height);
+      if (isNaN(w) || isNaN(h)) {
+        throw 'the grid width and height are needed';
+      }
+      const worker = exolveFromText(w, h, text, fname);
+      if (typeof worker == 'string') {
+        throw worker;
+      }
+      return new Promise((resolve, reject) => {
+        worker.onmessage = (e) => {
+          if (e.data.update) {
+            return;
+          }
+          worker.terminate();
+          const results = e.data.results;
+          if (results.length == 0) {
+            reject('could not infer a ' + w + 'x' + h + ' grid');
+          } else {
+            resolve(results[0].exolve);
+          }
+        };
+      });
+    },
+  },
+];
+
+/**
+ * Parses the JSON object in text, ignoring anything before its first '{'
+ * and after its last '}' (ipuz files are sometimes wrapped as "ipuz(...)").
+ */
+function exolveFormatsParseJSON(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end < 0 || start >= end) {
+    throw 'no {...} object found';
+  }
+  return JSON.parse(text.substring(start, end + 1));
+}
+
+/**
+ * Adds the format (see the fields listed above exolveFormats) to the
+ * registry, before the format named before (or at the end, if there is no
+ * such format). An existing format with the same name gets replaced.
+ */
+function exolveAddFormat(format, before='') {
+  const existing = exolveFormats.findIndex(f => f.name == format.name);
+  if (existing >= 0) {
+    exolveFormats.splice(existing, 1);
+  }
+  const index = exolveFormats.findIndex(f => f.name == before);
+  exolveFormats.splice(index >= 0 ? index : exolveFormats.length, 0, format);
+}
+
+/**
+ * Returns the format named name from the registry, or null.
+ */
+function exolveFindFormat(name) {
+  return exolveFormats.find(f => f.name == name) || null;
+}
+
+/**
+ * Returns the contents (an ArrayBuffer, a Uint8Array, or a string) as a
+ * Uint8Array and as text.
+ */
+function exolveFormatsDecode(contents) {
+  if (typeof contents == 'string') {
+    return {bytes: new TextEncoder().encode(contents), text: contents};
+  }
+  const bytes = new Uint8Array(contents);
+  return {bytes: bytes, text: new TextDecoder().decode(bytes)};
+}
+
+/**
+ * Lists the reasons why each format tried (an array of {name, reason}
+ * objects) did not work, one per line.
+ */
+function exolveFormatsTriedMessage(tried) {
+  return tried.map(t => t.name + ': ' + t.reason).join('\n');
+}
+
+/**
+ * Figures out the format of contents (an ArrayBuffer, a Uint8Array, or a
+ * string), trying the formats in the registry in order, skipping the ones
+ * named in the array skip. Returns an object with these fields:
+ *   format: The first format (from exolveFormats) that the contents look
+ *     like, or null if there is no such format.
+ *   tried: An array of {name, reason} objects, for each of the formats
+ *     tried before format, with the reason why it was not chosen.
+ *   error: The empty string if format was found, otherwise an error
+ *     message listing the formats tried and the reasons.
+ */
+function exolveSniffFormat(contents, skip=[]) {
+  const {bytes, text} = exolveFormatsDecode(contents);
+  const tried = [];
+  for (const format of exolveFormats) {
+    if (skip.includes(format.name)) {
+      continue;
+    }
+    const reason = format.loaded() ? format.sniff(bytes, text) :
+        (format.script + ' is not loaded');
+    if (!reason) {
+      return {format: format, tried: tried, error: ''};
+    }
+    tried.push({name: format.name, reason: reason});
+  }
+  return {
+    format: null,
+    tried: tried,
+    error: 'Could not tell the format of the crossword. Tried:\n' +
+           exolveFormatsTriedMessage(tried),
+  };
+}
+
+/**
+ * Converts contents (an ArrayBuffer, a Uint8Array, or a string) of the file
+ * named fname to Exolve specs. Each format in the registry (other than the
+ * ones named in options.skip) that the contents look like is tried in turn,
+ * until one of them converts it. The options are also passed on to the
+ * converters (see the puz and text formats above).
+ *
+ * Returns a Promise that resolves to an object with the fields format (the
+ * format used), specs, and tried (as returned by exolveSniffFormat(), for the
+ * formats that did not work). If no format works, the Promise rejects with an
+ * Error whose message lists the formats tried and why each failed, and whose
+ * tried field has the same as an array of {name, reason} objects.
+ */
+function exolveFormatToSpecs(contents, fname='', options={}) {
+  const {bytes, text} = exolveFormatsDecode(contents);
+  const tried = [];
+  const formats = exolveFormats.filter(
+      f => !(options.skip || []).includes(f.name));
+  const tryFrom = (index) => {
+    if (index >= formats.length) {
+      const err = new Error('Could not interpret the data in [' + fname +
+                            '] as a crossword. Tried:\n' +
+                            exolveFormatsTriedMessage(tried));
+      err.tried = tried;
+      return Promise.reject(err);
+    }
+    const format = formats[index];
+    const reason = format.loaded() ? format.sniff(bytes, text) :
+        (format.script + ' is not loaded');
+    if (reason) {
+      tried.push({name: format.name, reason: reason});
+      return tryFrom(index + 1);
+    }
+    return new Promise(resolve => {
+      resolve(format.convert(bytes, text, fname, options));
+    }).then(specs => {
+      if (!specs) {
+        throw 'could not convert';
+      }
+      return {format: format, specs: specs, tried: tried};
+    }).catch(err => {
+      tried.push({name: format.name, reason: 'conversion failed: ' +
+                                             ((err && err.message) || err)});
+      return tryFrom(index + 1);
+    });
+  };
+  return tryFrom(0);
+}
@@ -32,9 +32,14 @@ Version: Exolve v1.64, November 25, 2025
  * crossword format (http://ipuz.org/crossword) to a string in the Exolve
  * format and returns it. Upon any error, this returns the empty string.
  *
+ * Clues listed under the "Clues" direction become nodir clues, placed in
+ * the grid if their "cells" are given. Exolve features that ipuz has no place
+ * for are read from the Exolve extension that exolveToIpuz() writes.
+ *
+ * Omitted (null) cells become void cells.
+ *
  * The following ipuz features are currently unsupported:
- * - Clue directions other than Across and Down.
- * - Omitted cells (they get rendered as black cells).
+ * - Clue directions other than Across, Down and Clues.
  */
 exolveFromIpuz = function(ipuz, fname='') {
   if (!ipuz['dimensions']) {
@@ -56,6 +61,8 @@ exolveFromIpuz = function(ipuz, fname='') {
     return '';
   }
   const id = ipuz['uniqueid'] || '';
+  const xlvExt = ipuz['https://github.com/viresh-ratnakar/exolve'] || {};
+  const layers3d = xlvExt['layers3d'] || 1;
 
   let exolve = `
     exolve-begin
@@ -99,10 +106,18 @@ exolveFromIpuz = function(ipuz, fname='') {
       exolve-explanations:
         ${text}`
   }
-  exolve += `
-      exolve-grid:`
+  if (layers3d > 1) {
+    exolve += `
+      exolve-3d: ${layers3d}`
+  }
+  if (xlvExt['language']) {
+    exolve += `
+      exolve-language: ${xlvExt['language']}`
+  }
   const block = ipuz['block'] || '#';
   const empty = ipuz['empty'] || '0';
+  /** Solution characters that would otherwise mean empty/unknown cells */
+  const extAllowChars = new Set(xlvExt['allowChars'] || '');
   if (ipuz['puzzle'].length != h) {
     console.log('ipuz: mismatched height')
     return '';
@@ -111,7 +126,7 @@ exolveFromIpuz = function(ipuz, fname='') {
   for (let i = 0; i < h; i++) {
     grid[i] = new Array(w)
     for (let j = 0; j < w; j++) {
-      grid[i][j] = {isLight: true, currLetter: '0', solution: '?'}
+      grid[i][j] = {isLight: true, currLetter: '0', solution: '', style: {}}
     }
   }
   for (let i = 0; i < h; i++) {
@@ -129,14 +144,23 @@ exolveFromIpuz = function(ipuz, fname='') {
       if (!ipuzCell.cell && (ipuzCell.style || ipuzCell.value)) {
         ipuzCell.cell = empty
       }
-      if (ipuzCell.cell === null || ipuzCell.cell == block) {
+      if (ipuzCell.cell === null) {
+        gridCell.isLight = false
+        gridCell.isVoid = true
+      } else if (ipuzCell.cell == block) {
         gridCell.isLight = false
       } else if (ipuzCell.cell == empty) {
         // Nothing to do.
       } else {
-        // TODO: make use of this when needed
         gridCell.startsClueLabel = ipuzCell.cell
       }
+      if (gridCell.isLight && ipuzCell.value &&
+          typeof ipuzCell.value === 'string' &&
+          (ipuzCell.value != empty || extAllowChars.has('' + empty))) {
+        gridCell.solution = ipuzCell.value;
+        gridCell.prefill = true;
+      }
+      gridCell.style = ipuzCell.style || {};
       gridCell.hasCircle =
         (ipuzCell.style && ipuzCell.style.shapebg &&
          ipuzCell.style.shapebg == 'circle')
@@ -171,51 +195,151 @@ exolveFromIpuz = function(ipuz, fname='') {
       }
       for (let j = 0; j < w; j++) {
         const gridCell = grid[i][j];
-        if (!gridCell.isLight) continue;
+        if (!gridCell.isLight || gridCell.prefill) continue;
         let ipuzSolCell = ipuzSolRow[j];
         if (typeof ipuzSolCell !== 'object' || !ipuzSolCell) {
           ipuzSolCell = {value: ipuzSolCell};
         }
-        if (ipuzSolCell.value !== null && ipuzSolCell.value != empty &&
-            typeof ipuzSolCell.value !== 'object') {
-          gridCell.solution = ipuzSolCell.value;
+        const value = ipuzSolCell.value;
+        if (value === null || value === '' || typeof value === 'object') {
+          continue;
+        }
+        if ((value == empty && !extAllowChars.has('' + empty)) ||
+            (value == '?' && !extAllowChars.has('?'))) {
+          continue;
+        }
+        gridCell.solution = '' + value;
+      }
+    }
+  }
+  for (const cell of (xlvExt['diagramless'] || [])) {
+    const gridCell = grid[cell[1] - 1] && grid[cell[1] - 1][cell[0] - 1];
+    if (gridCell) gridCell.isDgmless = true;
+  }
+  for (const cell of (xlvExt['skippedNumbers'] || [])) {
+    const gridCell = grid[cell[1] - 1] && grid[cell[1] - 1][cell[0] - 1];
+    if (gridCell) gridCell.skipNum = true;
+  }
+
+  /**
+   * Characters other than A-Z need allow-chars, and multi-char cells need
+   * rebus-cells, unless they are letters in the Exolve extension's language.
+   */
+  const allowChars = new Set(extAllowChars);
+  let rebusCells = !!xlvExt['rebusCells'];
+  if (!xlvExt['language']) {
+    for (let i = 0; i < h; i++) {
+      for (let j = 0; j < w; j++) {
+        const gridCell = grid[i][j];
+        if (!gridCell.isLight) continue;
+        const c = gridCell.solution.toUpperCase();
+        if (c.length > 1) rebusCells = true;
+        for (const letter of c) {
+          if (letter < 'A' || letter > 'Z') allowChars.add(letter);
         }
       }
     }
   }
+  if (rebusCells) {
+    exolve += `
+      exolve-option: rebus-cells`
+  }
+  if (allowChars.size > 0) {
+    exolve += `
+      exolve-option: allow-chars:${[...allowChars].join('')}`
+  }
+  const multiLetter = rebusCells || !!xlvExt['language'];
+
+  exolve += `
+      exolve-grid:`
   for (let i = 0; i < h; i++) {
     let gridRow = '        ';
     for (let j = 0; j < w; j++) {
       const gridCell = grid[i][j];
-      if (!gridCell.isLight) {
-        gridRow += '.';
-        continue;
+      if (multiLetter && j > 0) gridRow += ' ';
+      let c = '.';
+      if (gridCell.isLight) {
+        /** Escape everything other than letters, as it may be a decorator */
+        c = gridCell.solution ? gridCell.solution.replace(
+                /[^\p{L}\p{M}]/gu, '&$&') : (ipuzSol ? '?' : '0');
       }
-      const c = !ipuzSol ? '0' : (
-          (gridCell.solution && gridCell.solution != '0') ?
-              gridCell.solution : '?');
       gridRow += c;
+      if (gridCell.isVoid) gridRow += '^';
       if (gridCell.hasCircle) gridRow += '@';
       if (gridCell.hasBarAfter && gridCell.hasBarUnder) gridRow += '+';
       else if (gridCell.hasBarAfter) gridRow += '|';
       else if (gridCell.hasBarUnder) gridRow += '_';
+      if (gridCell.isDgmless) gridRow += '*';
+      if (gridCell.prefill) gridRow += '!';
+      if (gridCell.skipNum) gridRow += '~';
     }
     exolve += '\n' + gridRow;
   }
 
-  const clues = ipuz['clues'] || {};
+  /** Returns the chessboard notation (like r3c2) for an ipuz [col, row] */
+  const cellLocation = (cell) => 'r' + (h + 1 - cell[1]) + 'c' + cell[0];
+
+  if (xlvExt['reversals']) {
+    exolve += `
+      exolve-reversals: ${xlvExt['reversals'].join(' ')}`
+  }
+
+  const clues = Object.assign({}, ipuz['clues'] || {});
+  /** Lights whose clues have been deleted, listed with "*" as the clue */
+  const deletedClues = {};
+  for (const deleted of (xlvExt['deletedClues'] || [])) {
+    if (!clues[deleted.direction]) {
+      clues[deleted.direction] = [];
+    }
+    if (!deletedClues[deleted.direction]) {
+      deletedClues[deleted.direction] = [];
+    }
+    deletedClues[deleted.direction].push(deleted.number + ' *');
+  }
   for (let idir in clues) {
-    let dir = 'A';
-    let ldir = idir.toLowerCase();
+    const colon = idir.indexOf(':');
+    const ldir = (colon < 0 ? idir : idir.substr(0, colon)).toLowerCase();
+    const heading = colon < 0 ? '' : idir.substr(colon + 1).trim();
+    let section = '';
     if (ldir == 'across') {
+      section = (layers3d > 1) ? '3d-across' : 'across';
     } else if (ldir == 'down') {
-      dir = 'D';
+      section = (layers3d > 1) ? '3d-away' : 'down';
+    } else if (ldir == 'clues') {
+      section = (layers3d > 1) ? '3d-down' : 'nodir';
     } else {
       console.log('ipuz: unsupported direction: ' + idir);
       return '';
     }
+    const isNodir = (section == 'nodir');
     exolve += `
-      exolve-${ldir}:`;
+      exolve-${section}:`;
+    if (isNodir && heading) {
+      exolve += ` ${heading}`;
+    }
+    /**
+     * Returns the clue label, in [] if non-numeric (or nodir). The clue
+     * direction is appended for linked clues.
+     */
+    const clueLabel = (label, ipuzDir='', isChild=false) => {
+      label = '' + label;
+      const lipuzDir = ipuzDir.split(':')[0].toLowerCase();
+      if (!label.match(/^[0-9]+$/) ||
+          (lipuzDir == 'clues' && layers3d <= 1) ||
+          (!lipuzDir && isNodir)) {
+        return '[' + label + ']';
+      }
+      if (!isChild || !lipuzDir) {
+        return label;
+      }
+      if (lipuzDir == 'across') {
+        return label + ((layers3d > 1) ? 'ac' : 'a');
+      }
+      if (lipuzDir == 'down') {
+        return label + ((layers3d > 1) ? 'aw' : 'd');
+      }
+      return label + 'dn';
+    };
     const dirClues = clues[idir];
     for (const clue of dirClues) {
       let objClue = clue || {};
@@ -225,18 +349,32 @@ exolveFromIpuz = function(ipuz, fname='') {
         objClue = {number: objClue[0], clue: objClue[1]};
       }
       const clueText = [];
-      if (objClue.number) {
-        clueText.push(objClue.number);
-      } else if (objClue.label) {
-        clueText.push('[' + objClue.label + ']');
+      const label = objClue.number ?? objClue.label ?? '';
+      const cells = objClue.cells || [];
+      if (cells.length > 0) {
+        /**
+         * Nodir clues need all their cells. Other clues need their start
+         * cell, unless the grid has the clue number there.
+         */
+        if (isNodir) {
+          clueText.push(cells.map(cell => '#' + cellLocation(cell)).join(' '));
+        } else {
+          const startCell = grid[cells[0][1] - 1][cells[0][0] - 1];
+          if (('' + startCell.startsClueLabel) != ('' + label) ||
+              !('' + label).match(/^[0-9]+$/)) {
+            clueText.push('#' + cellLocation(cells[0]));
+          }
+        }
       }
-      if (objClue.continued) {
-        for (let child of objClue.continued) {
-          let s = '';
-          if (child.direction) s += child.direction.charAt(0);
-          if (child.number) s += child.number;
-          if (s) clueText.push(',' + s);
+      if (label !== '') {
+        let labels = clueLabel(label);
+        for (let child of (objClue.continued || [])) {
+          if (child.number) {
+            labels += ', ' + clueLabel(child.number, child.direction || '',
+                                       true);
+          }
         }
+        clueText.push(labels);
       }
       let haveEnum = false;
       if (objClue.clue) {
@@ -245,21 +383,51 @@ exolveFromIpuz = function(ipuz, fname='') {
           haveEnum = true;
         }
       }
+      const clueExt = objClue['https://github.com/viresh-ratnakar/exolve'] ||
+                      {};
+      if (clueExt['hiddenEnum']) {
+        clueText.push(clueExt['hiddenEnum']);
+        haveEnum = true;
+      }
       if (objClue.enumeration && !haveEnum) {
         clueText.push('(' + objClue.enumeration + ')');
         haveEnum = true;
       }
-      if (objClue.answer) {
-        if (!haveEnum) {
-          clueText.push('[]');
-          haveEnum = true;
+      /**
+       * Skip the answer if it is just what the grid has (also avoiding its
+       * misinterpretation as a list of cells).
+       */
+      let answer = objClue.answer ? ('' + objClue.answer) : '';
+      if (answer && cells.length > 0 &&
+          cells.every(cell => grid[cell[1] - 1][cell[0] - 1].solution)) {
+        const entry = cells.map(
+            cell => grid[cell[1] - 1][cell[0] - 1].solution).join('');
+        if (entry.toUpperCase() == answer.toUpperCase()) {
+          answer = '';
         }
-        clueText.push('[' + objClue.answer + ']');
+      }
+      /**
+       * Something in [] after the enum (or, when there is no enum, after the
+       * clue) tells Exolve where the enum ends and the anno begins.
+       */
+      let bracketed = false;
+      if (!haveEnum && (clueExt['revealCells'] || answer ||
+                        objClue.explanation)) {
+        clueText.push('[]');
+        bracketed = true;
+      }
+      if (clueExt['revealCells']) {
+        bracketed = true;
+        clueText.push('[' + clueExt['revealCells'].map(cellLocation).join(' ') +
+                      ']');
+      }
+      if (answer) {
+        bracketed = true;
+        clueText.push('[' + answer + ']');
       }
       if (objClue.explanation) {
-        if (!haveEnum) {
+        if (!bracketed) {
           clueText.push('[]');
-          haveEnum = true;
         }
         clueText.push(objClue.explanation);
       }
@@ -267,6 +435,63 @@ exolveFromIpuz = function(ipuz, fname='') {
       exolve += `
           ${clueText.join(' ')}`;
     }
+    for (const deleted of (deletedClues[idir] || [])) {
+      exolve += `
+          ${deleted}`;
+    }
+  }
+
+  /**
+   * Ninas and colours, from the Exolve extension if present, else from the
+   * ipuz cell styles.
+   */
+  const ninas = xlvExt['ninas'] || [];
+  const colours = xlvExt['colours'] || [];
+  if (!xlvExt['ninas'] || !xlvExt['colours']) {
+    const highlighted = [];
+    const coloured = {};
+    for (let i = 0; i < h; i++) {
+      for (let j = 0; j < w; j++) {
+        const style = grid[i][j].style || {};
+        const loc = cellLocation([j + 1, i + 1]);
+        if (style.highlight) {
+          highlighted.push(loc);
+        }
+        if (style.color && typeof style.color === 'string') {
+          const colour = '#' + style.color.replace(/^#/, '');
+          if (!coloured[colour]) coloured[colour] = [];
+          coloured[colour].push(loc);
+        }
+      }
+    }
+    if (!xlvExt['ninas'] && highlighted.length > 0) {
+      ninas.push(highlighted.join(' '));
+    }
+    if (!xlvExt['colours']) {
+      for (const colour in coloured) {
+        colours.push(colour + ' ' + coloured[colour].join(' '));
+      }
+    }
+  }
+  for (const nina of ninas) {
+    exolve += `
+      exolve-nina: ${nina}`;
+  }
+  for (const colour of colours) {
+    exolve += `
+      exolve-colour: ${colour}`;
+  }
+  for (const alts of (xlvExt['alternatives'] || [])) {
+    exolve += `
+      exolve-alternatives: ${alts}`;
+  }
+  for (const question of (xlvExt['questions'] || [])) {
+    exolve += `
+      exolve-question: ${question.question}`;
+    for (const hint of (question.hints || [])) {
+      exolve += `
+        Hint: ${hint}`;
+    }
   }
   exolve += '\n    exolve-end\n';
   return exolve;
@@ -0,0 +1,692 @@
+/*
+MIT License
+
+Copyright (c) 2026 Viresh Ratnakar
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+
+The latest code and documentation for Exolve can be found at:
+https://github.com/viresh-ratnakar/exolve
+
+Version: Exolve v1.64.6, October 19, 2026
+*/
+
+/**
+ * Replaces the XML entities (predefined and numeric) in s with the characters
+ * that they stand for. Other (HTML) entities are left as they are.
+ */
+function exolveFromJpzUnescape(s) {
+  const named = {lt: '<', gt: '>', amp: '&', quot: '"', apos: '\''};
+  return s.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity.charAt(0) != '#') {
+      return named[entity] ?? match;
+    }
+    const code = (entity.charAt(1).toLowerCase() == 'x') ?
+        parseInt(entity.substr(2), 16) : parseInt(entity.substr(1), 10);
+    return (code > 0 && code <= 0x10ffff) ? String.fromCodePoint(code) : match;
+  });
+}
+
+/**
+ * Parses the XML text xml into a tree of elements, throwing an error if the
+ * XML is malformed. Each element is an object with the fields:
+ *   name: the element name (without any namespace prefix).
+ *   attrs: object mapping attribute names (without any namespace prefixes) to
+ *       their (unescaped) values.
+ *   children: array of child elements.
+ *   start, end: the extent of the contents of the element, in xml.
+ * Returns the (nameless) element that contains the top-level element. This
+ * does not need a DOM (so that it works in Node.js too), and it simply skips
+ * the XML declaration, processing instructions, comments and DOCTYPEs.
+ */
+function exolveFromJpzParseXml(xml) {
+  const root = {name: '', attrs: {}, children: [], start: 0, end: xml.length};
+  const stack = [root];
+  const localName = (name) => name.substr(name.indexOf(':') + 1);
+  const TAG = new RegExp('<([^\\s/>]+)((?:\\s+[^\\s=/>]+\\s*=\\s*' +
+                         '(?:"[^"]*"|\'[^\']*\'))*)\\s*(/?)>', 'y');
+  const ATTR = /([^\s=\/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let index = 0;
+  const skipPast = (s) => {
+    const end = xml.indexOf(s, index);
+    if (end < 0) {
+      throw 'Missing "' + s + '"';
+    }
+    return end + s.length;
+  };
+  while ((index = xml.indexOf('<', index)) >= 0) {
+    const top = stack[stack.length - 1];
+    if (xml.startsWith('<!--', index)) {
+      index = skipPast('-->');
+    } else if (xml.startsWith('<![CDATA[', index)) {
+      index = skipPast(']]>');
+    } else if (xml.startsWith('<?', index)) {
+      index = skipPast('?>');
+    } else if (xml.startsWith('<!', index)) {
+      /** DOCTYPE, possibly with declarations within [] */
+      const bracket = xml.indexOf('[', index);
+      const close = xml.indexOf('>', index);
+      index = (bracket >= 0 && bracket < close) ? skipPast(']>') :
+              skipPast('>');
+    } else if (xml.startsWith('</', index)) {
+      const close = skipPast('>');
+      const name = localName(xml.substring(index + 2, close - 1).trim());
+      if (stack.length <= 1 || top.name != name) {
+        throw 'Mismatched closing tag: ' + name;
+      }
+      top.end = index;
+      stack.pop();
+      index = close;
+    } else {
+      TAG.lastIndex = index;
+      const match = TAG.exec(xml);
+      if (!match) {
+        throw 'Malformed tag: ' + xml.substr(index, 40);
+      }
+      index += match[0].length;
+      const elt = {
+        name: localName(match[1]),
+        attrs: {},
+        children: [],
+        start: index,
+        end: index,
+      };
+      let attr;
+      while ((attr = ATTR.exec(match[2]))) {
+        elt.attrs[localName(attr[1])] =
+            exolveFromJpzUnescape(attr[2] ?? attr[3]);
+      }
+      top.children.push(elt);
+      if (!match[3]) {
+        stack.push(elt);
+      }
+    }
+  }
+  if (stack.length > 1) {
+    throw 'Unclosed element: ' + stack.pop().name;
+  }
+  return root;
+}
+
+/**
+ * Returns the first element named name within elt (searching depth-first),
+ * or null.
+ */
+function exolveFromJpzFind(elt, name) {
+  for (const child of elt.children) {
+    if (child.name == name) {
+      return child;
+    }
+    const found = exolveFromJpzFind(child, name);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+function exolveFromJpzChildren(elt, name) {
+  return elt ? elt.children.filter(child => child.name == name) : [];
+}
+
+/**
+ * Returns the contents of elt (from xml) as HTML on a single line, with
+ * comments removed and CDATA sections unwrapped.
+ */
+function exolveFromJpzHtml(xml, elt) {
+  if (!elt) {
+    return '';
+  }
+  return xml.substring(elt.start, elt.end).replace(
+      /<!--[\s\S]*?-->/g, '').replace(
+      /<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Returns the text within elt (from xml), without any markup.
+ */
+function exolveFromJpzText(xml, elt) {
+  if (!elt) {
+    return '';
+  }
+  const parts = xml.substring(elt.start, elt.end).replace(
+      /<!--[\s\S]*?-->/g, '').split(/<!\[CDATA\[([\s\S]*?)\]\]>/);
+  /** Odd-numbered parts are the contents of CDATA sections */
+  return parts.map((part, x) => (x % 2) ? part :
+      exolveFromJpzUnescape(part.replace(/<[^>]*>/g, ''))).join('').replace(
+      /\s+/g, ' ').trim();
+}
+
+/**
+ * Returns the numbers in a jpz range such as "3", "1-5" or "5-1".
+ */
+function exolveFromJpzRange(s) {
+  const parts = ('' + s).split('-').map(x => parseInt(x, 10));
+  if (parts.length > 2 || parts.some(isNaN)) {
+    return [];
+  }
+  const from = parts[0];
+  const to = parts[parts.length - 1];
+  const step = (to >= from) ? 1 : -1;
+  const range = [];
+  for (let v = from; v != to + step; v += step) {
+    range.push(v);
+  }
+  return range;
+}
+
+/**
+ * Returns the cells of a jpz word element, as 1-based [x, y] (i.e., [column,
+ * row]) pairs. The cells are specified by x and y ranges in the word element
+ * itself, and/or in its "cells" child elements.
+ */
+function exolveFromJpzWordCells(word) {
+  const cells = [];
+  const ranges = word.attrs['x'] ? [word] : [];
+  for (const elt of ranges.concat(exolveFromJpzChildren(word, 'cells'))) {
+    for (const y of exolveFromJpzRange(elt.attrs['y'] || '')) {
+      for (const x of exolveFromJpzRange(elt.attrs['x'] || '')) {
+        cells.push([x, y]);
+      }
+    }
+  }
+  return cells;
+}
+
+/**
+ * .jpz files are often zip archives containing the XML file. If the contents
+ * (a Uint8Array or an ArrayBuffer) are a zip archive, this returns its first
+ * entry as an object with the fields method (0 for stored, 8 for deflated)
+ * and data (the compressed bytes). Otherwise, it returns null.
+ */
+function exolveFromJpzZipEntry(buffer) {
+  buffer = new Uint8Array(buffer);
+  const u16 = (offset) => buffer[offset] | (buffer[offset + 1] << 8);
+  const u32 = (offset) => (u16(offset) | (u16(offset + 2) << 16)) >>> 0;
+  if (buffer.length < 30 || u32(0) != 0x04034b50) {
+    return null;
+  }
+  /**
+   * The sizes in the local header may be missing (if they follow the data),
+   * so we read them from the central directory.
+   */
+  let eocd = buffer.length - 22;
+  while (eocd >= 0 && u32(eocd) != 0x06054b50) {
+    eocd--;
+  }
+  if (eocd < 0) {
+    return null;
+  }
+  const central = u32(eocd + 16);
+  if (central + 46 > buffer.length || u32(central) != 0x02014b50) {
+    return null;
+  }
+  const local = u32(central + 42);
+  const size = u32(central + 20);
+  const start = local + 30 + u16(local + 26) + u16(local + 28);
+  if (start + size > buffer.length) {
+    return null;
+  }
+  return {
+    method: u16(central + 10),
+    data: buffer.subarray(start, start + size),
+  };
+}
+
+/**
+ * Returns a Promise that resolves to the XML text of the contents (a
+ * Uint8Array or an ArrayBuffer) of a .jpz file, unzipping it if needed.
+ */
+function exolveFromJpzFileText(buffer) {
+  const entry = exolveFromJpzZipEntry(buffer);
+  if (!entry) {
+    return Promise.resolve(new TextDecoder().decode(buffer));
+  }
+  if (entry.method == 0) {
+    return Promise.resolve(new TextDecoder().decode(entry.data));
+  }
+  if (entry.method != 8) {
+    return Promise.reject('Unsupported zip compression method: ' +
+                          entry.method);
+  }
+  const stream = new Blob([entry.data]).stream().pipeThrough(
+      new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+/**
+ * exolveFromJpz() converts jpz, the XML text of a crossword in the JPZ
+ * format (used by Crossword Compiler), to a string in the Exolve format and
+ * returns it. Upon any error, this returns the empty string. Use
+ * exolveFromJpzFileText() to get the XML text from a (possibly zipped) .jpz
+ * file.
+ *
+ * Bars, circles, background colours (which become exolve-colour sections),
+ * hint cells (which become pre-filled cells) and void cells are read from the
+ * grid. Clues for across and down lights of the grid become across and down
+ * clues, and other clues become nodir clues, with their cells. Each list of
+ * clues is shown as a separate table of clues (with its title), except that
+ * its clues get split up by direction if needed. Clues for words made of
+ * multiple lights become linked clues (and the clues for the other lights in
+ * them, such as "See 2", are left without enums). Enums come from the "format"
+ * attributes of the clues, and annotations from the "citation" attributes.
+ *
+ * The clues for across and down lights are numbered as per the grid (as is
+ * usual in Exolve), except when the number given in the jpz clue is
+ * different: then that number is used as the clue's label (along with the
+ * location of its first cell). If the grid has no numbers at all, the
+ * hide-inferred-numbers option is used. The ignore-enum-mismatch option is
+ * used only if some enum does not match the length of its light.
+ *
+ * Only crossword puzzles are supported (not other kinds of puzzles that JPZ
+ * can describe, such as word searches).
+ */
+function exolveFromJpz(jpz, fname='') {
+  let root = null;
+  try {
+    root = exolveFromJpzParseXml(jpz);
+  } catch (err) {
+    console.log('jpz: ' + err);
+    return '';
+  }
+  const puzzle = exolveFromJpzFind(root, 'rectangular-puzzle');
+  if (!puzzle) {
+    console.log('jpz: missing "rectangular-puzzle"');
+    return '';
+  }
+  const crossword = exolveFromJpzFind(puzzle, 'crossword');
+  if (!crossword) {
+    console.log('jpz: missing "crossword"');
+    return '';
+  }
+  const gridElt = exolveFromJpzChildren(crossword, 'grid')[0];
+  if (!gridElt) {
+    console.log('jpz: missing "grid"');
+    return '';
+  }
+  const w = parseInt(gridElt.attrs['width']);
+  const h = parseInt(gridElt.attrs['height']);
+  if (!(w > 0) || !(h > 0)) {
+    console.log('jpz: missing or bad "width"/"height"');
+    return '';
+  }
+  const metadata = exolveFromJpzFind(puzzle, 'metadata');
+  const title = exolveFromJpzText(jpz, exolveFromJpzFind(metadata || puzzle,
+                                                         'title'));
+  const setter = exolveFromJpzText(jpz, exolveFromJpzFind(metadata || puzzle,
+                                                          'creator'));
+  let copyright = exolveFromJpzText(
+      jpz, exolveFromJpzFind(metadata || puzzle, 'copyright'));
+  const c0 = copyright.charAt(0);
+  if (c0 == 'Ⓒ' || c0 == '©') {
+    copyright = copyright.substr(1).trim();
+  }
+  const preamble = [
+    exolveFromJpzHtml(jpz, metadata && exolveFromJpzFind(metadata,
+                                                         'description')),
+    exolveFromJpzHtml(jpz, exolveFromJpzFind(puzzle, 'instructions')),
+  ].filter(text => text).join('<br>\n');
+
+  let exolve = `
+    exolve-begin
+      exolve-width: ${w}
+      exolve-height: ${h}`
+  if (!fname) {
+    fname = 'unknown'
+  }
+  exolve += `
+    exolve-maker:
+      Converted by exolve-from-jpz.js from ${fname}`
+  if (title) {
+    exolve += `
+      exolve-title: ${title}`
+  }
+  if (setter) {
+    exolve += `
+      exolve-setter: ${setter}`
+  }
+  if (copyright) {
+    exolve += `
+      exolve-copyright: ${copyright}`
+  }
+  if (preamble) {
+    exolve += `
+      exolve-preamble:
+        ${preamble}`
+  }
+
+  const grid = new Array(h);
+  for (let i = 0; i < h; i++) {
+    grid[i] = new Array(w);
+    for (let j = 0; j < w; j++) {
+      grid[i][j] = {isLight: false, isVoid: false, solution: '', colour: ''};
+    }
+  }
+  let hasSolutions = false;
+  let hasNumbers = false;
+  for (const cell of exolveFromJpzChildren(gridElt, 'cell')) {
+    const attrs = cell.attrs;
+    const i = parseInt(attrs['y']) - 1;
+    const j = parseInt(attrs['x']) - 1;
+    if (!(i >= 0 && i < h && j >= 0 && j < w)) {
+      console.log('jpz: cell out of bounds: ' + attrs['x'] + ',' + attrs['y']);
+      return '';
+    }
+    const gridCell = grid[i][j];
+    const type = attrs['type'] || '';
+    /** "clue" cells (in arrowword grids) are shown as blocks */
+    gridCell.isLight = (type != 'block' && type != 'void' && type != 'clue');
+    gridCell.isVoid = (type == 'void');
+    if (gridCell.isLight) {
+      gridCell.solution = (attrs['solution'] || '').trim();
+      if (gridCell.solution) {
+        hasSolutions = true;
+        gridCell.prefill = (attrs['hint'] == 'true');
+      }
+      gridCell.hasCircle = (attrs['background-shape'] == 'circle');
+      if (attrs['number']) hasNumbers = true;
+      gridCell.colour = attrs['background-color'] || '';
+    }
+    if (attrs['right-bar'] == 'true') gridCell.hasBarAfter = true;
+    if (attrs['bottom-bar'] == 'true') gridCell.hasBarUnder = true;
+    if (attrs['left-bar'] == 'true' && j > 0) grid[i][j-1].hasBarAfter = true;
+    if (attrs['top-bar'] == 'true' && i > 0) grid[i-1][j].hasBarUnder = true;
+  }
+
+  /**
+   * Characters other than A-Z need allow-chars, and multi-char cells need
+   * rebus-cells.
+   */
+  const allowChars = new Set();
+  let rebusCells = false;
+  for (let i = 0; i < h; i++) {
+    for (let j = 0; j < w; j++) {
+      const gridCell = grid[i][j];
+      if (!gridCell.isLight) continue;
+      const c = gridCell.solution.toUpperCase();
+      if (c.length > 1) rebusCells = true;
+      for (const letter of c) {
+        if (letter < 'A' || letter > 'Z') allowChars.add(letter);
+      }
+    }
+  }
+  if (rebusCells) {
+    exolve += `
+      exolve-option: rebus-cells`
+  }
+  if (!hasNumbers) {
+    exolve += `
+      exolve-option: hide-inferred-numbers`
+  }
+  if (allowChars.size > 0) {
+    exolve += `
+      exolve-option: allow-chars:${[...allowChars].join('')}`
+  }
+
+  exolve += `
+      exolve-grid:`
+  let tempGrid = '';
+  for (let i = 0; i < h; i++) {
+    let gridRow = '        ';
+    tempGrid += '    ';
+    for (let j = 0; j < w; j++) {
+      const gridCell = grid[i][j];
+      if (rebusCells && j > 0) gridRow += ' ';
+      let c = '.';
+      if (gridCell.isLight) {
+        /** Escape everything other than letters, as it may be a decorator */
+        c = gridCell.solution ? gridCell.solution.replace(
+                /[^\p{L}\p{M}]/gu, '&$&') : (hasSolutions ? '?' : '0');
+      }
+      let bar = '';
+      if (gridCell.hasBarAfter && gridCell.hasBarUnder) bar = '+';
+      else if (gridCell.hasBarAfter) bar = '|';
+      else if (gridCell.hasBarUnder) bar = '_';
+      gridRow += c + bar;
+      tempGrid += (gridCell.isLight ? '0' : '.') + bar;
+      if (gridCell.isVoid) gridRow += '^';
+      if (gridCell.hasCircle) gridRow += '@';
+      if (gridCell.prefill) gridRow += '!';
+    }
+    exolve += '\n' + gridRow;
+    tempGrid += '\n';
+  }
+
+  /** Returns the chessboard notation (like r3c2) for a jpz [x, y] */
+  const cellLocation = (cell) => 'r' + (h + 1 - cell[1]) + 'c' + cell[0];
+
+  /**
+   * We use the Exolve code (headless, so no DOM is needed) to find the
+   * across and down lights, keyed by their first cells.
+   */
+  let tempPuz = null;
+  try {
+    tempPuz = new Exolve(`
+    exolve-begin
+    exolve-width: ${w}
+    exolve-height: ${h}
+    exolve-grid:
+${tempGrid}
+    exolve-end
+    `, '', null, false, 0, 0, false, true);
+  } catch (err) {
+    console.log('jpz: ' + err);
+    return '';
+  }
+  const lightsByStart = {};
+  for (const ci in tempPuz.clues) {
+    const light = tempPuz.clues[ci];
+    if (!light.cells || light.cells.length == 0) continue;
+    const cells = light.cells.map(cell => [cell[1] + 1, cell[0] + 1]);
+    const start = JSON.stringify(cells[0]);
+    if (!lightsByStart[start]) lightsByStart[start] = [];
+    lightsByStart[start].push({dir: light.dir, label: light.label,
+                               cells: cells});
+  }
+  /**
+   * Returns the lights that the cells (of a word) are made of, or null if
+   * the cells are not made of whole lights. As in Exolve, a light in a word
+   * may start on the cell where the previous light ends.
+   */
+  const wordLights = (cells) => {
+    const matches = (light, from) =>
+        light.cells.length <= cells.length - from &&
+        light.cells.every((cell, x) =>
+            JSON.stringify(cell) == JSON.stringify(cells[from + x]));
+    const lights = [];
+    let k = 0;
+    while (k < cells.length) {
+      let best = null;
+      let bestEnd = k;
+      for (const from of ((k > 0) ? [k, k - 1] : [k])) {
+        for (const light of (lightsByStart[JSON.stringify(cells[from])] ||
+                             [])) {
+          if (matches(light, from) &&
+              from + light.cells.length > bestEnd) {
+            best = light;
+            bestEnd = from + light.cells.length;
+          }
+        }
+      }
+      if (!best) return null;
+      lights.push(best);
+      k = bestEnd;
+    }
+    return lights;
+  };
+
+  const words = {};
+  for (const word of exolveFromJpzChildren(crossword, 'word')) {
+    words[word.attrs['id']] = exolveFromJpzWordCells(word);
+  }
+  const clueLists = [];
+  /** The lights (other than the first) in the words of linked clues */
+  const childLights = new Set();
+  for (const cluesElt of exolveFromJpzChildren(crossword, 'clues')) {
+    const clueList = {
+      title: exolveFromJpzText(jpz, exolveFromJpzChildren(cluesElt,
+                                                           'title')[0]),
+      clues: [],
+    };
+    for (const clueElt of exolveFromJpzChildren(cluesElt, 'clue')) {
+      const cells = words[clueElt.attrs['word']] || [];
+      const clue = {
+        number: clueElt.attrs['number'] || '',
+        text: exolveFromJpzHtml(jpz, clueElt),
+        format: clueElt.attrs['format'] || '',
+        citation: clueElt.attrs['citation'] || '',
+        cells: cells,
+        lights: (cells.length > 0) ? wordLights(cells) : null,
+      };
+      for (const light of (clue.lights || []).slice(1)) {
+        childLights.add(JSON.stringify(light.cells));
+      }
+      clueList.clues.push(clue);
+    }
+    clueLists.push(clueList);
+  }
+
+  /**
+   * Split the lists of clues by section (a list usually has all its clues
+   * in a single section), and group them by section. Lists after the first
+   * one in a section are shown as separate tables of clues, with their
+   * titles.
+   */
+  const sections = {};
+  for (const clueList of clueLists) {
+    const parts = {};
+    for (const clue of clueList.clues) {
+      const section = !clue.lights ? 'nodir' :
+          ((clue.lights[0].dir == 'A') ? 'across' : 'down');
+      if (!parts[section]) {
+        parts[section] = {title: clueList.title, clues: []};
+      }
+      parts[section].clues.push(clue);
+    }
+    for (const section in parts) {
+      parts[section].isWhole = (Object.keys(parts).length == 1);
+      if (!sections[section]) sections[section] = [];
+      sections[section].push(parts[section]);
+    }
+  }
+  const relabels = [];
+  for (const section in sections) {
+    const isNodir = (section == 'nodir');
+    exolve += `
+      exolve-${section}:`
+    sections[section].forEach((clueList, x) => {
+      if (x > 0) {
+        exolve += `
+          ---${clueList.title ? ' ' + clueList.title : ''}`
+      } else if (isNodir) {
+        if (clueList.title) {
+          exolve += ` ${clueList.title}`
+        }
+      } else if (clueList.isWhole && clueList.title &&
+                 clueList.title.toLowerCase() != section) {
+        relabels.push(`${section}-label: ${clueList.title}`);
+      }
+      for (const clue of clueList.clues) {
+        const clueText = [];
+        if (isNodir) {
+          if (clue.cells.length > 0) {
+            clueText.push(clue.cells.map(
+                cell => '#' + cellLocation(cell)).join(' '));
+          }
+          if (clue.number) {
+            clueText.push('[' + clue.number + ']');
+          }
+        } else {
+          const labels = clue.lights.map((light, k) => light.label +
+              ((k == 0) ? '' : light.dir.toLowerCase()));
+          /**
+           * Keep the jpz clue's own number (such as a non-numeric label in
+           * a jigsaw) if it is not the grid's number.
+           */
+          const number = clue.number.split(',')[0].trim();
+          if (number && number != clue.lights[0].label) {
+            labels[0] = '#' + cellLocation(clue.lights[0].cells[0]) +
+                        ' [' + number + ']';
+          }
+          clueText.push(labels.join(', '));
+        }
+        /**
+         * The enum is usually only in the format, but some clues have it in
+         * the text too.
+         */
+        const formatEnum = clue.format ? '(' + clue.format + ')' : '';
+        let haveEnum = false;
+        if (clue.text) {
+          clueText.push(clue.text);
+          haveEnum = formatEnum ? clue.text.endsWith(formatEnum) :
+                     clue.text.endsWith(')');
+        }
+        /** Clues for the other lights of linked clues must not have enums */
+        const isChild = !isNodir && clue.lights.length == 1 &&
+                        childLights.has(JSON.stringify(clue.cells));
+        if (formatEnum && !haveEnum && !isChild) {
+          clueText.push(formatEnum);
+          haveEnum = true;
+        }
+        if (clue.citation) {
+          if (!haveEnum) {
+            clueText.push('[]');
+          }
+          clueText.push(clue.citation);
+        }
+        exolve += `
+          ${clueText.join(' ')}`
+      }
+    });
+  }
+  if (relabels.length > 0) {
+    exolve += `
+      exolve-relabel:
+        ${relabels.join('\n        ')}`
+  }
+
+  const coloured = {};
+  for (let i = 0; i < h; i++) {
+    for (let j = 0; j < w; j++) {
+      const colour = grid[i][j].colour;
+      if (!colour) continue;
+      if (!coloured[colour]) coloured[colour] = [];
+      coloured[colour].push(cellLocation([j + 1, i + 1]));
+    }
+  }
+  for (const colour in coloured) {
+    exolve += `
+      exolve-colour: ${colour} ${coloured[colour].join(' ')}`;
+  }
+  exolve += '\n    exolve-end\n';
+
+  /**
+   * Only ignore mismatches between enums and lights if there are some.
+   */
+  try {
+    const puz = new Exolve(exolve, '', null, false, 0, 0, false, true);
+    if (puz.optionsForWarningFixes.includes('ignore-enum-mismatch')) {
+      exolve = exolve.replace('exolve-begin', `exolve-begin
+      exolve-option: ignore-enum-mismatch`);
+    }
+  } catch (err) {
+    console.log('jpz: ' + err);
+  }
+  return exolve;
+}
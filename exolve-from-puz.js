@@ -37,7 +37,107 @@ function exolveFromPuzNextNull(buffer, offset) {
   return offset;
 }
 
-function exolveFromPuz(buffer, fname='') {
+/**
+ * The .puz checksum of len bytes of buffer starting at offset.
+ */
+function exolveFromPuzCksum(buffer, offset, len, cksum=0) {
+  for (let i = 0; i < len; i++) {
+    if (cksum & 0x0001) {
+      cksum = (cksum >> 1) | 0x8000;
+    } else {
+      cksum = cksum >> 1;
+    }
+    cksum += buffer[offset + i];
+    cksum = cksum & 0xffff;
+  }
+  return cksum;
+}
+
+/**
+ * Returns true if the solution in the .puz file contents is scrambled (and
+ * can only be unscrambled with its 4-digit key).
+ */
+function exolveFromPuzIsScrambled(buffer) {
+  buffer = new Uint8Array(buffer);
+  const fileMagic = 'ACROSS&DOWN';
+  for (let i = 0; i < fileMagic.length; i++) {
+    if (buffer[0x02 + i] != fileMagic.charCodeAt(i)) {
+      return false;
+    }
+  }
+  return buffer.length > 0x34 && (buffer[0x32] & 0x04) != 0;
+}
+
+/**
+ * Unscrambles letters (the solution letters of a scrambled .puz file, in
+ * column-major order, skipping blocks) using the 4-digit key, undoing the
+ * scrambling done by exolveToPuzScramble() (and by Across Lite).
+ */
+function exolveFromPuzUnscramble(letters, key) {
+  const digits = key.split('').map(d => parseInt(d));
+  const len = letters.length;
+  const A = 'A'.charCodeAt(0);
+  for (let k = digits.length - 1; k >= 0; k--) {
+    /** Undo the riffle shuffle of the two halves */
+    let s = '';
+    for (let i = 1; i < len; i += 2) {
+      s += letters.charAt(i);
+    }
+    for (let i = 0; i < len; i += 2) {
+      s += letters.charAt(i);
+    }
+    /** Undo the cut at the digit */
+    if (digits[k] < len) {
+      s = s.substr(len - digits[k]) + s.substr(0, len - digits[k]);
+    }
+    /** Undo the shifting of each letter by a digit */
+    letters = '';
+    for (let i = 0; i < len; i++) {
+      const shift = digits[i % digits.length];
+      letters += String.fromCharCode(
+          A + ((s.charCodeAt(i) - A - shift + 26) % 26));
+    }
+  }
+  return letters;
+}
+
+/**
+ * Returns the extra sections (such as GEXT, GRBS, RTBL, LTIM, RUSR) found in
+ * the .puz file contents from offset onwards, as an object that maps section
+ * names to their data. Each section has a 4-letter name, the length of its
+ * data (2 bytes), a checksum (2 bytes), the data, and a null byte. Any
+ * unrecognizable bytes are skipped.
+ */
+function exolveFromPuzSections(buffer, offset) {
+  const sections = {};
+  while (offset + 8 <= buffer.length) {
+    let name = '';
+    for (let i = 0; i < 4; i++) {
+      name += String.fromCharCode(buffer[offset + i]);
+    }
+    const len = (buffer[offset + 5] << 8) + buffer[offset + 4];
+    if (!/^[A-Z]{4}$/.test(name) || offset + 8 + len > buffer.length) {
+      offset++;
+      continue;
+    }
+    sections[name] = buffer.slice(offset + 8, offset + 8 + len);
+    offset += 8 + len + 1;
+  }
+  return sections;
+}
+
+/**
+ * Converts the contents of a .puz file to Exolve specs (returning '' if the
+ * contents are not in the .puz format). Rebus cells (from the GRBS and RTBL
+ * sections) become multi-letter cells, with the rebus-cells option. Entries
+ * made by the solver (in the player grid, and in the RUSR section for rebus
+ * entries) become an exolve-state section, and the solving time (from the
+ * LTIM section) becomes an exolve-state-timer section, so that the solver
+ * can carry on from there. If the solution is scrambled, then it is
+ * unscrambled with key (throwing an error if key is wrong), or left out if
+ * key is not provided.
+ */
+function exolveFromPuz(buffer, fname='', key='') {
   const dotPuzShort = function(buffer, offset) {
     return (buffer[offset + 1] << 8) + buffer[offset];
   }
@@ -63,38 +163,67 @@ function exolveFromPuz(buffer, fname='') {
 
   const numCells = width * height;
 
-  let exolveGrid = '';
+  /**
+   * The solution and the player's entries, in row-major order. Blocks are
+   * '.', empty player cells are '-', and unknown solutions are ''.
+   */
   offset = 0x34;
-  for (let i = 0; i < height; i++) {
-    exolveGrid += '    ';
+  const solution = [];
+  for (let k = 0; k < numCells; k++) {
+    const c = decoder.decode(buffer.slice(offset, offset + 1)).toUpperCase();
+    offset++;
+    solution.push(c == '?' ? '' : c);
+  }
+  const entries = [];
+  for (let k = 0; k < numCells; k++) {
+    entries.push(decoder.decode(buffer.slice(offset, offset + 1)));
+    offset++;
+  }
+
+  if (exolveFromPuzIsScrambled(buffer)) {
+    const lightIndices = [];
     for (let j = 0; j < width; j++) {
-      let solution = decoder.decode(buffer.slice(offset, offset + 1));
-      offset++;
-      exolveGrid += (!solution || solution == '0') ? '?' : solution;
+      for (let i = 0; i < height; i++) {
+        if (solution[(i * width) + j] != '.') {
+          lightIndices.push((i * width) + j);
+        }
+      }
+    }
+    let letters = '';
+    if (key) {
+      letters = exolveFromPuzUnscramble(
+          lightIndices.map(k => solution[k]).join(''), key);
+      const lettersBuffer = encoder.encode(letters);
+      if (exolveFromPuzCksum(lettersBuffer, 0, lettersBuffer.length) !=
+          dotPuzShort(buffer, 0x1E)) {
+        throw 'Wrong key for the scrambled solution in ' + (fname || '.puz');
+      }
+    }
+    for (let x = 0; x < lightIndices.length; x++) {
+      solution[lightIndices[x]] = letters.charAt(x);
     }
-    exolveGrid += '\n';
   }
-  const dummyContainer = document.createElement('div');
-  dummyContainer.style.display = 'none';
-  let dummyId = `puzxlv-${Math.random().toString(36).substring(2, 8)}`
-  dummyContainer.id = dummyId;
-  document.body.appendChild(dummyContainer);
 
-  // We use the Exolve code to figure out clue numbering:
+  let tempGrid = '';
+  for (let i = 0; i < height; i++) {
+    tempGrid += '    ';
+    for (let j = 0; j < width; j++) {
+      tempGrid += (solution[(i * width) + j] == '.') ? '.' : '0';
+    }
+    tempGrid += '\n';
+  }
+  // We use the Exolve code (headless, so no DOM is needed) to figure out
+  // clue numbering:
   const tempPuz = new Exolve(`
   exolve-begin
   exolve-width: ${width}
   exolve-height: ${height}
-  exolve-id: ${dummyId}
   exolve-grid:
-${exolveGrid}
+${tempGrid}
   exolve-end
-  `, dummyId, null, false, 0, 0, false);
+  `, '', null, false, 0, 0, false, true);
 
-  dummyContainer.remove();
-
-  offset += numCells;
-  nextNull = exolveFromPuzNextNull(buffer, offset);
+  let nextNull = exolveFromPuzNextNull(buffer, offset);
   const title = decoder.decode(buffer.slice(offset, nextNull)).trim();
   offset = nextNull + 1;
 
@@ -148,32 +277,119 @@ ${exolveGrid}
   let notes = decoder.decode(buffer.slice(offset, nextNull)).trim();
   offset = nextNull + 1;
 
-  const gext = 'GEXT';
-  while (offset + 8 + numCells <= buffer.length) {
-    if (buffer[offset] == gext.charCodeAt(0) &&
-        buffer[offset + 1] == gext.charCodeAt(1) &&
-        buffer[offset + 2] == gext.charCodeAt(2) &&
-        buffer[offset + 3] == gext.charCodeAt(3)) {
-      offset += 8;
-      exolveGrid = '';
-      for (let i = 0; i < height; i++) {
-        exolveGrid += '    ';
-        for (let j = 0; j < width; j++) {
-          exolveGrid += tempPuz.grid[i][j].solution;
-          if (buffer[offset++] & 0x80) {
-            exolveGrid += '@';
-          } else {
-            exolveGrid += ' ';
-          }
-        }
-        exolveGrid += '\n';
+  const sections = exolveFromPuzSections(buffer, offset);
+  const gext = sections['GEXT'];
+  const grbs = sections['GRBS'];
+  /** RTBL has entries like " 2:HEART;" and GRBS has 1 + 2 for such cells */
+  const rebusTable = {};
+  if (sections['RTBL']) {
+    for (const rebus of decoder.decode(sections['RTBL']).split(';')) {
+      const colon = rebus.indexOf(':');
+      if (colon > 0) {
+        rebusTable[parseInt(rebus.substr(0, colon))] =
+            rebus.substr(colon + 1).trim().toUpperCase();
       }
-      break;
-    } else {
-      offset++;
     }
   }
-  tempPuz.destroy();
+  /** RUSR has a null-terminated string for each cell (empty if no rebus) */
+  const userRebuses = sections['RUSR'] ?
+      decoder.decode(sections['RUSR']).split('\0') : [];
+
+  /**
+   * Characters other than A-Z need allow-chars, and multi-char cells need
+   * rebus-cells.
+   */
+  const allowChars = new Set();
+  let rebusCells = false;
+  let hasSolution = false;
+  for (let k = 0; k < numCells; k++) {
+    if (solution[k] == '.') {
+      continue;
+    }
+    if (solution[k] && grbs && grbs[k] > 0 &&
+        rebusTable.hasOwnProperty(grbs[k] - 1)) {
+      solution[k] = rebusTable[grbs[k] - 1];
+    }
+    if (userRebuses[k]) {
+      entries[k] = userRebuses[k];
+    }
+    entries[k] = entries[k].toUpperCase();
+    if (solution[k]) {
+      hasSolution = true;
+    }
+    for (const c of [solution[k], entries[k]]) {
+      if (c.length > 1) {
+        rebusCells = true;
+      }
+    }
+    for (const letter of solution[k]) {
+      if (letter < 'A' || letter > 'Z') {
+        allowChars.add(letter);
+      }
+    }
+  }
+
+  let exolveGrid = '';
+  for (let i = 0; i < height; i++) {
+    exolveGrid += '    ';
+    for (let j = 0; j < width; j++) {
+      const k = (i * width) + j;
+      if (rebusCells && j > 0) {
+        exolveGrid += ' ';
+      }
+      if (solution[k] == '.') {
+        exolveGrid += '.';
+      } else if (solution[k]) {
+        /** Escape everything other than letters, as it may be a decorator */
+        exolveGrid += solution[k].replace(/[^\p{L}\p{M}]/gu, '&$&');
+      } else {
+        exolveGrid += hasSolution ? '?' : '0';
+      }
+      if (gext && (gext[k] & 0x80)) {
+        exolveGrid += '@';
+      }
+    }
+    exolveGrid += '\n';
+  }
+
+  /**
+   * The solver's entries, in the Exolve state format. Entries that do not
+   * fit in the puzzle's character set are left out.
+   */
+  let state = '';
+  let numEntries = 0;
+  for (let k = 0; k < numCells; k++) {
+    if (solution[k] == '.') {
+      state += '.';
+      continue;
+    }
+    let stateChars = '0';
+    const entry = entries[k];
+    if (entry && entry != '-' &&
+        [...entry].every(c => (c >= 'A' && c <= 'Z') || allowChars.has(c))) {
+      stateChars = [...entry].map(
+          c => tempPuz.SPECIAL_STATE_CHARS[c] || c).join('');
+      numEntries++;
+    }
+    state += stateChars + (rebusCells ? '$' : '');
+  }
+  let stateSpecs = '';
+  let elapsedSecs = 0;
+  let timerStopped = false;
+  if (sections['LTIM']) {
+    /** LTIM has "<elapsed seconds>,<1 if stopped, 0 if running>" */
+    const parts = decoder.decode(sections['LTIM']).split(',');
+    elapsedSecs = parseInt(parts[0]) || 0;
+    timerStopped = (parts[1] || '').trim() == '1';
+  }
+  if (numEntries > 0 || elapsedSecs > 0) {
+    stateSpecs = `
+  exolve-state: ${state}`;
+    if (elapsedSecs > 0) {
+      stateSpecs += `
+  exolve-state-timer: ${elapsedSecs}${timerStopped ? ' paused' : ''}`;
+    }
+  }
 
   if (!fname) {
     fname = 'unknown'
@@ -183,6 +399,15 @@ ${exolveGrid}
     preamble = `
   exolve-preamble:
 ${notes}`;
+  }
+  let options = '';
+  if (rebusCells) {
+    options += `
+  exolve-option: rebus-cells`;
+  }
+  if (allowChars.size > 0) {
+    options += `
+  exolve-option: allow-chars:${[...allowChars].join('')}`;
   }
   return `  exolve-begin
   exolve-width: ${width}
@@ -190,7 +415,7 @@ ${notes}`;
   exolve-title: ${title}${preamble}
   exolve-setter: ${setter}
   exolve-copyright: ${copyright}
-  exolve-option: ignore-enum-mismatch
+  exolve-option: ignore-enum-mismatch${options}
   exolve-maker:
     Converted by exolve-from-puz.js from ${fname}
   exolve-grid:
@@ -198,8 +423,7 @@ ${exolveGrid}
   exolve-across:
 ${acrossClues}
   exolve-down:
-${downClues}
+${downClues}${stateSpecs}
   exolve-end
   `;
 }
-
@@ -90,6 +90,20 @@ Version: Exolve v1.64, November 25, 2025
  *   entry is supported (compared to the number of linked clues).
  */
 exolveFromText = function(w, h, text, fname='') {
+  const ret = exolveFromTextCandidates(w, h, text, fname);
+  if (ret.error) {
+    return ret.error;
+  }
+  return exolveFromTextCreateWorker(ret.candidates);
+}
+
+/**
+ * Parses the text (see exolveFromText() above) and returns an object with
+ * either an .error string field, or with a .candidates array field. The
+ * candidates can be passed to exolveFromTextInfer(). This part does not need
+ * a DOM or a Worker.
+ */
+exolveFromTextCandidates = function(w, h, text, fname='') {
   let sections = {
     title: '',
     setter: '',
@@ -212,11 +226,7 @@ exolveFromText = function(w, h, text, fname='') {
       }
     }
   }
-  const ret = exolveFromTextSections(w, h, sections);
-  if (ret.error) {
-    return ret.error;
-  }
-  return exolveFromTextCreateWorker(ret.candidates);
+  return exolveFromTextSections(w, h, sections);
 }
 
 /**
@@ -529,14 +539,9 @@ exolveFromTextSections = function(w, h, sections) {
   }
   let specs = '';
   /**
-   * Create an invisible Exolve puzzle with a fully blank and diagramless grid,
+   * Create a headless Exolve puzzle with a fully blank and diagramless grid,
    * to parse just the clues.
    */
-  const xlvpid = 'xlvp-from-text-temp';
-  document.body.insertAdjacentHTML('beforeend',
-      `<div id="${xlvpid}" style="display:none"/>`);
-  const div = document.getElementById(xlvpid);
-
   specs = `
   exolve-begin
     exolve-width: ${w}
@@ -589,12 +594,12 @@ ${sections.preamble}`;
 
   const tempSpecs = specs + clueSpecLines + gridSpecLines + `
     exolve-option: ignore-unclued ignore-enum-mismatch
-    exolve-id: ${xlvpid}
+    exolve-id: xlvp-from-text-temp
   exolve-end`;
 
   let puz;
   try {
-    puz = new Exolve(tempSpecs, xlvpid, null, false, 0, 0, false);
+    puz = new Exolve(tempSpecs, '', null, false, 0, 0, false, true);
   } catch (err) {
     const re = /^.*Invalid child ([AD][0-9][0-9]*) in ([AD][0-9][0-9]*)/i;
     const missingChild = err.toString().match(re);
@@ -662,10 +667,6 @@ ${sections.preamble}`;
   specs += clueSpecLines;
 
   const skeleton = new ExolveGridSkeleton(puz, specs);
-  if (exolvePuzzles && exolvePuzzles[xlvpid]) {
-    delete exolvePuzzles[xlvpid];
-  }
-  div.remove();
 
   for (let r = 0; r < h; r++) {
     for (let c = 0; c < w; c++) {
@@ -788,24 +789,7 @@ exolveFromTextCreateWorker = function(candidates) {
       if (!candidates) {
         return;
       }
-      const results = [];
-      for (const skeleton of candidates) {
-        const candidate = new ExolveGridInferrer(skeleton);
-        candidate.infer(results);
-        if (results.length > 0) {
-          break;
-        }
-      }
-      const seen = {};
-      results.sort((r1, r2) => r1.score() - r2.score());
-      const deduped = [];
-      for (const result of results) {
-        const gridSpecLines = result.gridSpecLines();
-        if (seen[gridSpecLines]) continue;
-        seen[gridSpecLines] = true;
-        deduped.push({gridSpecLines: gridSpecLines, exolve: result.exolve()});
-      }
-      postMessage({results: deduped});
+      postMessage({results: exolveFromTextInfer(candidates)});
     }
   `;
   blob = new Blob([workerCode], {type: "text/javascript" });
@@ -814,6 +798,34 @@ exolveFromTextCreateWorker = function(candidates) {
   return worker;
 }
 
+/**
+ * Tries to infer grids for the candidates created by
+ * exolveFromTextCandidates(). Returns the array of unique matched grids,
+ * each as an object with the fields .gridSpecLines and .exolve. This is
+ * what the Worker from exolveFromTextCreateWorker() runs. Progress updates
+ * are sent through postMessage(), which must exist (it does, in a Worker).
+ */
+exolveFromTextInfer = function(candidates) {
+  const results = [];
+  for (const skeleton of candidates) {
+    const candidate = new ExolveGridInferrer(skeleton);
+    candidate.infer(results);
+    if (results.length > 0) {
+      break;
+    }
+  }
+  const seen = {};
+  results.sort((r1, r2) => r1.score() - r2.score());
+  const deduped = [];
+  for (const result of results) {
+    const gridSpecLines = result.gridSpecLines();
+    if (seen[gridSpecLines]) continue;
+    seen[gridSpecLines] = true;
+    deduped.push({gridSpecLines: gridSpecLines, exolve: result.exolve()});
+  }
+  return deduped;
+}
+
 function ExolveRowCol(h, w, row=0, col=0) {
   this.h = h;
   this.w = w;
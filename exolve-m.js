@@ -32,6 +32,10 @@ https://github.com/viresh-ratnakar/exolve
  * - createExolve
  * - createPuzzle (deprecated).
  * - exolvePuzzles
+ * - ExolveLocalStorage, ExolveRestStorage, ExolveSyncedStorage (storage
+ *   adapters)
+ * - ExolveBroadcastTransport, ExolveWebSocketTransport, ExolveCoSolve
+ *   (co-solving)
  *
  * - The most generic way to create a puzzle is with "new Exolve(...)".
  * - The createExolve() function is a covenient wrapper.
@@ -61,7 +65,12 @@ var exolvePuzzles;
  *     element with id "exolve", the puzzle is created at the end of the
  *     web page.
  * customizer is an optional function that will get called after the puzzle
- *     is set up. The Exolve object will be passed to the function.
+ *     is set up (and its saved state has been restored). The Exolve object
+ *     will be passed to the function. With the default (local) storage, this
+ *     happens before the constructor returns. With a storage adapter that
+ *     has no getNow() method (see ExolveLocalStorage), the state is restored
+ *     (and the customizer called) later: the Promise restoringState
+ *     resolves once that is done.
  * provideStateUrl should be set to true if you also want to provide a URL
  *     that includes the current state and can be bookmarked or shared. Note
  *     that the puzzle state is always attempted to be saved in local storage.
@@ -77,6 +86,10 @@ var exolvePuzzles;
  *    call destroy() on the puzzle object before removing all references to it.
  *    This will remove *    listeners for 'resize' and printing events, for
  *    example.
+ * headless If true, the puzzle specs are only parsed, and no HTML elements
+ *    are created (nor is any state restored or saved). This works without a
+ *    DOM (such as in Node.js) and is what Exolve.parseSpec() uses. The other
+ *    params (except puzzleSpec) are ignored when headless is true.
  */
 function Exolve(puzzleSpec,
                 containerId='',
@@ -84,14 +97,22 @@ function Exolve(puzzleSpec,
                 provideStateUrl=true,
                 visTop=0,
                 maxDim=0,
-                notTemp=true) {
-  this.VERSION = 'Exolve v1.64.5, December 16, 2025';
+                notTemp=true,
+                headless=false) {
+  this.VERSION = 'Exolve v1.64.6, October 19, 2026';
   this.id = '';
 
   this.puzzleText = puzzleSpec;
   this.containerId = containerId;
   this.customizer = customizer;
+  /**
+   * If set (such as by ExolveEditor, in exolve-editor.js), this function gets
+   * called with this Exolve object after every change to the state of the
+   * grid.
+   */
+  this.onStateChange = null;
   this.provideStateUrl = provideStateUrl;
+  this.headless = headless;
   this.notTemp = notTemp;
 
   this.gridWidth = 0;
@@ -129,6 +150,15 @@ function Exolve(puzzleSpec,
    * grid background, recreated by displayGridBackground().
    */
   this.background = null;
+  /**
+   * SVG groups (with the ARIA role "row") holding the light cells of each
+   * row, recreated by displayGrid().
+   */
+  this.ariaRows = [];
+  /**
+   * The clue last announced in the ARIA live region (see announceClue()).
+   */
+  this.ariaAnnouncedClue = '';
 
   this.squareDim = 0;
 
@@ -198,7 +228,68 @@ function Exolve(puzzleSpec,
   };
   this.submitURL = null;
   this.submitKeys = [];
+  /**
+   * How submissions are sent: 'get' (URL parameters, as used by Google
+   * Forms), or 'post' (JSON, see postSolution()). For 'post', submissions
+   * are signed with submitSigningKey (the puzzle id if not provided).
+   */
+  this.submitMethod = 'get';
+  this.submitSigningKey = '';
+  this.storageURL = '';
+  /**
+   * The state (in the same format as saved states) from the exolve-state
+   * section, and the timer fields (elapsedMs, paused) from the
+   * exolve-state-timer section. These are used when there is no saved state
+   * for the puzzle (for example, when importing a partly solved .puz file).
+   */
+  this.initialState = '';
+  this.initialTimer = null;
+  /**
+   * The storage adapter for saving state (set in init()), and whether the
+   * saved state (fetched asynchronously from storage) has been restored. We
+   * do not save state until then.
+   */
+  this.storage = null;
+  this.stateRestored = false;
+  this.restoringState = null;
+  /** The ExolveCoSolve object, when co-solving. */
+  this.coSolve = null;
+  /**
+   * The solve timer (see newTimer()), and the time when the timer started
+   * running (0 when it is not running).
+   */
+  this.timer = this.newTimer();
+  this.timerRunStart = 0;
+  this.timerInterval = null;
+  /**
+   * The solve log (see logEdits()), the letters when last logged, and the
+   * source to use for the next logged edits (if not typed).
+   */
+  this.solveLog = [];
+  this.solveLogLetters = null;
+  this.solveLogSource = '';
+  /** The replay in progress (see toggleReplay()), if any. */
+  this.replay = null;
+  /** When set, letters typed in the grid are tentative (see isPencil). */
+  this.pencilMode = false;
+  /** When set, letters typed in the grid are toggled as candidates. */
+  this.candidatesMode = false;
+  /** Undo/redo stacks of states (see noteUndoState()). */
+  this.undoStack = [];
+  this.redoStack = [];
+  this.lastUndoState = null;
+  /**
+   * Light checksums from exolve-checksums (clue index to checksum), if
+   * provided. When set, lights are only checked as wholes, against these.
+   */
+  this.checksums = null;
+  /**
+   * The scoring model from exolve-scoring, if provided (see parseScoring()).
+   */
+  this.scoring = null;
   this.hasDgmlessCells = false;
+  /** Are there void cells (marked with "^"), which are not shown at all? */
+  this.hasVoidCells = false;
   this.hasUnsolvedCells = false;
   this.hasReveals = false;
   this.hasAcrossClues = false;
@@ -260,6 +351,8 @@ function Exolve(puzzleSpec,
 
   this.numCellsToFill = 0;
   this.numCellsFilled = 0;
+  this.numCellsEntered = 0;  // Not counting prefilled cells.
+  this.numCellsPencilled = 0;
   this.numCellsPrefilled = 0;
   this.knownCorrect = false;
   this.knownIncorrect = false;
@@ -283,6 +376,101 @@ function Exolve(puzzleSpec,
     this.SPECIAL_DISPLAY_CHARS[this.SPECIAL_STATE_CHARS[x]] = x;
   };
 
+  /**
+   * Rows of letters in the on-screen keyboard, for languages (as specified in
+   * exolve-language) that have a built-in layout. 'en' is also used when
+   * exolve-language has not been specified.
+   */
+  this.KEYBOARD_LAYOUTS = {
+    'en': ['QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'],
+    'de': ['QWERTZUIOPÜ', 'ASDFGHJKLÖÄ', 'YXCVBNM'],
+    'fr': ['AZERTYUIOP', 'QSDFGHJKLM', 'WXCVBN'],
+    'es': ['QWERTYUIOP', 'ASDFGHJKLÑ', 'ZXCVBNM'],
+    'pt': ['QWERTYUIOP', 'ASDFGHJKLÇ', 'ZXCVBNM'],
+    'it': ['QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'],
+    'nl': ['QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'],
+    'sv': ['QWERTYUIOPÅ', 'ASDFGHJKLÖÄ', 'ZXCVBNM'],
+    'fi': ['QWERTYUIOPÅ', 'ASDFGHJKLÖÄ', 'ZXCVBNM'],
+    'da': ['QWERTYUIOPÅ', 'ASDFGHJKLÆØ', 'ZXCVBNM'],
+    'no': ['QWERTYUIOPÅ', 'ASDFGHJKLØÆ', 'ZXCVBNM'],
+    'nb': ['QWERTYUIOPÅ', 'ASDFGHJKLØÆ', 'ZXCVBNM'],
+    'nn': ['QWERTYUIOPÅ', 'ASDFGHJKLØÆ', 'ZXCVBNM'],
+    'ru': ['ЙЦУКЕНГШЩЗХЪ', 'ФЫВАПРОЛДЖЭ', 'ЯЧСМИТЬБЮЁ'],
+    'uk': ['ЙЦУКЕНГШЩЗХЇ', 'ФІВАПРОЛДЖЄ', 'ЯЧСМИТЬБЮҐ'],
+    'el': ['ΕΡΤΥΘΙΟΠ', 'ΑΣΔΦΓΗΞΚΛ', 'ΖΧΨΩΒΝΜ'],
+    'he': ['קראטוןםפ', 'שדגכעיחלךף', 'זסבהנמצתץ'],
+    'ar': ['ضصثقفغعهخحجد', 'شسيبلاتنمكط', 'ئءؤرىةوزظذ'],
+  };
+
+  /**
+   * Scripts written from right to left. Puzzles whose exolve-language uses
+   * one of these get a right-to-left layout (see setUpLocale()).
+   */
+  this.RTL_SCRIPTS = ['adlam', 'arabic', 'hanifi_rohingya', 'hebrew',
+                      'mandaic', 'nko', 'samaritan', 'syriac', 'thaana'];
+
+  /**
+   * The keyboard shortcuts: a list of key specs (such as "Ctrl+Shift+R") for
+   * each action. These can be changed with exolve-option key-<action>:<keys>
+   * or by a customizer. The descriptions of the actions (shown in the list
+   * of shortcuts) are the textLabels named key-<action>.
+   */
+  this.keymap = {
+    'next-light': ['Tab'],
+    'prev-light': ['Shift+Tab'],
+    'move-left': ['ArrowLeft'],
+    'move-right': ['ArrowRight'],
+    'move-up': ['ArrowUp'],
+    'move-down': ['ArrowDown'],
+    'toggle-dir': ['Enter'],
+    'back': ['Backspace'],
+    'clear-cell': ['Delete'],
+    'first-empty': ['Ctrl+Shift+F'],
+    'check-clue': ['Ctrl+Enter'],
+    'reveal-cell': ['Ctrl+Shift+R'],
+    'clear': ['Ctrl+Q'],
+    'clear-all': ['Ctrl+Shift+Q'],
+    'undo': ['Ctrl+Z'],
+    'redo': ['Ctrl+Shift+Z', 'Ctrl+Y'],
+    'pencil': ['Ctrl+E'],
+    'candidates': ['Ctrl+Shift+E'],
+    'print': ['Ctrl+Shift+B'],
+    'notes': ['Ctrl+/'],
+    'fave': ['Ctrl+*'],
+    'shortcuts': ['?'],
+  };
+  this.KEY_UP_ACTIONS = ['move-left', 'move-right', 'move-up', 'move-down',
+                         'toggle-dir', 'back', 'clear-cell'];
+  this.lastKeyDownAction = '';
+  /** Canonical names of keys, indexed by their lower-case names/aliases. */
+  this.KEY_NAMES = {
+    'tab': 'Tab',
+    'enter': 'Enter',
+    'return': 'Enter',
+    'space': 'Space',
+    'spacebar': 'Space',
+    'backspace': 'Backspace',
+    'delete': 'Delete',
+    'del': 'Delete',
+    'escape': 'Escape',
+    'esc': 'Escape',
+    'insert': 'Insert',
+    'home': 'Home',
+    'end': 'End',
+    'pageup': 'PageUp',
+    'pagedown': 'PageDown',
+    'arrowleft': 'ArrowLeft',
+    'left': 'ArrowLeft',
+    'arrowright': 'ArrowRight',
+    'right': 'ArrowRight',
+    'arrowup': 'ArrowUp',
+    'up': 'ArrowUp',
+    'arrowdown': 'ArrowDown',
+    'down': 'ArrowDown',
+    'comma': ',',
+    'plus': '+',
+  };
+
   this.scriptRE = null;
   this.scriptLowerCaseRE = null;
 
@@ -343,9 +531,18 @@ function Exolve(puzzleSpec,
 
   this.nextLine = 0;
   this.sectionLines = {};
+  /**
+   * Index (in specLines) of the line being parsed, if known (otherwise -1).
+   * Used for reporting line numbers in lint().
+   */
+  this.parsingLine = -1;
 
   this.STATE_SEP = 'xlv';
   this.STATES_SEP = 'xxllvv';  // xxllvv<id1>......xxllvv<id2>.....
+  // Precedes the letter of a tentative (pencil) entry, in the state.
+  this.PENCIL_STATE_MARK = String.fromCharCode(5);
+  // Encloses the (space-separated) candidate letters of a cell, in the state.
+  this.CANDIDATES_STATE_MARK = String.fromCharCode(6);
 
   this.textLabels = {
     'clear': 'Clear this',
@@ -354,6 +551,22 @@ function Exolve(puzzleSpec,
     'clear-all': 'Clear all!',
     'clear-all.hover': 'Clear everything! A second click clears any ' +
         'placeholder entries in clues. Shortcut: Ctrl/Cmd-Q.',
+    'pencil-off': 'Pencil: off',
+    'pencil-on': 'Pencil: on',
+    'pencil.hover': 'Toggle pencil mode. Letters entered in pencil mode ' +
+        'are tentative: they are shown greyed out and do not count as ' +
+        'filled in, until inked. Shortcut: Ctrl/Cmd-e.',
+    'ink': 'Ink this',
+    'ink.hover': 'Confirm the tentative (pencilled) letters in the ' +
+        'highlighted squares.',
+    'ink-all': 'Ink all',
+    'ink-all.hover': 'Confirm all the tentative (pencilled) letters.',
+    'candidates-off': 'Candidates: off',
+    'candidates-on': 'Candidates: on',
+    'candidates.hover': 'Toggle candidates mode. In candidates mode, ' +
+        'typing a letter in a square adds it to (or removes it from) the ' +
+        'candidate letters shown in small print in the square. Shortcut: ' +
+        'Ctrl/Cmd-E.',
     'check': 'Check this',
     'check.hover': 'Erase mistakes in highlighted cells. Long-click to ' +
         'check just the current cell.',
@@ -362,6 +575,15 @@ function Exolve(puzzleSpec,
     'check-all': 'Check all!',
     'check-all.hover': 'Erase all mistakes. Reveal any available annos if ' +
         'no mistakes.',
+    'checksum-check.hover': 'Check whether the highlighted light is ' +
+        'correct (without showing which letters are wrong).',
+    'checksum-check-all.hover': 'Check whether all the lights are correct ' +
+        '(without showing which ones are wrong).',
+    'checksum-correct': 'Correct!',
+    'checksum-incorrect': 'Not correct',
+    'checksum-all-correct': 'All correct!',
+    'checksum-not-all-correct': 'Not all correct',
+    'checksum-none': 'Cannot check this',
     'copy-notes': 'Copy notes',
     'copy-notes.hover': 'Copy these notes to the clipboard, including any formatting.',
     'email-notes': 'Email notes',
@@ -387,12 +609,32 @@ function Exolve(puzzleSpec,
     'hint-bulb': '&#128161;',
     'submit': 'Submit',
     'submit.hover': 'Submit the solution!',
+    'submit-sending': 'Submitting...',
+    'submit-done': 'Submitted!',
+    'submit-failed': 'Submission failed:',
+    'submit-pending': 'Could not reach the server. Your submission has ' +
+        'been saved and will be sent when you are back online.',
     'setter-by': 'By',
     'curr-clue-prev': '&lsaquo;',
     'curr-clue-prev.hover': 'Previous clue.',
     'curr-clue-next': '&rsaquo;',
     'curr-clue-next.hover': 'Next clue.',
     'squares-filled': 'Squares filled',
+    'timer': 'Time',
+    'timer.hover': 'Time spent solving. Click to pause or resume.',
+    'timer-paused': '(paused)',
+    'score': 'Score',
+    'score.hover': 'Points for correctly solved lights, minus the ' +
+        'penalties for hints, checks, and reveals. Until all the squares ' +
+        'are filled, this is the best score still possible.',
+    'replay': 'Replay solve',
+    'replay.hover': 'Replay all the entries made in the grid, in the order ' +
+        'in which they were made.',
+    'replay-stop': 'Stop replay',
+    'replay-speed.hover': 'Replay speed',
+    'export-solve-log': 'Export solve log',
+    'export-solve-log.hover': 'Download the log of all the entries made in ' +
+        'the grid, as a JSON file.',
     'across-label': 'Across',
     'down-label': 'Down',
     '3d-ac-label': 'Across & Back',
@@ -411,6 +653,10 @@ function Exolve(puzzleSpec,
          <li><b>Enter, Click/Tap:</b> Toggle current direction.</li>
          <li><b>Arrow keys:</b>
              Move to the nearest light square in that direction.</li>
+         <li><b>Ctrl/Cmd-z:</b> Undo, <b>Ctrl/Cmd-y</b> or
+             <b>Ctrl/Cmd-Shift-z:</b> Redo.</li>
+         <li><b>Ctrl/Cmd-e:</b> Toggle pencil mode, <b>Ctrl/Cmd-E:</b>
+             Toggle candidates mode.</li>
          <li><b>Ctrl/Cmd-q:</b> Clear this, <b>Ctrl/Cmd-Q:</b> Clear All!,
              <b>Ctrl/Cmd-b:</b> Print crossword, <b>Ctrl/Cmd-/:</b> Jump to/back-from
              notes, <b>Ctrl/Cmd-*:</b> Mark clue as fave in notes, adding a *
@@ -507,6 +753,8 @@ function Exolve(puzzleSpec,
     'confirm-delete-older': 'Delete all puzzle states saved before',
     'confirm-state-override': 'Do you want to override the state saved in ' +
         'this device with the state found in the URL?',
+    'confirm-pending-submit': 'A submission made earlier could not be ' +
+        'sent. Send it now? (Cancel discards it.)',
     'warnings-label': 'Please fix, or use "ignore-unclued" / ' +
         '"ignore-enum-mismatch" <a href="https://github.com/viresh-ratnakar/' +
         'exolve/blob/master/README.md#exolve-option">options</a>:',
@@ -563,13 +811,56 @@ function Exolve(puzzleSpec,
     'show-notes-seq': 'Show clue-solving sequence:',
     'show-notes-entries': 'Show entered solutions:',
     'show-notes-times': 'Show clue-solving times:',
+    'aria-grid': 'Crossword grid',
+    'aria-across': 'across',
+    'aria-down': 'down',
+    'aria-back': 'back',
+    'aria-up': 'up',
+    'aria-away': 'away',
+    'aria-towards': 'towards',
+    'aria-letter': 'letter',
+    'aria-of': 'of',
+    'aria-currently': 'currently',
+    'aria-empty': 'empty',
+    'keyboard-backspace': '&#x232B;',
+    'keyboard-backspace.hover': 'Clear this square, or go back if it is ' +
+        'already clear.',
+    'keyboard-dir': '&#x21C4;',
+    'keyboard-dir.hover': 'Toggle the direction.',
+    'keyboard-block.hover': 'Enter a block.',
+    'shortcuts': 'Keyboard shortcuts',
+    'shortcuts-close': '&times;',
+    'shortcuts-close.hover': 'Close',
+    'key-next-light': 'Go to the next light',
+    'key-prev-light': 'Go to the previous light',
+    'key-move-left': 'Move left',
+    'key-move-right': 'Move right',
+    'key-move-up': 'Move up',
+    'key-move-down': 'Move down',
+    'key-toggle-dir': 'Toggle the direction',
+    'key-back': 'Erase and go back',
+    'key-clear-cell': 'Erase without moving',
+    'key-first-empty': 'Go to the first empty square',
+    'key-check-clue': 'Check this',
+    'key-reveal-cell': 'Reveal this square',
+    'key-clear': 'Clear this',
+    'key-clear-all': 'Clear all',
+    'key-undo': 'Undo',
+    'key-redo': 'Redo',
+    'key-pencil': 'Toggle pencil mode',
+    'key-candidates': 'Toggle candidates mode',
+    'key-print': 'Print the crossword',
+    'key-notes': 'Go to the notes (and back)',
+    'key-fave': 'Mark the current clue as a favourite',
+    'key-shortcuts': 'Show/hide this list of shortcuts',
   };
 
   /**
    * The URL prefix for loading scripts. Either is empty, or ends with '/'.
    */
   this.scriptUrlBase = '';
-  const scriptTags = document.getElementsByTagName('script');
+  const scriptTags = this.headless ? [] :
+      document.getElementsByTagName('script');
   for (let i = 0; i < scriptTags.length; i++) {
     const src = scriptTags[i].src;
     const loc = src.lastIndexOf('/exolve-m.js');
@@ -594,18 +885,36 @@ function Exolve(puzzleSpec,
   this.language = '';
   this.languageScript = '';
   this.langMaxCharCodes = 1;
+  this.noLocale = false;
+  this.forceLtr = false;
+  this.rtl = false;
   this.hasRebusCells = false;
   this.ignoreUnclued = false;
   this.ignoreEnumMismatch = false;
   this.showCellLevelButtons = false;
+  this.showFullScore = false;
   this.printCompleted3Cols = false;
   this.printIncomplete2Cols = false;
   this.noNinaButton = false;
+  this.noTimer = false;
   this.useWebifi = false;
+  this.showKeyboard = false;
+  this.noKeyboard = false;
+  this.keyboardLayout = null;
   this.hltOverwrittenMillis = 5000;
   this.colourOnlyCellBottom = false;
 
-  this.createPuzzle();
+  /**
+   * Warnings found by checkConsistency(), as objects with the fields msg and
+   * opt (the exolve-option that would suppress the warning).
+   */
+  this.warnings = [];
+
+  if (this.headless) {
+    this.parseHeadless();
+  } else {
+    this.createPuzzle();
+  }
 }
 
 /**
@@ -631,8 +940,16 @@ Exolve.prototype.destroy = function(deleteState=false) {
     }
     this.windowListeners = {};
   }
-  if (deleteState) {
-    window.localStorage.removeItem('xlvstate:' + this.id);
+  this.stopCoSolve();
+  this.stopReplay();
+  if (this.timerInterval) {
+    clearInterval(this.timerInterval);
+    this.timerInterval = null;
+  }
+  if (deleteState && this.storage) {
+    this.storage.delete(this.stateKey()).catch((err) => {
+      console.log('Could not delete saved state: ' + err);
+    });
   }
 }
 
@@ -642,9 +959,17 @@ Exolve.prototype.destroy = function(deleteState=false) {
  */
 Exolve.prototype.init = function() {
   this.parseOverall();
+  this.setUpLocale();
   this.parseRelabel();
   this.computeGridSize();
 
+  if (this.storageURL) {
+    this.storage = new ExolveSyncedStorage(
+        new ExolveLocalStorage(), new ExolveRestStorage(this.storageURL));
+  } else {
+    this.storage = Exolve.defaultStorage || new ExolveLocalStorage();
+  }
+
   const SPECIAL_ID = '42xlvIndex42';
 
   if (this.id && this.id == SPECIAL_ID) {
@@ -659,6 +984,10 @@ Exolve.prototype.init = function() {
 
   const basicHTML = `
     <div class="xlv-frame xlv-flex-col" tabindex="-1" id="${this.prefix}-frame">
+      <div id="${this.prefix}-aria-live" class="xlv-aria-live"
+          aria-live="polite" aria-atomic="true"></div>
+      <div id="${this.prefix}-shortcuts" class="xlv-shortcuts"
+          style="display:none"></div>
       <h2 id="${this.prefix}-title" class="xlv-title"></h2>
       <div id="${this.prefix}-setter" class="xlv-setter"></div>
       <div id="${this.prefix}-preamble" class="xlv-preamble"></div>
@@ -675,7 +1004,8 @@ Exolve.prototype.init = function() {
             </div>
             <div id="${this.prefix}-grid-parent" class="xlv-grid-parent">
               <svg id="${this.prefix}-grid" class="xlv-grid"
-                  zoomAndPan="disable"></svg>
+                  zoomAndPan="disable" role="grid"
+                  aria-label="${this.textLabels['aria-grid']}"></svg>
               <div id="${this.prefix}-grid-input-wrapper"
                   class="xlv-grid-input-wrapper"
                   style="display:none;left:0;top:0"><input
@@ -686,8 +1016,12 @@ Exolve.prototype.init = function() {
                   style="display:none;left:0;top:0"></div>
               <div id="${this.prefix}-colour-group"
                   style="display:none;left:0;top:0"></div>
+              <div id="${this.prefix}-cosolve-group"
+                  style="display:none;left:0;top:0"></div>
             </div> <!-- xlv-grid-parent -->
           </div> <!-- xlv-grid-parent-centerer -->
+          <div id="${this.prefix}-keyboard" class="xlv-keyboard"
+              style="display:none"></div>
           <div id="${this.prefix}-controls-etc" class="xlv-controls-etc">
             <div id="${this.prefix}-controls" class="xlv-controls xlv-wide-box">
               <div id="${this.prefix}-button-row-1" class="xlv-controls-row">
@@ -700,6 +1034,16 @@ Exolve.prototype.init = function() {
                 <button id="${this.prefix}-check-all" class="xlv-button"
                   style="display:none">${this.textLabels['check-all']}</button>
               </div> <!-- xlv-button-row-1 -->
+              <div id="${this.prefix}-pencil-row" class="xlv-controls-row">
+                <button id="${this.prefix}-pencil" class="xlv-button"
+                    >${this.textLabels['pencil-off']}</button>
+                <button id="${this.prefix}-ink" class="xlv-button"
+                    style="display:none">${this.textLabels['ink']}</button>
+                <button id="${this.prefix}-ink-all" class="xlv-button"
+                    style="display:none">${this.textLabels['ink-all']}</button>
+                <button id="${this.prefix}-candidates" class="xlv-button"
+                    >${this.textLabels['candidates-off']}</button>
+              </div> <!-- xlv-pencil-row -->
               <div id="${this.prefix}-buttons-extra-row" class="xlv-controls-row"
                     style="display:none">
                 <button id="${this.prefix}-checkcell" class="xlv-button"
@@ -722,6 +1066,13 @@ Exolve.prototype.init = function() {
                   >${this.textLabels['squares-filled']}</span>:
               <span id="${this.prefix}-status-num-filled">0</span>/<span
                     id="${this.prefix}-status-num-total"></span>
+              <span id="${this.prefix}-timer" class="xlv-timer"
+                  title="${this.textLabels['timer.hover']}"></span>
+              <span id="${this.prefix}-score" class="xlv-score"
+                  title="${this.textLabels['score.hover']}"
+                  style="display:none"></span>
+              <span id="${this.prefix}-check-result"
+                  class="xlv-check-result"></span>
             </div> <!-- xlv-status -->
             <div id="${this.prefix}-small-print"
                 class="xlv-wide-box xlv-small-print">
@@ -773,6 +1124,27 @@ Exolve.prototype.init = function() {
                     style="display:none">
                   </div>
                 </p>
+                <p>
+                  <button id="${this.prefix}-replay"
+                    class="xlv-small-button"
+                    title="${this.textLabels['replay.hover']}">
+                    ${this.textLabels['replay']}
+                  </button>
+                  <select id="${this.prefix}-replay-speed"
+                    title="${this.textLabels['replay-speed.hover']}">
+                    <option value="1">1&times;</option>
+                    <option value="2">2&times;</option>
+                    <option value="5" selected>5&times;</option>
+                    <option value="20">20&times;</option>
+                  </select>
+                  <button id="${this.prefix}-export-solve-log"
+                    class="xlv-small-button"
+                    title="${this.textLabels['export-solve-log.hover']}">
+                    ${this.textLabels['export-solve-log']}
+                  </button>
+                  <span id="${this.prefix}-replay-status"
+                    class="xlv-replay-status"></span>
+                </p>
                 <div id="${this.prefix}-tools-msg">
                   ${this.textLabels['tools-msg']}
                 </div>
@@ -1016,6 +1388,8 @@ Exolve.prototype.init = function() {
               <button id="${this.prefix}-submit"
                   class="xlv-button" style="display:none"
                       >${this.textLabels['submit']}</button>
+              <div id="${this.prefix}-submit-status"
+                  class="xlv-submit-status"></div>
             </div> <!-- submit-parent -->
             <div id="${this.prefix}-explanations" class="xlv-wide-box
                 xlv-explanations" style="display:none"></div>
@@ -1030,7 +1404,9 @@ Exolve.prototype.init = function() {
                 this.textLabels['across-label']}
             </div>
             <div id="${this.prefix}-across-clues-panel" class="xlv-clues-box">
-              <table id="${this.prefix}-across" class="xlv-clues-table"></table>
+              <table id="${this.prefix}-across" class="xlv-clues-table"
+                  role="listbox"
+                  aria-labelledby="${this.prefix}-across-label"></table>
             </div>
           </div>
           <div class="xlv-clues-panel" style="display:none">
@@ -1041,7 +1417,9 @@ Exolve.prototype.init = function() {
                 this.textLabels['down-label']}
             </div>
             <div id="${this.prefix}-down-clues-panel" class="xlv-clues-box">
-              <table id="${this.prefix}-down" class="xlv-clues-table"></table>
+              <table id="${this.prefix}-down" class="xlv-clues-table"
+                  role="listbox"
+                  aria-labelledby="${this.prefix}-down-label"></table>
             </div>
           </div>
           <div class="xlv-clues-panel" style="display:none">
@@ -1051,7 +1429,9 @@ Exolve.prototype.init = function() {
               ${this.textLabels['3d-dn-label']}
             </div>
             <div id="${this.prefix}-z3d-clues-panel" class="xlv-clues-box">
-              <table id="${this.prefix}-z3d" class="xlv-clues-table"></table>
+              <table id="${this.prefix}-z3d" class="xlv-clues-table"
+                  role="listbox"
+                  aria-labelledby="${this.prefix}-z3d-label"></table>
             </div>
           </div>
           <div class="xlv-clues-panel" style="display:none">
@@ -1061,7 +1441,9 @@ Exolve.prototype.init = function() {
             </div>
             <div id="${this.prefix}-nodir-clues-panel"
                 class="xlv-clues-box">
-              <table id="${this.prefix}-nodir" class="xlv-clues-table"></table>
+              <table id="${this.prefix}-nodir" class="xlv-clues-table"
+                  role="listbox"
+                  aria-labelledby="${this.prefix}-nodir-label"></table>
             </div>
           </div>
         </div> <!-- xlv-clues -->
@@ -1157,6 +1539,8 @@ Exolve.prototype.init = function() {
   }
 
   this.gridInput = document.getElementById(this.prefix + '-grid-input');
+  this.ariaLive = document.getElementById(this.prefix + '-aria-live');
+  this.shortcutsPanel = document.getElementById(this.prefix + '-shortcuts');
   this.gridInput.style.caretColor = this.colorScheme['caret'];
 
   this.questions = document.getElementById(this.prefix + '-questions');
@@ -1182,11 +1566,16 @@ Exolve.prototype.init = function() {
       this.prefix + '-curr-clue-inner');
   this.ninaGroup = document.getElementById(this.prefix + '-nina-group');
   this.colourGroup = document.getElementById(this.prefix + '-colour-group');
+  this.coSolveGroup = document.getElementById(this.prefix + '-cosolve-group');
 
   this.statusNumFilled = document.getElementById(
       this.prefix + '-status-num-filled');
   this.statusNumTotal = document.getElementById(
       this.prefix + '-status-num-total');
+  this.timerElt = document.getElementById(this.prefix + '-timer');
+  this.scoreElt = document.getElementById(this.prefix + '-score');
+  this.timerElt.addEventListener('click', this.toggleTimerPause.bind(this));
+  this.checkResult = document.getElementById(this.prefix + '-check-result');
   if (this.provideStateUrl) {
     document.getElementById(this.prefix + '-saving').insertAdjacentHTML(
         'beforeend',
@@ -1215,6 +1604,16 @@ Exolve.prototype.init = function() {
   this.checkAllButton = document.getElementById(this.prefix + '-check-all');
   this.checkAllButton.addEventListener('click', this.checkAllHandler.bind(this));
 
+  this.pencilButton = document.getElementById(this.prefix + '-pencil');
+  this.pencilButton.addEventListener('click', this.togglePencilMode.bind(this));
+  this.inkButton = document.getElementById(this.prefix + '-ink');
+  this.inkButton.addEventListener('click', this.inkCurr.bind(this));
+  this.inkAllButton = document.getElementById(this.prefix + '-ink-all');
+  this.inkAllButton.addEventListener('click', this.inkAll.bind(this));
+  this.candidatesButton = document.getElementById(this.prefix + '-candidates');
+  this.candidatesButton.addEventListener(
+      'click', this.toggleCandidatesMode.bind(this));
+
   this.ninasButton = document.getElementById(this.prefix + '-ninas');
   this.ninasButton.addEventListener('click', this.toggleNinas.bind(this));
 
@@ -1230,6 +1629,7 @@ Exolve.prototype.init = function() {
 
   this.submitButton = document.getElementById(this.prefix + '-submit');
   this.submitButton.addEventListener('click', this.submitSolution.bind(this));
+  this.submitStatus = document.getElementById(this.prefix + '-submit-status');
 
   this.explanations = document.getElementById(this.prefix + '-explanations');
 
@@ -1295,6 +1695,12 @@ Exolve.prototype.init = function() {
 
   document.getElementById(this.prefix + '-manage-storage').addEventListener(
     'click', this.manageStorage.bind(this));
+  this.replayButton = document.getElementById(this.prefix + '-replay');
+  this.replayButton.addEventListener('click', this.toggleReplay.bind(this));
+  this.replaySpeed = document.getElementById(this.prefix + '-replay-speed');
+  this.replayStatus = document.getElementById(this.prefix + '-replay-status');
+  document.getElementById(this.prefix + '-export-solve-log').addEventListener(
+    'click', this.exportSolveLog.bind(this));
 
   this.scratchPad = document.getElementById(this.prefix + '-scratchpad');
   this.scratchPad.style.color = this.colorScheme['imp-text'];
@@ -1318,6 +1724,9 @@ Exolve.prototype.init = function() {
     this.gridInput.lang = this.language;
     this.questions.lang = this.language;
   }
+  if (this.rtl) {
+    this.frame.dir = 'rtl';
+  }
   const maxlen = this.hasRebusCells ?
                  this.MAX_REBUS_SIZE : (2 * this.langMaxCharCodes);
   this.gridInput.maxLength = '' + maxlen;
@@ -1340,8 +1749,15 @@ Exolve.prototype.parseNumPair = function(s) {
  */
 Exolve.prototype.parseOverall = function() {
   this.specLines = []  // Blank lines are not included in this array.
+  /**
+   * specLineNums[i] is the (1-based) line number within puzzleText
+   * of specLines[i].
+   */
+  this.specLineNums = [];
+  const firstLineNum = this.puzzleText.match(/^\s*/)[0].split('\n').length;
   let rawLines = this.puzzleText.trim().split('\n');
-  for (let rawLine of rawLines) {
+  for (let k = 0; k < rawLines.length; k++) {
+    let rawLine = rawLines[k];
     let cIndex = rawLine.indexOf('#');
     /**
      * A # followed by a non-space/non-eol character is not a comment marker.
@@ -1361,13 +1777,16 @@ Exolve.prototype.parseOverall = function() {
       continue;
     }
     this.specLines.push(rawLine)
+    this.specLineNums.push(firstLineNum + k);
   }
   this.numLines = this.specLines.length;
+  this.decodeSpecLines();
 
   let parsedSec = this.parseSection();
 
   while (parsedSec && parsedSec.section != 'end') {
     let firstLine = this.nextLine;
+    this.parsingLine = firstLine - 1;
     let nextParsedSec = this.parseSection();
     let lastLine = this.nextLine - 2;
     this.sectionLines[parsedSec.section] = [firstLine, lastLine];
@@ -1446,12 +1865,22 @@ Exolve.prototype.parseOverall = function() {
       this.questionTexts.push(q);
     } else if (parsedSec.section == 'submit') {
       this.parseSubmit(parsedSec.value);
+    } else if (parsedSec.section == 'storage') {
+      this.storageURL = parsedSec.value.trim();
+    } else if (parsedSec.section == 'state') {
+      this.initialState = parsedSec.value.trim();
+    } else if (parsedSec.section == 'state-timer') {
+      this.parseStateTimer(parsedSec.value);
     } else if (parsedSec.section == 'nodir') {
       this.nodirHeading = parsedSec.value;
     } else if (parsedSec.section == 'reversals') {
       this.parseReversals(parsedSec.value);
     } else if (parsedSec.section == 'option') {
       this.parseOption(parsedSec.value);
+    } else if (parsedSec.section == 'encoded') {
+      // Already decoded, in decodeSpecLines().
+    } else if (parsedSec.section == 'checksums') {
+      // Parsed in parseChecksums(), once the clues are known.
     } else if (parsedSec.section == 'language') {
       this.parseLanguage(parsedSec.value);
     } else if (parsedSec.section == 'alternatives') {
@@ -1463,7 +1892,11 @@ Exolve.prototype.parseOverall = function() {
     }
     parsedSec = nextParsedSec;
   }
+  this.parsingLine = -1;
   this.multiLetter = this.hasRebusCells || (this.langMaxCharCodes > 1);
+  if (this.layers3d > 1) {
+    this.h3dLayer = this.gridHeight / this.layers3d;
+  }
   this.dirOrder = {};
   this.dirOrder['A'] = (this.sectionLines[
     this.layers3d > 1 ? '3d-across' : 'across'] || [0])[0];
@@ -1484,6 +1917,115 @@ Exolve.prototype.colonSplit = function(s) {
   };
 }
 
+/**
+ * Returns the bytes that get XORed with the UTF-8 bytes of text scrambled
+ * with key: the output of an xorshift32 generator seeded with the FNV-1a
+ * hash of key. This only hides text from casual viewing: it is not meant
+ * to be secure.
+ */
+Exolve.prototype.scramblerBytes = function(key, length) {
+  let x = 2166136261;
+  for (let i = 0; i < key.length; i++) {
+    x ^= key.charCodeAt(i);
+    x = Math.imul(x, 16777619) >>> 0;
+  }
+  x = x || 1;
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    x >>>= 0;
+    bytes[i] = x & 0xff;
+  }
+  return bytes;
+}
+
+/**
+ * Returns text scrambled with key, as a base64 string.
+ */
+Exolve.prototype.scrambleText = function(key, text) {
+  const bytes = new TextEncoder().encode(text);
+  const scrambler = this.scramblerBytes(key, bytes.length);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i] ^ scrambler[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Returns the text that scrambleText() scrambled with key into base64.
+ */
+Exolve.prototype.unscrambleText = function(key, base64) {
+  const binary = atob(base64);
+  const scrambler = this.scramblerBytes(key, binary.length);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i) ^ scrambler[i];
+  }
+  return new TextDecoder('utf-8', {fatal: true}).decode(bytes);
+}
+
+/**
+ * Solution letters in the grid and clue annos can be hidden from anyone
+ * reading the page source, using Exolve.encodeSpec(). That replaces the grid
+ * lines and the clue lines with placeholders (without the solution letters
+ * and the annos), and adds an exolve-encoded section that has the original
+ * lines, scrambled with the exolve-id as the key. The section looks like:
+ *   exolve-encoded: <base64 text, optionally continued on more lines>
+ * The unscrambled text is JSON, {lines: [[offset, line], ...]}, where offset
+ * is the index of the line in specLines, counting from the exolve-begin line.
+ *
+ * Called from parseOverall(), this puts the original lines back in specLines
+ * before any sections get parsed.
+ */
+Exolve.prototype.decodeSpecLines = function() {
+  const MARKER = 'exolve-';
+  let beginIndex = 0;
+  let encodedIndex = -1;
+  let key = '';
+  for (let l = 0; l < this.numLines; l++) {
+    if (this.specLines[l].indexOf(MARKER) != 0) {
+      continue;
+    }
+    const parsed = this.colonSplit(this.specLines[l].substr(MARKER.length));
+    if (parsed.section == 'begin') {
+      beginIndex = l;
+    } else if (parsed.section == 'id') {
+      key = parsed.value;
+    } else if (parsed.section == 'encoded') {
+      encodedIndex = l;
+    }
+  }
+  if (encodedIndex < 0) {
+    return;
+  }
+  this.parsingLine = encodedIndex;
+  let encoded = this.colonSplit(
+      this.specLines[encodedIndex].substr(MARKER.length)).value;
+  for (let l = encodedIndex + 1;
+       l < this.numLines && this.specLines[l].indexOf(MARKER) != 0; l++) {
+    encoded += this.specLines[l];
+  }
+  let decoded = null;
+  try {
+    decoded = JSON.parse(this.unscrambleText(key, encoded.replace(/\s/g, '')));
+  } catch (err) {
+    this.throwErr('Could not decode exolve-encoded (exolve-id must be ' +
+                  'the same as when it was encoded)');
+  }
+  for (const offsetAndLine of (decoded.lines || [])) {
+    const l = beginIndex + offsetAndLine[0];
+    if (!(l > beginIndex && l < this.numLines && l != encodedIndex) ||
+        typeof offsetAndLine[1] != 'string') {
+      this.throwErr('Bad line in exolve-encoded: ' + offsetAndLine);
+    }
+    this.specLines[l] = offsetAndLine[1];
+  }
+  this.parsingLine = -1;
+}
+
 // specLines[] has been parsed till line # nextLine. Find the
 // next line beginning with 'exolve-<section>' and return <section> as well
 // as the 'value' of the section (the part after ':').
@@ -1530,11 +2072,51 @@ Exolve.prototype.clueLabelDisp = function(clue) {
 }
 
 Exolve.prototype.isColour = function(s) {
+  if (typeof Option === 'undefined') {
+    /**
+     * No DOM (headless parsing). Recognize named colours, hex colours, and
+     * the functional notations.
+     */
+    const ls = s.toLowerCase();
+    if (/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(ls) ||
+        /^(rgb|rgba|hsl|hsla|hwb|lab|lch|oklab|oklch|color)\(.*\)$/.test(ls)) {
+      return true;
+    }
+    return this.CSS_COLOUR_NAMES.includes(' ' + ls + ' ');
+  }
   const e = new Option().style;
   e.color = s;
   return e.color !== '';
 }
 
+/**
+ * Named CSS colours, used by isColour() when there is no DOM.
+ */
+Exolve.prototype.CSS_COLOUR_NAMES = ' ' + [
+  'aliceblue antiquewhite aqua aquamarine azure beige bisque black',
+  'blanchedalmond blue blueviolet brown burlywood cadetblue chartreuse',
+  'chocolate coral cornflowerblue cornsilk crimson cyan darkblue darkcyan',
+  'darkgoldenrod darkgray darkgreen darkgrey darkkhaki darkmagenta',
+  'darkolivegreen darkorange darkorchid darkred darksalmon darkseagreen',
+  'darkslateblue darkslategray darkslategrey darkturquoise darkviolet',
+  'deeppink deepskyblue dimgray dimgrey dodgerblue firebrick floralwhite',
+  'forestgreen fuchsia gainsboro ghostwhite gold goldenrod gray green',
+  'greenyellow grey honeydew hotpink indianred indigo ivory khaki lavender',
+  'lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan',
+  'lightgoldenrodyellow lightgray lightgreen lightgrey lightpink lightsalmon',
+  'lightseagreen lightskyblue lightslategray lightslategrey lightsteelblue',
+  'lightyellow lime limegreen linen magenta maroon mediumaquamarine',
+  'mediumblue mediumorchid mediumpurple mediumseagreen mediumslateblue',
+  'mediumspringgreen mediumturquoise mediumvioletred midnightblue mintcream',
+  'mistyrose moccasin navajowhite navy oldlace olive olivedrab orange',
+  'orangered orchid palegoldenrod palegreen paleturquoise palevioletred',
+  'papayawhip peachpuff peru pink plum powderblue purple rebeccapurple red',
+  'rosybrown royalblue saddlebrown salmon sandybrown seagreen seashell',
+  'sienna silver skyblue slateblue slategray slategrey snow springgreen',
+  'steelblue tan teal thistle tomato turquoise violet wheat white',
+  'whitesmoke yellow yellowgreen transparent currentcolor inherit',
+].join(' ') + ' ';
+
 /**
  * Parse ninas, colours, no-rebus lines (basically sections
  * that specify cells/lights.
@@ -1817,6 +2399,48 @@ Exolve.prototype.answerListener = function(answer, forceUpper) {
   this.updateAndSaveState();
 }
 
+/**
+ * Parse an entry from questionTexts (a string or an object with the fields
+ * question and hints). Returns an object with the following properties:
+ * rawQ: the question text to display
+ * enumParse
+ * inputLen: the number of chars implied by the enum (0 if no enum)
+ * hideEnum
+ * forceUpper: false if the question had the [lowercase-ok] marker
+ * answer: the solution answer provided after the last ')', if any
+ * hints: array of hints
+ */
+Exolve.prototype.parseQuestion = function(entry) {
+  let s = entry;
+  if (typeof entry === 'object') {
+    s = entry.question;
+  }
+  const enumParse = this.parseEnum(s);
+  const inputLen = enumParse.placeholder.length;
+
+  const rawQ = s.substr(
+      0, (enumParse.dontShow ?
+          enumParse.afterClue : enumParse.afterEnum)).trim();
+
+  const hideEnum = (inputLen > 0 && enumParse.dontShow);
+  s = s.substr(enumParse.afterEnum).trim();
+
+  let forceUpper = true;
+  if (s.substr(0,14) == "[lowercase-ok]") {
+    forceUpper = false;
+    s = s.substr(14).trim();
+  }
+  return {
+    rawQ: rawQ,
+    enumParse: enumParse,
+    inputLen: inputLen,
+    hideEnum: hideEnum,
+    forceUpper: forceUpper,
+    answer: s,
+    hints: (typeof entry === 'object') ? entry.hints : [],
+  };
+}
+
 // Parse a questionTexts and create the question elements for (which include
 // an input box for the answer). The solution answer may be provided after the
 // last ')'.
@@ -1826,27 +2450,14 @@ Exolve.prototype.redisplayQuestions = function() {
   this.answersList = [];
   for (let i = 0; i < this.questionTexts.length; i++) {
     const entry = this.questionTexts[i];
-    let s = entry;
-    if (typeof entry === 'object') {
-      s = entry.question;
-    }
-    const enumParse = this.parseEnum(s);
-    let inputLen = enumParse.placeholder.length;
-
-    const rawQ = s.substr(
-        0, (enumParse.dontShow ?
-            enumParse.afterClue : enumParse.afterEnum)).trim();
-
-    let hideEnum = (inputLen > 0 && enumParse.dontShow);
-    s = s.substr(enumParse.afterEnum).trim();
-
-    let forceUpper = true;
-    if (s.substr(0,14) == "[lowercase-ok]") {
-      forceUpper = false;
-      s = s.substr(14).trim();
-    }
-
-    let correctAnswer = s;
+    const qParse = this.parseQuestion(entry);
+    const enumParse = qParse.enumParse;
+    let inputLen = qParse.inputLen;
+    const rawQ = qParse.rawQ;
+    let hideEnum = qParse.hideEnum;
+    const forceUpper = qParse.forceUpper;
+
+    let correctAnswer = qParse.answer;
     const question = document.createElement('div');
     question.setAttributeNS(null, 'class', 'xlv-question');
     const questionSpan = document.createElement('span');
@@ -1891,7 +2502,8 @@ Exolve.prototype.redisplayQuestions = function() {
         'input', this.answerListener.bind(this, answer, forceUpper));
 
     if (typeof entry === 'object') {
-      entry.hintsDisplay = new ExolveHints(this, questionSpan, entry.hints);
+      entry.hintsDisplay = new ExolveHints(
+          this, questionSpan, entry.hints, 0, false, 'q' + i);
     }
 
   }
@@ -1902,6 +2514,16 @@ Exolve.prototype.redisplayQuestions = function() {
 
 Exolve.prototype.parseSubmit = function(s) {
   let parts = s.split(' ')
+  if (parts[0].toLowerCase() == 'post') {
+    if (parts.length < 2 || parts.length > 3) {
+      this.throwErr('Submit with post must have a URL, and optionally a ' +
+                    'signing key');
+    }
+    this.submitMethod = 'post';
+    this.submitURL = parts[1];
+    this.submitSigningKey = parts[2] || '';
+    return;
+  }
   if (s.length < 2) {
     this.throwErr('Submit must have a URL and a param name for the solution')
   }
@@ -1912,6 +2534,23 @@ Exolve.prototype.parseSubmit = function(s) {
   }
 }
 
+/**
+ * Parses "<seconds> [paused]" from the exolve-state-timer section.
+ */
+Exolve.prototype.parseStateTimer = function(s) {
+  const parts = s.trim().split(/\s+/);
+  const secs = parseInt(parts[0]);
+  if (isNaN(secs) || secs < 0 || parts.length > 2 ||
+      (parts.length == 2 && parts[1] != 'paused')) {
+    this.throwErr('exolve-state-timer must have the number of seconds, ' +
+                  'optionally followed by "paused": ' + s);
+  }
+  this.initialTimer = {
+    elapsedMs: secs * 1000,
+    paused: parts.length == 2,
+  };
+}
+
 Exolve.prototype.parseOption = function(s) {
   let sparts = s.split(' ');
   for (let spart of sparts) {
@@ -1920,6 +2559,10 @@ Exolve.prototype.parseOption = function(s) {
       this.showCellLevelButtons = true;
       continue;
     }
+    if (spart == "show-full-score") {
+      this.showFullScore = true;
+      continue;
+    }
     if (spart == "hide-inferred-numbers") {
       this.hideInferredNumbers = true;
       continue;
@@ -1968,6 +2611,10 @@ Exolve.prototype.parseOption = function(s) {
       this.noNinaButton = true;
       continue;
     }
+    if (spart == "no-timer") {
+      this.noTimer = true;
+      continue;
+    }
     if (spart == "colour-only-cell-bottom" ||
         spart == "color-only-cell-bottom") {
       this.colourOnlyCellBottom = true;
@@ -1977,6 +2624,22 @@ Exolve.prototype.parseOption = function(s) {
       this.useWebifi = true;
       continue;
     }
+    if (spart == "show-keyboard") {
+      this.showKeyboard = true;
+      continue;
+    }
+    if (spart == "no-keyboard") {
+      this.noKeyboard = true;
+      continue;
+    }
+    if (spart == "no-locale") {
+      this.noLocale = true;
+      continue;
+    }
+    if (spart == "ltr") {
+      this.forceLtr = true;
+      continue;
+    }
     if (spart == "allow-digits") {
       spart = 'allow-chars:0123456789';
       // Fall through to the allow-chars code.
@@ -2081,6 +2744,18 @@ Exolve.prototype.parseOption = function(s) {
       this[key] = val;
       continue;
     }
+    if (kv[0].startsWith('key-')) {
+      const action = kv[0].substr(4);
+      if (!this.keymap.hasOwnProperty(action)) {
+        this.throwErr('Unknown keyboard shortcut action: ' + action);
+      }
+      this.keymap[action] = kv[1] ? kv[1].split(',') : [];
+      continue;
+    }
+    if (kv[0] == 'keyboard-layout') {
+      this.keyboardLayout = kv[1].split('/').map(row => [...row]);
+      continue;
+    }
     if (kv[0] == 'allow-chars') {
       if (!this.allowChars) this.allowChars = {};
       for (c of kv[1]) {
@@ -2126,6 +2801,39 @@ Exolve.prototype.parseLanguage = function(s) {
   }
 }
 
+/**
+ * Sets up the textLabels from the locale bundle (see Exolve.LOCALES) for the
+ * exolve-language, unless the no-locale option was used, and sets up the
+ * right-to-left layout for right-to-left scripts, unless the ltr option was
+ * used. In the right-to-left layout, the grid is shown mirrored: the first
+ * column of exolve-grid is on the right, and across lights run leftwards.
+ * Must be called after parseOverall() and before parseRelabel().
+ */
+Exolve.prototype.setUpLocale = function() {
+  if (!this.language) {
+    return;
+  }
+  if (!this.noLocale) {
+    const baseLang = this.language.split('-')[0];
+    const lang = Exolve.LOCALES.hasOwnProperty(this.language) ?
+        this.language : baseLang;
+    const labels = Exolve.LOCALES[lang] || {};
+    for (const id in labels) {
+      if (this.textLabels.hasOwnProperty(id)) {
+        this.textLabels[id] = labels[id];
+      } else {
+        this.log('Ignoring unsupported label in locale ' + lang + ': ' + id);
+      }
+    }
+  }
+  this.rtl = !this.forceLtr &&
+      this.RTL_SCRIPTS.includes(this.languageScript.toLowerCase());
+  if (this.rtl && this.layers3d > 1) {
+    this.throwErr('exolve-3d cannot be used with a right-to-left ' +
+                  'exolve-language (use exolve-option: ltr)');
+  }
+}
+
 /**
  * Must be called after clues/grid have been passed and clue-parent-child
  * relationships are known. If there are any exolve-alternatives lines in
@@ -2342,6 +3050,10 @@ Exolve.prototype.parseRelabel = function() {
 // Append an error message to the errors div. Scuttle everything by setting
 // gridWidth to 0.
 Exolve.prototype.throwErr = function(error) {
+  if (this.headless) {
+    this.gridWidth = 0
+    throw error;
+  }
   const e = document.getElementById(this.prefix + '-errors')
   if (e) {
     e.innerHTML = e.innerHTML + '<br/>' + error;
@@ -2361,7 +3073,21 @@ Exolve.prototype.dismissWarnings = function() {
   }
 }
 
-Exolve.prototype.showWarning = function(warning, opt) {
+/**
+ * Shows the warning message. opt is the exolve-option that would suppress the
+ * warning. details, if provided, is an object with more details for lint()
+ * (code: a short name for the kind of problem, lineIndex: the index of the
+ * relevant line in specLines, fixes: an array of suggested fixes, and any
+ * other kind-specific fields).
+ */
+Exolve.prototype.showWarning = function(warning, opt, details=null) {
+  this.warnings.push({msg: warning, opt: opt, details: details});
+  if (!this.optionsForWarningFixes.includes(opt)) {
+    this.optionsForWarningFixes.push(opt);
+  }
+  if (this.headless) {
+    return;
+  }
   let w = document.getElementById(this.prefix + '-warnings')
   if (!w) {
     const e = document.getElementById(this.prefix + '-errors')
@@ -2385,9 +3111,6 @@ Exolve.prototype.showWarning = function(warning, opt) {
   }
   w.insertAdjacentHTML('beforeend', `
       <li>${warning}</li>`);
-  if (!this.optionsForWarningFixes.includes(opt)) {
-    this.optionsForWarningFixes.push(opt);
-  }
 }
 
 /**
@@ -2431,7 +3154,7 @@ Exolve.prototype.checkConsistency = function() {
     this.throwErr('Cannot specify exolve-no-rebus without turning on the ' +
                   'exolve-option for rebus-cells');
   }
-  if (this.submitURL) {
+  if (this.submitURL && this.submitMethod == 'get') {
     let numKeys = 1
     for (let a of this.answersList) {
       if (a.isq) {
@@ -2446,6 +3169,7 @@ Exolve.prototype.checkConsistency = function() {
     }
   }
   let noClueList = ''
+  const noClueIndices = [];
   for (const ci of Object.keys(this.clues)) {
     const clue = this.clues[ci];
     const cname = this.clueLabelDisp(clue);
@@ -2455,6 +3179,7 @@ Exolve.prototype.checkConsistency = function() {
     if (!clue.clue) {
       if (noClueList) noClueList += ', '
       noClueList += cname
+      noClueIndices.push(ci);
     }
     const cells = this.getAllCells(ci);
     const lightLen = cells.length;
@@ -2463,11 +3188,21 @@ Exolve.prototype.checkConsistency = function() {
         (!cells.endsOnStart || clue.enumLen != lightLen + 1)) {
       this.showWarning(cname + ': enum asks for ' + clue.enumLen +
           ' cells, but the grid shows ' + lightLen + ' cells',
-          'ignore-enum-mismatch');
+          'ignore-enum-mismatch', {
+            code: 'enum-mismatch',
+            lineIndex: clue.lineIndex,
+            clue: ci,
+            fixes: [{
+              kind: 'set-enum-length',
+              clue: ci,
+              length: lightLen,
+            }],
+          });
     }
   }
   if (!this.hasNodirClues && !this.ignoreUnclued && noClueList) {
-    this.showWarning('No clue(s) provided for: ' + noClueList, 'ignore-unclued');
+    this.showWarning('No clue(s) provided for: ' + noClueList, 'ignore-unclued',
+                     {code: 'unclued', clues: noClueIndices});
   }
   if (this.hasRebusCells && (this.langMaxCharCodes > 1)) {
     this.throwErr(
@@ -2618,15 +3353,20 @@ Exolve.prototype.newGridCell = function(row, col, letter, escaped=false) {
   }
   cell.prefill = false;
   cell.isDgmless = false;
+  cell.isVoid = false;
 
   cell.hasBarAfter = false;
   cell.hasBarUnder = false;
   cell.hasCircle = false;
 
+  cell.isPencil = false;
+  cell.candidates = [];
+
   cell.textNode = null;
   cell.cellCircle = null;
   cell.cellNum = null;
   cell.cellText = null;
+  cell.cellCands = null;
   cell.cellRect = null;
   cell.cellGroup = null;
   cell.miscGroup = null;
@@ -2640,12 +3380,14 @@ Exolve.prototype.newGridCell = function(row, col, letter, escaped=false) {
 //   hasBarUnder
 //   hasCircle
 //   isDgmless
+//   isVoid
 // Also set the following globals:
 //   hasDgmlessCells
 //   hasUnsolvedCells
+//   hasVoidCells
 Exolve.prototype.parseGrid = function() {
   let allEntriesAre0s = true
-  const DECORATORS = ' +|_@!*~{\['
+  const DECORATORS = ' +|_@!*~^{\['
   const reDecorators = new RegExp('[' + DECORATORS + ']')
   const reNextChar = new RegExp('[\.0&' + DECORATORS + ']')
 
@@ -2660,6 +3402,7 @@ Exolve.prototype.parseGrid = function() {
   this.grid = new Array(this.gridHeight);
   for (let i = 0; i < this.gridHeight; i++) {
     this.grid[i] = new Array(this.gridWidth);
+    this.parsingLine = i + gridFirstLine;
     let gridLine = this.specLines[i + gridFirstLine].trim().toUpperCase();
     if (!this.multiLetter) {
       gridLine = gridLine.replace(/\s/g, '');
@@ -2722,6 +3465,8 @@ Exolve.prototype.parseGrid = function() {
           gridCell.prefill = true;
         } else if (thisChar == '~') {
           gridCell.skipNum = true;
+        } else if (thisChar == '^') {
+          gridCell.isVoid = true;
         } else if (thisChar == '[') {
           gridLineIndex +=
             this.parseShapedCellSpec(gridLine, gridLineIndex, gridCell);
@@ -2741,6 +3486,7 @@ Exolve.prototype.parseGrid = function() {
   }
   // We use two passes to be able to detect if 0 means blank cell or digit 0.
   for (let i = 0; i < this.gridHeight; i++) {
+    this.parsingLine = i + gridFirstLine;
     for (let j = 0; j < this.gridWidth; j++) {
       const gridCell = this.grid[i][j];
       if (gridCell.isLight) {
@@ -2765,8 +3511,15 @@ Exolve.prototype.parseGrid = function() {
       if (gridCell.isDgmless) {
         this.hasDgmlessCells = true;
       }
+      if (gridCell.isVoid) {
+        if (gridCell.isLight || gridCell.isDgmless) {
+          this.throwErr('Void cell (' + i + ',' + j + ') is not a blocked cell');
+        }
+        this.hasVoidCells = true;
+      }
     }
   }
+  this.parsingLine = -1;
   if (this.hasDgmlessCells) {
     this.hideCopyPlaceholders = true;
   }
@@ -3524,6 +4277,29 @@ Exolve.prototype.parseCCCC = function(s) {
     ret.isLight = true;
     return ret;
   }
+  if (this.headless) {
+    /**
+     * Without a DOM, accept s2 as a class name if it is used as the class in
+     * an in-clue anno or in a class attribute somewhere in the specs.
+     */
+    for (const ci of this.allClueIndices) {
+      const inClueAnnos = this.clues[ci].inClueAnnos;
+      if (inClueAnnos && inClueAnnos.includes(s2)) {
+        ret.cls = s2;
+        return ret;
+      }
+    }
+    const classAttrs = this.puzzleText.match(/class\s*=\s*["'][^"']*["']/g);
+    for (const classAttr of (classAttrs || [])) {
+      const names = classAttr.replace(/^class\s*=\s*["']/, '').replace(
+          /["']$/, '').split(/\s+/);
+      if (names.includes(s2)) {
+        ret.cls = s2;
+        return ret;
+      }
+    }
+    return ret;
+  }
   const elts = this.frame.getElementsByClassName(s2);
   if (elts && elts.length > 0) {
     ret.cls = s2;
@@ -3670,6 +4446,7 @@ Exolve.prototype.parseInClueAnnos = function(clue) {
  * startCell optional, used in diagramless+unsolved and off-numeric labels
  * cells[] optionally filled, if all clue cells are specified in the clue
  * anno (the part after the enum, if present)
+ * specAnno (anno, as it appears in the spec line)
  * isFiller
  * inClueAnnos: array of class names for in-clue anno spans
  */
@@ -3776,6 +4553,7 @@ Exolve.prototype.parseClue = function(dir, clueLine) {
 
   clue.clue = clueLine.substr(0, enumParse.afterEnum).trim();
   clue.anno = clueLine.substr(enumParse.afterEnum).trim();
+  clue.specAnno = clue.anno;
 
   this.setClueCellsDgmless(clue);
 
@@ -4064,6 +4842,7 @@ Exolve.prototype.parseClueLists = function() {
     let startNewTable = false;
     let newTableHeading = '';
     for (let l = first; l <= last; l++) {
+      this.parsingLine = l;
       let clueLine = this.specLines[l].trim();
       if (clueLine == '') {
         continue;
@@ -4082,6 +4861,7 @@ Exolve.prototype.parseClueLists = function() {
         continue;
       }
       const clue = this.parseClue(clueDirection, clueLine);
+      clue.lineIndex = l;
       if (clue.isFiller) {
         filler = filler + clueLine + '\n';
         continue;
@@ -4180,6 +4960,7 @@ Exolve.prototype.parseClueLists = function() {
       this.hasPlaceholders = true;
     }
   }
+  this.parsingLine = -1;
   if (firstClueIndex && lastClueIndex) {
     this.clues[firstClueIndex].prev = lastClueIndex;
     this.clues[lastClueIndex].next = firstClueIndex;
@@ -4605,6 +5386,29 @@ Exolve.prototype.formatClue = function(
   return clue.substr(0, enumPart.afterEnum).trim();
 }
 
+/**
+ * Returns the text of the clue with in-clue-anno markers and HTML tags
+ * removed (like the innerText of its rendered clueSpan, but without needing
+ * a DOM).
+ */
+Exolve.prototype.plainClueText = function(clue) {
+  const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': ' ',
+  };
+  return clue.clue.trim()
+      .replace(/~\{(\{[^}]*\})?/g, '')
+      .replace(/\}~/g, '')
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (e) => ENTITIES[e])
+      .replace(/\s+/g, ' ');
+}
+
 Exolve.prototype.rcValid = function(r, c) {
   return (r >= 0 && c >= 0 &&
           r < this.gridHeight && c < this.gridWidth);
@@ -4963,6 +5767,9 @@ Exolve.prototype.applyStyles = function() {
     #${this.prefix}-frame .xlv-small-button:hover {
       background: ${this.colorScheme['small-button-hover']};
     }
+    #${this.prefix}-shortcuts {
+      background: ${this.colorScheme['currclue']};
+    }
     @keyframes ${this.prefix}-overwritten-anim {
       0% {fill: ${this.colorScheme['overwritten-start']}}
       90% {fill: ${this.colorScheme['overwritten-end']}}
@@ -5043,7 +5850,8 @@ Exolve.prototype.renderClueSpan = function(clue, elt, inCurrClue=false) {
 /**
  * A class for rendering hints in the current clue and in questions.
  */
-function ExolveHints(xlv, container, hints, hintsShown=0, resize=false) {
+function ExolveHints(xlv, container, hints, hintsShown=0, resize=false,
+                     key='') {
   this.xlv = xlv;
   this.container = container;
   console.assert(this.container.id, this.container);
@@ -5051,6 +5859,11 @@ function ExolveHints(xlv, container, hints, hintsShown=0, resize=false) {
   this.hints = hints;
   this.hintsShown = hintsShown;
   this.resize = resize;
+  /**
+   * The key under which the use of these hints is noted in the solve timer
+   * (see Exolve.newTimer()), if not empty.
+   */
+  this.key = key;
 
   if (this.hints.length == 0) return;
 
@@ -5129,6 +5942,7 @@ ExolveHints.prototype.handleHintBulbClick = function() {
   this.hintsShown++;
   this.updateHints();
   if (this.resize) this.xlv.resizeCurrClueAndControls();
+  if (this.key) this.xlv.noteHintSeen(this.key, this.hintsShown);
 }
 
 Exolve.prototype.displayClues = function() {
@@ -5174,6 +5988,7 @@ Exolve.prototype.displayClues = function() {
                               'xlv-clues-box xlv-clues-extra-panel');
       const newTable = document.createElement('table');
       newTable.className = 'xlv-clues-table';
+      newTable.setAttributeNS(null, 'role', 'listbox');
       newPanel.appendChild(newTable);
       extraPanels.push(newPanel);
 
@@ -5186,6 +6001,8 @@ Exolve.prototype.displayClues = function() {
           ${theClue.newTableHeading}
         </div>`);
       newPanelInDiv.appendChild(newPanel);
+      newTable.setAttributeNS(null, 'aria-label',
+                              newPanelInDiv.firstElementChild.textContent.trim());
 
       let tableGrandParent = table.parentElement.parentElement;
       tableGrandParent.parentElement.insertBefore(
@@ -5199,13 +6016,22 @@ Exolve.prototype.displayClues = function() {
       col.setAttributeNS(null, 'colspan', '' + colspan);
       col.setAttributeNS(null, 'class', 'xlv-filler');
       col.innerHTML = theClue.filler;
+      tr.setAttributeNS(null, 'role', 'none');
+      col.setAttributeNS(null, 'role', 'none');
       tr.appendChild(col);
       table.appendChild(tr);
     }
+    /**
+     * The clue tables have the ARIA role "listbox", with each clue row being
+     * an "option" (so the table cells within do not have table semantics).
+     */
     const tr = document.createElement('tr');
+    tr.setAttributeNS(null, 'role', 'option');
+    tr.setAttributeNS(null, 'aria-selected', 'false');
 
     if (this.extractionSlots > 0) {
       const extrCol = document.createElement('td');
+      extrCol.setAttributeNS(null, 'role', 'none');
       extrCol.classList.add('xlv-clue-extraction');
       const extr = document.createElement('input');
       extr.classList.add('xlv-clue-extraction-slot');
@@ -5227,6 +6053,7 @@ Exolve.prototype.displayClues = function() {
       tr.appendChild(extrCol);
     }
     const labelCol = document.createElement('td');
+    labelCol.setAttributeNS(null, 'role', 'none');
     labelCol.innerHTML = theClue.displayLabel;
     labelCol.classList.add('xlv-clue-label');
 
@@ -5251,6 +6078,7 @@ Exolve.prototype.displayClues = function() {
                             this.clueStateToggler.bind(this, clueIndex));
     }
     const clueCol = document.createElement('td');
+    clueCol.setAttributeNS(null, 'role', 'none');
     if (labelColNumChars > 2) {
       // More than two unicode chars in labelCol. Need to indent clueCol.
       indenterHTML += theClue.displayLabel;
@@ -5404,7 +6232,6 @@ Exolve.prototype.computeGridSize = function() {
 
   this.circleR = 0.0 + this.squareDim / 2.0;
   if (this.layers3d > 1) {
-    this.h3dLayer = this.gridHeight / this.layers3d;
     // Extra horizontal space for 3-d
     this.offset3d = (this.cellH + this.GRIDLINE) /
                     Math.tan(this.angle3d * Math.PI / 180);
@@ -5522,6 +6349,7 @@ Exolve.prototype.fireCompletionEvent = function() {
       !this.frame) {
     return;
   }
+  const score = this.computeScore();
   const event = new CustomEvent('exolve', {
     bubbles: true,
     detail: {
@@ -5532,68 +6360,584 @@ Exolve.prototype.fireCompletionEvent = function() {
       'filled': this.numCellsFilled,
       'knownCorrect': this.knownCorrect,
       'knownIncorrect': this.knownIncorrect,
+      'totalMs': this.timerElapsedMs(),
+      'firstEntryMs': this.timer.firstEntryMs,
+      'numChecks': this.timer.numChecks,
+      'numReveals': this.timer.numReveals,
+      'numHints': this.numHintsSeen(),
+      'score': score ? score.score : null,
+      'maxScore': score ? score.maxScore : null,
     }});
   this.frame.dispatchEvent(event);
 }
 
 /**
- * Return a string encoding the current entries in the whole grid and
- * also set the number of squares that have been filled.
- * Unless notifyIfComplete is false, fire a completion event if the
- * puzzle has just been completed.
+ * Returns a new solve timer. The timer gets saved along with the state. Its
+ * fields are:
+ *   elapsedMs: Solving time (not including the current run of the timer,
+ *       since this.timerRunStart).
+ *   firstEntryMs: Solving time when the first entry was made (-1 if none).
+ *   numChecks: Number of times "Check" (or "Check all") was used.
+ *   numReveals: Number of times "Reveal" (or "Reveal all") was used.
+ *   hintLevels: The number of hints seen, for each clue (by clue index) and
+ *       question (by "q" followed by the question's index) whose hints
+ *       were seen.
+ *   paused: Whether the solver has paused the timer.
  */
-Exolve.prototype.getGridStateAndNumFilled = function(notifyIfComplete=true) {
-  let state = '';
-  let numFilled = 0;
-  let numCorrect = 0;
-  this.updateAltsActive();
-  for (let i = 0; i < this.gridHeight; i++) {
-    for (let j = 0; j < this.gridWidth; j++) {
-      let gridCell = this.grid[i][j];
-      if (gridCell.isLight || gridCell.isDgmless) {
-        let stateLetter = gridCell.currLetter;
-        if (stateLetter == '?') {
-          stateLetter = '0';
-        }
-        if (!this.multiLetter) {
-          state = state + stateLetter;
-        } else {
-          state = state + stateLetter + '$';
-        }
-        if (stateLetter != '0') {
-          numFilled++;
-          if (this.getSolutionActive([i,j]) == stateLetter) {
-            numCorrect++;
-          }
-        }
-      } else {
-        state = state + '.';
-      }
-    }
+Exolve.prototype.newTimer = function() {
+  return {
+    elapsedMs: 0,
+    firstEntryMs: -1,
+    numChecks: 0,
+    numReveals: 0,
+    hintLevels: {},
+    paused: false,
+  };
+}
+
+Exolve.prototype.timerElapsedMs = function() {
+  let elapsed = this.timer.elapsedMs;
+  if (this.timerRunStart) {
+    elapsed += Date.now() - this.timerRunStart;
   }
-  const knownCorrect = !this.hasUnsolvedCells &&
-                       (this.numCellsToFill == numCorrect);
-  const knownIncorrect = !this.hasUnsolvedCells &&
-                         (this.numCellsToFill > numCorrect);
-  const justFinished = (numFilled == this.numCellsToFill) &&
-      ((this.numCellsFilled < numFilled) ||
-       (this.knownCorrect != knownCorrect) ||
-       (this.knownIncorrect != knownIncorrect));
-  this.numCellsFilled = numFilled;
-  this.knownCorrect = knownCorrect;
-  this.knownIncorrect = knownIncorrect;
-  if (justFinished && notifyIfComplete) {
-    // Dispatch the event asynchronously, after the display has been updated.
-    setTimeout(this.fireCompletionEvent.bind(this), 0);
+  return elapsed;
+}
+
+/**
+ * Returns a copy of the timer (with the current elapsed time), for saving.
+ */
+Exolve.prototype.timerToSave = function() {
+  const timer = Object.assign({}, this.timer);
+  timer.elapsedMs = this.timerElapsedMs();
+  return timer;
+}
+
+/**
+ * The timer runs only when the puzzle is not fully filled and the page is
+ * visible (and the solver has not paused it).
+ */
+Exolve.prototype.timerShouldRun = function() {
+  return this.notTemp && this.stateRestored && !this.timer.paused &&
+         !document.hidden && this.numCellsFilled < this.numCellsToFill;
+}
+
+/**
+ * Starts or stops the timer as needed, and displays it. Called from
+ * updateDisplayAndGetState(), and when the page visibility changes.
+ */
+Exolve.prototype.updateTimer = function() {
+  if (this.stateRestored && this.timer.firstEntryMs < 0 &&
+      this.numCellsEntered > 0) {
+    this.timer.firstEntryMs = this.timerElapsedMs();
   }
-  return state;
+  const shouldRun = this.timerShouldRun();
+  if (shouldRun && !this.timerRunStart) {
+    this.timerRunStart = Date.now();
+    this.timerInterval = setInterval(this.displayTimer.bind(this), 1000);
+  } else if (!shouldRun && this.timerRunStart) {
+    this.stopTimer();
+  }
+  this.displayTimer();
 }
 
-/** Update status, ensure answer fields are upper-case (when they have
- * an enum), disable buttons as needed, and return the state.
+/**
+ * Stops the timer (if running), adding the time since it started running to
+ * this.timer.elapsedMs.
+ */
+Exolve.prototype.stopTimer = function() {
+  if (!this.timerRunStart) {
+    return;
+  }
+  this.timer.elapsedMs = this.timerElapsedMs();
+  this.timerRunStart = 0;
+  clearInterval(this.timerInterval);
+  this.timerInterval = null;
+}
+
+Exolve.prototype.formatDuration = function(ms) {
+  const secs = Math.floor(ms / 1000);
+  const h = Math.floor(secs / 3600);
+  const m = Math.floor((secs % 3600) / 60);
+  const ss = String(secs % 60).padStart(2, '0');
+  return (h > 0) ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+Exolve.prototype.displayTimer = function() {
+  if (!this.notTemp || this.noTimer) {
+    this.timerElt.style.display = 'none';
+    return;
+  }
+  let text = this.textLabels['timer'] + ': ' +
+             this.formatDuration(this.timerElapsedMs());
+  if (this.timer.paused) {
+    text += ' ' + this.textLabels['timer-paused'];
+  }
+  this.timerElt.innerText = text;
+}
+
+/**
+ * Parses the exolve-scoring section, if present. Each line in it looks like
+ * "<name>: <points>", where name is one of:
+ *   light: Points for each correctly solved light (default 1).
+ *   hint: Penalties for seeing the first, second, ... hint of a clue or
+ *       question (the last one is used for all the hints after that).
+ *   check: Penalty for each use of "Check" (or "Check all").
+ *   reveal: Penalty for each use of "Reveal" (or "Reveal all").
+ */
+Exolve.prototype.parseScoring = function() {
+  const lines = this.sectionLines['scoring'];
+  if (!lines) {
+    return;
+  }
+  this.scoring = {
+    light: 1,
+    hint: [0],
+    check: 0,
+    reveal: 0,
+  };
+  const text = this.extractSectionLines(lines[0], lines[1]);
+  for (const line of text.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    const colon = line.indexOf(':');
+    const name = (colon < 0) ? '' : line.substr(0, colon).trim();
+    const points = (colon < 0) ? [] :
+        line.substr(colon + 1).trim().split(/\s+/).map(Number);
+    if (!this.scoring.hasOwnProperty(name) || points.length == 0 ||
+        points.some(isNaN) || (name != 'hint' && points.length != 1)) {
+      this.throwErr('exolve-scoring: cannot parse ' + line);
+    }
+    this.scoring[name] = (name == 'hint') ? points : points[0];
+  }
+}
+
+/**
+ * Notes that the hint-level-th hint has been seen, for the clue or question
+ * with the given key (see newTimer()).
+ */
+Exolve.prototype.noteHintSeen = function(key, level) {
+  if ((this.timer.hintLevels[key] || 0) >= level) {
+    return;
+  }
+  this.timer.hintLevels[key] = level;
+  this.updateAndSaveState(false);
+}
+
+/**
+ * Returns the total number of hints seen, across all clues and questions.
+ */
+Exolve.prototype.numHintsSeen = function() {
+  let num = 0;
+  for (const key in this.timer.hintLevels) {
+    num += this.timer.hintLevels[key];
+  }
+  return num;
+}
+
+/**
+ * Returns null if there is no exolve-scoring section. Otherwise, returns an
+ * object with these fields:
+ *   score: Points for correctly solved lights, minus penalties.
+ *   maxScore: Points for all lights (whose solutions or checksums are known).
+ *   penalty: The penalties for hints, checks, and reveals.
+ */
+Exolve.prototype.computeScore = function() {
+  if (!this.scoring) {
+    return null;
+  }
+  let points = 0;
+  let maxScore = 0;
+  for (const ci of this.allClueIndices) {
+    const clue = this.clues[ci];
+    if (!clue || clue.parentClueIndex) {
+      continue;
+    }
+    const cells = this.getAllCells(ci);
+    if (cells.length == 0) {
+      continue;
+    }
+    let correct = false;
+    if (this.checksums) {
+      if (!this.checksums[ci]) {
+        continue;
+      }
+      correct = this.lightMatchesChecksum(ci);
+    } else {
+      if (!this.allCellsKnown(ci)) {
+        continue;
+      }
+      correct = cells.every(cell => this.grid[cell[0]][cell[1]].currLetter ==
+                                    this.getSolutionActive(cell));
+    }
+    maxScore += this.scoring.light;
+    if (correct) {
+      points += this.scoring.light;
+    }
+  }
+  const hintPenalties = this.scoring.hint;
+  let penalty = (this.timer.numChecks * this.scoring.check) +
+                (this.timer.numReveals * this.scoring.reveal);
+  for (const key in this.timer.hintLevels) {
+    for (let i = 0; i < this.timer.hintLevels[key]; i++) {
+      penalty += hintPenalties[Math.min(i, hintPenalties.length - 1)];
+    }
+  }
+  return {
+    score: points - penalty,
+    maxScore: maxScore,
+    penalty: penalty,
+  };
+}
+
+/**
+ * Shows the score in the status line, if there is an exolve-scoring section.
+ * Until the grid is fully filled, we show the best score still possible (so
+ * as not to give away which lights are correct).
+ */
+Exolve.prototype.displayScore = function() {
+  const score = this.computeScore();
+  if (!score) {
+    return;
+  }
+  /**
+   * The actual score would tell the solver how many lights are wrong,
+   * without using (and paying for) "Check". So, show the best score still
+   * possible, unless the setter has opted into showing the actual score
+   * once all the squares are filled.
+   */
+  const shown = (this.showFullScore &&
+                 this.numCellsFilled == this.numCellsToFill) ?
+      score.score : (score.maxScore - score.penalty);
+  this.scoreElt.innerText = this.textLabels['score'] + ': ' + shown + '/' +
+                            score.maxScore;
+  this.scoreElt.style.display = '';
+}
+
+Exolve.prototype.toggleTimerPause = function() {
+  this.timer.paused = !this.timer.paused;
+  this.updateAndSaveState(false);
+}
+
+/**
+ * The solve log is an append-only list of all the edits made in the grid,
+ * saved along with the state. Each entry looks like:
+ *   {row, col, letter, time, elapsedMs, source}
+ * where letter is the state letter ('0' when the cell is cleared), time is
+ * when the edit was made (ms since epoch), elapsedMs is the solve timer's
+ * reading then, and source is one of 'typed', 'cleared', 'checked' (erased
+ * by "Check"), 'revealed', 'undone', 'redone', or 'co-solver'.
+ *
+ * Edits are found by comparing the grid with solveLogLetters, from
+ * updateAndSaveState(). Functions that edit the grid other than by typing
+ * set solveLogSource before calling updateAndSaveState().
+ */
+Exolve.prototype.setSolveLogBaseline = function() {
+  this.solveLogLetters = [];
+  for (let i = 0; i < this.gridHeight; i++) {
+    this.solveLogLetters.push([]);
+    for (let j = 0; j < this.gridWidth; j++) {
+      this.solveLogLetters[i].push(this.grid[i][j].currLetter);
+    }
+  }
+}
+
+Exolve.prototype.logEdits = function() {
+  const source = this.solveLogSource || 'typed';
+  this.solveLogSource = '';
+  if (!this.solveLogLetters) {
+    return;
+  }
+  const time = Date.now();
+  const elapsedMs = this.timerElapsedMs();
+  for (let i = 0; i < this.gridHeight; i++) {
+    for (let j = 0; j < this.gridWidth; j++) {
+      const gridCell = this.grid[i][j];
+      if ((!gridCell.isLight && !gridCell.isDgmless) || gridCell.prefill ||
+          gridCell.currLetter == this.solveLogLetters[i][j]) {
+        continue;
+      }
+      this.solveLogLetters[i][j] = gridCell.currLetter;
+      const entry = {
+        row: i,
+        col: j,
+        letter: gridCell.currLetter,
+        time: time,
+        elapsedMs: elapsedMs,
+        source: source,
+      };
+      if (gridCell.isPencil) {
+        entry.pencil = true;
+      }
+      this.solveLog.push(entry);
+    }
+  }
+}
+
+/**
+ * Returns the solve log in the form that gets exported, with letters as
+ * displayed (an empty string for a cleared cell).
+ */
+Exolve.prototype.getSolveLog = function() {
+  return {
+    id: this.id,
+    title: this.title,
+    setter: this.setter,
+    gridWidth: this.gridWidth,
+    gridHeight: this.gridHeight,
+    totalMs: this.timerElapsedMs(),
+    entries: this.solveLog.map(entry => Object.assign({}, entry, {
+      letter: this.stateToDisplayChar(entry.letter),
+    })),
+  };
+}
+
+Exolve.prototype.exportSolveLog = function() {
+  this.fileDownload(JSON.stringify(this.getSolveLog(), null, 2),
+                    'application/json', this.id + '-solve-log.json');
+}
+
+/** The longest pause between two edits, in a 1x replay. */
+Exolve.prototype.REPLAY_MAX_GAP_MS = 2000;
+
+/**
+ * Starts (or stops) replaying the solve log in the grid, starting with an
+ * empty grid. The replay only changes the displayed letters: it gets stopped
+ * (restoring the displayed letters) upon any edit.
+ */
+Exolve.prototype.toggleReplay = function() {
+  if (this.replay) {
+    this.stopReplay();
+    return;
+  }
+  if (this.solveLog.length == 0) {
+    return;
+  }
+  this.replay = {index: 0, timeout: null};
+  for (let i = 0; i < this.gridHeight; i++) {
+    for (let j = 0; j < this.gridWidth; j++) {
+      const gridCell = this.grid[i][j];
+      if ((gridCell.isLight || gridCell.isDgmless) && !gridCell.prefill) {
+        this.displayReplayLetter(gridCell, '0');
+      }
+    }
+  }
+  this.replayButton.innerText = this.textLabels['replay-stop'];
+  this.replayStep();
+}
+
+Exolve.prototype.displayReplayLetter = function(gridCell, letter) {
+  const displayChar = this.stateToDisplayChar(letter);
+  gridCell.textNode.nodeValue = displayChar;
+  if (this.hasRebusCells && gridCell.cellText) {
+    gridCell.cellText.style.fontSize = this.cellLetterSize(displayChar);
+  }
+}
+
+Exolve.prototype.replayStep = function() {
+  const log = this.solveLog;
+  const entry = log[this.replay.index];
+  const gridCell = this.grid[entry.row] && this.grid[entry.row][entry.col];
+  if (gridCell) {
+    this.displayReplayLetter(gridCell, entry.letter);
+  }
+  this.replay.index++;
+  this.replayStatus.innerText = `${this.replay.index}/${log.length} ` +
+      `${this.formatDuration(entry.elapsedMs || 0)} (${entry.source})`;
+  const speed = Number(this.replaySpeed.value) || 1;
+  let gapMs = this.REPLAY_MAX_GAP_MS;
+  if (this.replay.index < log.length) {
+    gapMs = Math.min(log[this.replay.index].time - entry.time, gapMs);
+    gapMs = Math.max(gapMs, 50);
+  }
+  this.replay.timeout = setTimeout(
+      (this.replay.index < log.length) ? this.replayStep.bind(this) :
+          this.stopReplay.bind(this), gapMs / speed);
+}
+
+Exolve.prototype.stopReplay = function() {
+  if (!this.replay) {
+    return;
+  }
+  clearTimeout(this.replay.timeout);
+  this.replay = null;
+  for (let i = 0; i < this.gridHeight; i++) {
+    for (let j = 0; j < this.gridWidth; j++) {
+      const gridCell = this.grid[i][j];
+      if (gridCell.isLight || gridCell.isDgmless) {
+        gridCell.textNode.nodeValue =
+            this.stateToDisplayChar(gridCell.currLetter);
+      }
+    }
+  }
+  this.adjustRebusFonts();
+  this.replayButton.innerText = this.textLabels['replay'];
+  this.replayStatus.innerText = '';
+}
+
+/** The maximum number of states that can be undone. */
+Exolve.prototype.UNDO_LIMIT = 100;
+/** The maximum number of undo (and redo) states saved with the state. */
+Exolve.prototype.UNDO_SAVE_LIMIT = 10;
+
+/**
+ * Undo/redo work with whole states (as created in updateAndSaveState(),
+ * including answers to questions and placeholder entries in clues).
+ * lastUndoState is the current state and undoStack has the states before
+ * it. Called from updateAndSaveState(): when the state has changed, the
+ * previous state gets pushed on undoStack and redoStack is cleared.
+ * The change is not recorded (the state just becomes the current state)
+ * if it came from undo/redo themselves, or from a co-solver (whose edits
+ * are not ours to undo).
+ */
+Exolve.prototype.noteUndoState = function(state, source) {
+  if (this.lastUndoState === null || source == 'undone' ||
+      source == 'redone' || source == 'co-solver') {
+    this.lastUndoState = state;
+    return;
+  }
+  if (state == this.lastUndoState) {
+    return;
+  }
+  this.undoStack.push(this.lastUndoState);
+  if (this.undoStack.length > this.UNDO_LIMIT) {
+    this.undoStack.shift();
+  }
+  this.redoStack = [];
+  this.lastUndoState = state;
+}
+
+/**
+ * Undo the latest change. Returns false if there is nothing to undo.
+ */
+Exolve.prototype.undo = function() {
+  if (this.undoStack.length == 0 || this.lastUndoState === null) {
+    return false;
+  }
+  this.redoStack.push(this.lastUndoState);
+  this.applyUndoState(this.undoStack.pop(), 'undone');
+  return true;
+}
+
+/**
+ * Redo the latest undone change. Returns false if there is nothing to redo.
+ */
+Exolve.prototype.redo = function() {
+  if (this.redoStack.length == 0 || this.lastUndoState === null) {
+    return false;
+  }
+  this.undoStack.push(this.lastUndoState);
+  this.applyUndoState(this.redoStack.pop(), 'redone');
+  return true;
+}
+
+Exolve.prototype.applyUndoState = function(state, logSource) {
+  this.lastUndoState = state;
+  if (!this.parseState(state)) {
+    return;
+  }
+  if (this.coSolve) {
+    this.coSolve.keepOthersEdits();
+  }
+  const gridCell = this.currCell();
+  if (gridCell) {
+    this.gridInput.value = this.stateToDisplayChar(gridCell.currLetter);
+  }
+  this.copyPlaceholderBlankToCurr(this.currClueIndex);
+  for (const ci of this.allClueIndices) {
+    this.updateClueState(ci, false, null, true);
+  }
+  this.solveLogSource = logSource;
+  this.updateAndSaveState();
+  this.refocus();
+}
+
+/**
+ * Return a string encoding the current entries in the whole grid and
+ * also set the number of squares that have been filled.
+ * Unless notifyIfComplete is false, fire a completion event if the
+ * puzzle has just been completed.
+ */
+Exolve.prototype.getGridStateAndNumFilled = function(notifyIfComplete=true) {
+  let state = '';
+  let numFilled = 0;
+  let numEntered = 0;
+  let numCorrect = 0;
+  let numPencilled = 0;
+  this.updateAltsActive();
+  for (let i = 0; i < this.gridHeight; i++) {
+    for (let j = 0; j < this.gridWidth; j++) {
+      let gridCell = this.grid[i][j];
+      if (gridCell.isLight || gridCell.isDgmless) {
+        let stateLetter = gridCell.currLetter;
+        if (stateLetter == '?') {
+          stateLetter = '0';
+        }
+        if (stateLetter == '0' || stateLetter == '1') {
+          gridCell.isPencil = false;
+        }
+        if (stateLetter != '0' && !gridCell.isPencil) {
+          gridCell.candidates = [];
+        }
+        if (gridCell.isPencil) {
+          state = state + this.PENCIL_STATE_MARK;
+          numPencilled++;
+        }
+        if (!this.multiLetter) {
+          state = state + stateLetter;
+        } else {
+          state = state + stateLetter + '$';
+        }
+        if (gridCell.candidates.length > 0) {
+          state = state + this.CANDIDATES_STATE_MARK +
+                  gridCell.candidates.join(' ') + this.CANDIDATES_STATE_MARK;
+        }
+        if (stateLetter != '0' && !gridCell.isPencil) {
+          numFilled++;
+          if (!gridCell.prefill) {
+            numEntered++;
+          }
+          if (this.getSolutionActive([i,j]) == stateLetter) {
+            numCorrect++;
+          }
+        }
+      } else {
+        state = state + '.';
+      }
+    }
+  }
+  const knownCorrect = !this.hasUnsolvedCells &&
+                       (this.numCellsToFill == numCorrect);
+  const knownIncorrect = !this.hasUnsolvedCells &&
+                         (this.numCellsToFill > numCorrect);
+  const justFinished = (numFilled == this.numCellsToFill) &&
+      ((this.numCellsFilled < numFilled) ||
+       (this.knownCorrect != knownCorrect) ||
+       (this.knownIncorrect != knownIncorrect));
+  this.numCellsFilled = numFilled;
+  this.numCellsEntered = numEntered;
+  this.numCellsPencilled = numPencilled;
+  this.knownCorrect = knownCorrect;
+  this.knownIncorrect = knownIncorrect;
+  if (justFinished && notifyIfComplete) {
+    // Dispatch the event asynchronously, after the display has been updated.
+    setTimeout(this.fireCompletionEvent.bind(this), 0);
+  }
+  return state;
+}
+
+/** Update status, ensure answer fields are upper-case (when they have
+ * an enum), disable buttons as needed, and return the state.
  */
 Exolve.prototype.updateDisplayAndGetState = function(notifyIfComplete=true) {
   let state = this.getGridStateAndNumFilled(notifyIfComplete);
+  this.updateTimer();
+  this.displayScore();
+  this.displayPencilled();
+  this.displayCandidates();
+  if (this.coSolve) {
+    this.coSolve.sendCursor();
+  }
   this.statusNumFilled.innerHTML = this.numCellsFilled
   let ci = this.clueOrParentIndex(this.currClueIndex)
   let revOrphan = this.isOrphanWithReveals(ci)
@@ -5615,6 +6959,7 @@ Exolve.prototype.updateDisplayAndGetState = function(notifyIfComplete=true) {
   this.revealcellButton.disabled = this.revealButton.disabled
   this.clearButton.disabled = this.revealButton.disabled &&
                               this.activeCells.length == 0;
+  this.updateAriaLabels();
   return state
 }
 
@@ -5633,30 +6978,46 @@ Exolve.prototype.myStatePart = function(s) {
 }
 
 /**
- * Call updateDisplayAndGetState() and save state in local storage.
+ * Call updateDisplayAndGetState() and save state in this.storage (once the
+ * saved state has been restored).
  */
 Exolve.prototype.updateAndSaveState = function(notifyIfComplete=true) {
   let state = this.updateDisplayAndGetState(notifyIfComplete)
   for (let a of this.answersList) {
     state = state + this.STATE_SEP + a.input.value
   }
+  if (this.coSolve) {
+    this.coSolve.sendChanges();
+  }
+  this.stopReplay();
+  const source = this.solveLogSource;
+  this.logEdits();
+  if (this.checkResult) {
+    this.checkResult.innerText = '';
+  }
+  if (this.stateRestored) {
+    this.noteUndoState(state, source);
+  }
 
-  if (this.notTemp) {
-    try {
-      const lsVal = JSON.stringify({
-        timestamp: Date.now(),
-        state: state,
-        notes: this.notes,
-      });
-      window.localStorage.setItem(this.stateKey(), lsVal);
-    } catch (err) {
+  if (this.notTemp && this.stateRestored) {
+    const saved = {
+      timestamp: Date.now(),
+      state: state,
+      notes: this.notes,
+      timer: this.timerToSave(),
+      log: this.solveLog,
+      undo: this.undoStack.slice(-this.UNDO_SAVE_LIMIT),
+      redo: this.redoStack.slice(-this.UNDO_SAVE_LIMIT),
+    };
+    this.storage.put(this.stateKey(), saved).catch((err) => {
+      console.log('Could not save state: ' + err);
       if (!this.warnedAboutLocalStorage) {
         alert('Could not save state in local storage! Click on ' +
               'Tools > Manage local storage to delete state from ' +
               'old crosswords, perhaps.');
         this.warnedAboutLocalStorage = true;
       }
-    }
+    });
   }
 
   if (this.savingURL) {
@@ -5665,6 +7026,9 @@ Exolve.prototype.updateAndSaveState = function(notifyIfComplete=true) {
     url.hash = '#' + this.STATES_SEP + this.id + state;
     this.savingURL.href = url.href;
   }
+  if (this.onStateChange) {
+    this.onStateChange(this);
+  }
 }
 
 Exolve.prototype.resetState = function() {
@@ -5677,6 +7041,8 @@ Exolve.prototype.resetState = function() {
         } else {
           gridCell.currLetter = '0';
         }
+        gridCell.isPencil = false;
+        gridCell.candidates = [];
         gridCell.textNode.nodeValue =
             this.stateToDisplayChar(gridCell.currLetter);
       }
@@ -5685,66 +7051,110 @@ Exolve.prototype.resetState = function() {
   this.adjustRebusFonts();
 }
 
-// Returns true upon success.
-Exolve.prototype.parseState = function(state) {
+/**
+ * Decodes the state string, without changing anything. Returns null if the
+ * state cannot be decoded, else an object with the fields:
+ *   cells: array of [letter, isPencil, candidates] for each light (or
+ *       diagramless) cell, row by row.
+ *   answers: array of the answers to questions and placeholder entries
+ *       (null if there aren't any in the state).
+ */
+Exolve.prototype.decodeState = function(state) {
   let parsedState = []
   state = state.trim()
   if (!state) {
-    return false
+    return null
   }
   let index = 0
   for (let i = 0; i < this.gridHeight; i++) {
     for (let j = 0; j < this.gridWidth; j++) {
       if (index >= state.length) {
         this.log('Not enough characters in saved state')
-        return false
+        return null
       }
       let letter = ''
       letter = state.charAt(index++)
+      let isPencil = false;
+      if (letter == this.PENCIL_STATE_MARK) {
+        isPencil = true;
+        letter = state.charAt(index++)
+      }
       if (this.multiLetter && letter != '.') {
         let dollar = state.indexOf('$', index)
         if (dollar < 0) {
           this.log('Missing compound-char separator in saved state')
-          return false
+          return null
         }
         letter = letter + state.substring(index, dollar)
         index = dollar + 1
       }
+      let candidates = [];
+      if (state.charAt(index) == this.CANDIDATES_STATE_MARK) {
+        const end = state.indexOf(this.CANDIDATES_STATE_MARK, index + 1);
+        if (end < 0) {
+          this.log('Missing end of candidates in saved state')
+          return null
+        }
+        candidates = state.substring(index + 1, end).split(' ').filter(
+            c => this.isValidStateChar(c) && c != '0' && c != '1');
+        index = end + 1
+      }
       let gridCell = this.grid[i][j]
       if (gridCell.isLight || gridCell.isDgmless) {
         if (gridCell.prefill) {
-          parsedState.push(gridCell.solution)
+          parsedState.push([gridCell.solution, false, []])
           continue
         }
         if (letter == '1') {
            if (!gridCell.isDgmless) {
              this.log('Unexpected ⬛ in non-diagramless location');
-             return false
+             return null
            }
-           parsedState.push('1')
+           parsedState.push(['1', false, []])
         } else {
            if (!this.isValidStateChar(letter)) {
              this.log('Unexpected letter/digit ' + letter +
                          ' in state: ' + state);
-             return false
+             return null
            }
-           parsedState.push(letter)
+           parsedState.push([letter, isPencil, candidates])
         }
       } else {
         if (letter != '.') {
           this.log('Unexpected letter ' + letter +
                       ' in state, expected .: ' + state);
-          return false
+          return null
         }
       }
     }
   }
-  for (let i = 0; i < this.gridHeight; i++) {
-    for (let j = 0; j < this.gridWidth; j++) {
+  let answers = null
+  if (state.substr(index, this.STATE_SEP.length) == this.STATE_SEP) {
+    answers = state.substr(index + this.STATE_SEP.length).split(
+        this.STATE_SEP)
+  }
+  return {
+    cells: parsedState,
+    answers: answers,
+  }
+}
+
+// Returns true upon success.
+Exolve.prototype.parseState = function(state) {
+  const decoded = this.decodeState(state)
+  if (!decoded) {
+    return false
+  }
+  const parsedState = decoded.cells
+  for (let i = 0; i < this.gridHeight; i++) {
+    for (let j = 0; j < this.gridWidth; j++) {
       let gridCell = this.grid[i][j]
       if (gridCell.isLight || gridCell.isDgmless) {
         console.assert(parsedState.length > 0, parsedState)
-        gridCell.currLetter = parsedState.shift();
+        const parsed = parsedState.shift();
+        gridCell.currLetter = parsed[0];
+        gridCell.isPencil = parsed[1];
+        gridCell.candidates = parsed[2];
         gridCell.textNode.nodeValue = this.stateToDisplayChar(gridCell.currLetter);
       }
     }
@@ -5753,37 +7163,729 @@ Exolve.prototype.parseState = function(state) {
   console.assert(parsedState.length == 0, parsedState)
 
   // Also try to recover answers to questions and orphan-fills.
-  if (state.substr(index, this.STATE_SEP.length) == this.STATE_SEP) {
-    let parts = state.substr(index + this.STATE_SEP.length).split(
-        this.STATE_SEP)
-    if (parts.length == this.answersList.length) {
-      for (let i = 0; i < parts.length; i++) {
-        this.answersList[i].input.value = parts[i]
-      }
+  const parts = decoded.answers
+  if (parts && parts.length == this.answersList.length) {
+    for (let i = 0; i < parts.length; i++) {
+      this.answersList[i].input.value = parts[i]
     }
   }
   return true
 }
 
+/**
+ * Storage adapters, used for saving (and restoring) the state of puzzles
+ * along with the solver's notes. A storage adapter has these methods, all of
+ * which return Promises:
+ *   get(key): resolves to the value saved for key (or null if none).
+ *   put(key, value): saves value for key.
+ *   list(prefix): resolves to an array of {key, timestamp, size} objects for
+ *       all saved keys that start with prefix. size is the number of bytes
+ *       used by the value (0 if not known).
+ *   delete(key): deletes the value saved for key.
+ * An adapter can also have this optional method:
+ *   getNow(key): returns the value saved for key (or null if none), without
+ *       waiting. Exolve uses this (when available) to restore the state of
+ *       a puzzle right away, while it is being created.
+ * Values are objects that can be passed to JSON.stringify(), with a
+ * timestamp field (the time of creation, in ms since the epoch).
+ *
+ * Exolve uses ExolveLocalStorage by default. Web pages can set
+ * Exolve.defaultStorage to some other adapter before creating puzzles.
+ * Puzzles with an exolve-storage section use ExolveSyncedStorage, with
+ * ExolveRestStorage pointed at the URL from exolve-storage as the remote
+ * adapter.
+ */
+
+/**
+ * The storage adapter that uses the browser's local storage.
+ */
+function ExolveLocalStorage() {
+}
+
+ExolveLocalStorage.prototype.get = function(key) {
+  return new Promise((resolve, reject) => {
+    resolve(this.getNow(key));
+  });
+}
+
+ExolveLocalStorage.prototype.getNow = function(key) {
+  const lsVal = window.localStorage.getItem(key);
+  return lsVal ? JSON.parse(lsVal) : null;
+}
+
+ExolveLocalStorage.prototype.put = function(key, value) {
+  return new Promise((resolve, reject) => {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    resolve();
+  });
+}
+
+ExolveLocalStorage.prototype.list = function(prefix) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    for (let idx = 0; idx < window.localStorage.length; idx++) {
+      const key = window.localStorage.key(idx);
+      if (!key.startsWith(prefix)) {
+        continue;
+      }
+      const lsVal = window.localStorage.getItem(key);
+      let value;
+      try {
+        value = JSON.parse(lsVal);
+      } catch (err) {
+        continue;
+      }
+      if (!value || typeof value !== 'object') {
+        continue;
+      }
+      entries.push({
+        key: key,
+        timestamp: value.timestamp,
+        size: lsVal.length,
+      });
+    }
+    resolve(entries);
+  });
+}
+
+ExolveLocalStorage.prototype.delete = function(key) {
+  return new Promise((resolve, reject) => {
+    window.localStorage.removeItem(key);
+    resolve();
+  });
+}
+
+/**
+ * The storage adapter that uses a REST server at url. The server should
+ * handle these requests (where <key> is URI-encoded), with JSON bodies:
+ *   GET <url>/<key>: respond with the value, or with status 404.
+ *   PUT <url>/<key>: save the value from the request body, unless the
+ *       saved value has a later timestamp (respond with status 409 then).
+ *   GET <url>/?prefix=<prefix>: respond with the array of entries.
+ *   DELETE <url>/<key>: delete the value (404 is fine too).
+ * fetchOptions are added to the options for every fetch() call (for example,
+ * pass {credentials: 'include'} to send cookies to a server on some other
+ * origin). Requests that take longer than timeoutMs are aborted (and fail).
+ */
+function ExolveRestStorage(url, fetchOptions={}, timeoutMs=10000) {
+  this.url = url.endsWith('/') ? url : url + '/';
+  this.fetchOptions = fetchOptions;
+  this.timeoutMs = timeoutMs;
+}
+
+/**
+ * Makes a request for the given method and path (relative to this.url),
+ * with value (if not undefined) as the JSON body. The response must be ok
+ * (or must have one of the okStatuses). Resolves to what readBody(response)
+ * resolves to (readBody is called before the timeout is cleared, so that
+ * reading the body is also subject to it).
+ */
+ExolveRestStorage.prototype.request = function(method, path, value=undefined,
+                                               okStatuses=[],
+                                               readBody=(response) => {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+  const options = Object.assign({}, this.fetchOptions,
+                                {method: method, signal: controller.signal});
+  if (value !== undefined) {
+    options.headers = Object.assign({}, this.fetchOptions.headers,
+                                    {'Content-Type': 'application/json'});
+    options.body = JSON.stringify(value);
+  }
+  return fetch(this.url + path, options).then(response => {
+    if (!response.ok && !okStatuses.includes(response.status)) {
+      throw new Error(`${method} ${this.url + path}, ` +
+                      `status = ${response.status}`);
+    }
+    return readBody(response);
+  }).finally(() => clearTimeout(timer));
+}
+
+ExolveRestStorage.prototype.get = function(key) {
+  return this.request('GET', encodeURIComponent(key), undefined, [404],
+      response => (response.status == 404) ? null : response.json());
+}
+
+ExolveRestStorage.prototype.put = function(key, value) {
+  /**
+   * 409 means that the server has a later value, which get() will return.
+   */
+  return this.request('PUT', encodeURIComponent(key), value, [409]);
+}
+
+ExolveRestStorage.prototype.list = function(prefix) {
+  return this.request('GET', '?prefix=' + encodeURIComponent(prefix),
+                      undefined, [], response => response.json());
+}
+
+ExolveRestStorage.prototype.delete = function(key) {
+  return this.request('DELETE', encodeURIComponent(key), undefined, [404]);
+}
+
+/**
+ * The storage adapter that saves values in a local as well as a remote
+ * adapter, resolving conflicts by timestamp: get() returns whichever value
+ * is later, copying it to the other adapter if needed. Saves to the remote
+ * adapter are batched (every remoteDelayMs), and failures of the remote
+ * adapter are only logged: the solver can carry on offline and the later
+ * local value will get copied by a later get().
+ */
+function ExolveSyncedStorage(local, remote, remoteDelayMs=2000) {
+  this.local = local;
+  this.remote = remote;
+  this.remoteDelayMs = remoteDelayMs;
+  /** Values waiting to be put into the remote adapter, by key */
+  this.remotePending = {};
+  this.remoteTimer = null;
+}
+
+ExolveSyncedStorage.prototype.logRemoteError = function(err) {
+  console.log('Remote storage error: ' + err);
+}
+
+ExolveSyncedStorage.prototype.putRemoteSoon = function(key, value) {
+  this.remotePending[key] = value;
+  if (this.remoteTimer) {
+    return;
+  }
+  this.remoteTimer = setTimeout(() => {
+    this.remoteTimer = null;
+    const pending = this.remotePending;
+    this.remotePending = {};
+    for (const k in pending) {
+      this.remote.put(k, pending[k]).catch(this.logRemoteError);
+    }
+  }, this.remoteDelayMs);
+}
+
+ExolveSyncedStorage.prototype.get = function(key) {
+  const remoteGet = this.remote.get(key).catch((err) => {
+    this.logRemoteError(err);
+    return undefined;
+  });
+  return Promise.all([this.local.get(key), remoteGet]).then(
+      ([localVal, remoteVal]) => {
+    if (remoteVal === undefined) {
+      return localVal;
+    }
+    const localTime = localVal ? localVal.timestamp : -1;
+    const remoteTime = remoteVal ? remoteVal.timestamp : -1;
+    if (remoteTime > localTime) {
+      return this.local.put(key, remoteVal).then(() => remoteVal);
+    }
+    if (localTime > remoteTime) {
+      this.putRemoteSoon(key, localVal);
+    }
+    return localVal;
+  });
+}
+
+ExolveSyncedStorage.prototype.put = function(key, value) {
+  this.putRemoteSoon(key, value);
+  return this.local.put(key, value);
+}
+
+ExolveSyncedStorage.prototype.list = function(prefix) {
+  const remoteList = this.remote.list(prefix).catch((err) => {
+    this.logRemoteError(err);
+    return [];
+  });
+  return Promise.all([this.local.list(prefix), remoteList]).then(
+      ([localEntries, remoteEntries]) => {
+    const latest = {};
+    for (const entry of localEntries.concat(remoteEntries)) {
+      if (!latest[entry.key] || latest[entry.key].timestamp < entry.timestamp) {
+        latest[entry.key] = entry;
+      }
+    }
+    return Object.values(latest);
+  });
+}
+
+ExolveSyncedStorage.prototype.delete = function(key) {
+  delete this.remotePending[key];
+  const remoteDelete = this.remote.delete(key).catch(this.logRemoteError);
+  return Promise.all([this.local.delete(key), remoteDelete]).then(() => {});
+}
+
+/**
+ * Co-solve transports, for sending co-solving messages among solvers. A
+ * transport has these methods:
+ *   send(message): sends message (an object that can be passed to
+ *       JSON.stringify()) to all the other solvers.
+ *   listen(receiver): arranges for receiver(message) to be called for every
+ *       message from the other solvers.
+ *   close(): stops sending and receiving.
+ */
+
+/**
+ * The co-solve transport that uses a BroadcastChannel, for co-solving among
+ * the windows/tabs of one browser.
+ */
+function ExolveBroadcastTransport(channelName='exolve-cosolve') {
+  this.channel = new BroadcastChannel(channelName);
+}
+
+ExolveBroadcastTransport.prototype.send = function(message) {
+  this.channel.postMessage(message);
+}
+
+ExolveBroadcastTransport.prototype.listen = function(receiver) {
+  this.channel.onmessage = (e) => receiver(e.data);
+}
+
+ExolveBroadcastTransport.prototype.close = function() {
+  this.channel.close();
+}
+
+/**
+ * The co-solve transport that uses a WebSocket server at url. The server
+ * should relay every message that it receives to all the other clients
+ * connected to the same url (which may have a "room" param, for example).
+ * Messages sent before the connection opens are queued.
+ */
+function ExolveWebSocketTransport(url) {
+  this.queue = [];
+  this.socket = new WebSocket(url);
+  this.socket.addEventListener('open', () => {
+    for (const data of this.queue) {
+      this.socket.send(data);
+    }
+    this.queue = [];
+  });
+}
+
+ExolveWebSocketTransport.prototype.send = function(message) {
+  const data = JSON.stringify(message);
+  if (this.socket.readyState == WebSocket.CONNECTING) {
+    this.queue.push(data);
+  } else if (this.socket.readyState == WebSocket.OPEN) {
+    this.socket.send(data);
+  }
+}
+
+ExolveWebSocketTransport.prototype.listen = function(receiver) {
+  this.socket.addEventListener('message', (e) => {
+    let message;
+    try {
+      message = JSON.parse(e.data);
+    } catch (err) {
+      console.log('Ignoring bad co-solve message: ' + e.data);
+      return;
+    }
+    receiver(message);
+  });
+}
+
+ExolveWebSocketTransport.prototype.close = function() {
+  this.queue = [];
+  this.socket.close();
+}
+
+/**
+ * A class for co-solving the puzzle xlv with other solvers, over transport.
+ * name is shown to the other solvers next to this solver's cursor.
+ *
+ * Every cell edit is sent as an operation {row, col, letter, pencil, clock,
+ * site}, where pencil is set for tentative letters, site is the random id of
+ * the solver making the edit, and clock is a Lamport clock. Each cell remembers the [clock, site] stamp of its latest
+ * edit, and an operation is applied only if its stamp is later (comparing
+ * clocks, then sites). So, all solvers end up with the same letters, no
+ * matter in what order the operations reach them.
+ *
+ * Messages have a type ('hello', 'cells', 'cursor', or 'bye') and the
+ * puzzle id and site of the sender. A 'hello' (sent when starting) gets
+ * a 'cells' reply with all the edits made so far. Candidates (see
+ * toggleCandidate()) are not shared: they remain private to each solver.
+ */
+function ExolveCoSolve(xlv, transport, name='') {
+  this.xlv = xlv;
+  this.transport = transport;
+  this.name = name;
+  this.site = Math.random().toString(36).substr(2, 10);
+  this.clock = 0;
+  /**
+   * The letters (and whether they are pencilled) as last sent/received, and
+   * their stamps. Letters already entered are treated as edits made at
+   * clock 0.
+   */
+  this.letters = [];
+  this.pencils = [];
+  this.stamps = [];
+  for (let i = 0; i < xlv.gridHeight; i++) {
+    this.letters.push([]);
+    this.pencils.push([]);
+    this.stamps.push([]);
+    for (let j = 0; j < xlv.gridWidth; j++) {
+      const letter = xlv.grid[i][j].currLetter;
+      this.letters[i].push(letter);
+      this.pencils[i].push(!!xlv.grid[i][j].isPencil);
+      this.stamps[i].push([0, (letter && letter != '0') ? this.site : '']);
+    }
+  }
+  /** The other solvers, by site: {name, row, col, colour} */
+  this.collaborators = {};
+  this.cursorSent = '';
+
+  this.byeSender = this.send.bind(this, {type: 'bye'});
+  window.addEventListener('pagehide', this.byeSender);
+  this.transport.listen(this.receive.bind(this));
+  this.send({type: 'hello', name: this.name, ops: this.allOps()});
+  this.sendCursor();
+}
+
+ExolveCoSolve.prototype.COLOURS = [
+  '#e6194b', '#3cb44b', '#4363d8', '#f58231',
+  '#911eb4', '#42d4f4', '#f032e6', '#9a6324',
+];
+
+ExolveCoSolve.prototype.send = function(message) {
+  message.puzzle = this.xlv.id;
+  message.site = this.site;
+  this.transport.send(message);
+}
+
+ExolveCoSolve.prototype.stop = function() {
+  window.removeEventListener('pagehide', this.byeSender);
+  this.send({type: 'bye'});
+  this.transport.close();
+  this.collaborators = {};
+  this.redisplayCursors();
+}
+
+ExolveCoSolve.prototype.isLater = function(stamp, otherStamp) {
+  return stamp[0] > otherStamp[0] ||
+         (stamp[0] == otherStamp[0] && stamp[1] > otherStamp[1]);
+}
+
+ExolveCoSolve.prototype.isEditable = function(gridCell) {
+  return (gridCell.isLight || gridCell.isDgmless) && !gridCell.prefill;
+}
+
+/**
+ * Returns true if a received letter can be entered in gridCell.
+ */
+ExolveCoSolve.prototype.isValidLetter = function(gridCell, letter) {
+  const xlv = this.xlv;
+  if (letter == '0') {
+    return true;
+  }
+  if (letter == '1') {
+    return !!gridCell.isDgmless;
+  }
+  if (!letter ||
+      (!xlv.hasRebusCells && letter.length > xlv.langMaxCharCodes)) {
+    return false;
+  }
+  return xlv.isValidStateChar(letter);
+}
+
+/**
+ * Returns operations for all the edits so far (including letters already
+ * entered when co-solving started).
+ */
+ExolveCoSolve.prototype.allOps = function() {
+  const ops = [];
+  for (let i = 0; i < this.xlv.gridHeight; i++) {
+    for (let j = 0; j < this.xlv.gridWidth; j++) {
+      const stamp = this.stamps[i][j];
+      if (!stamp[1] || !this.isEditable(this.xlv.grid[i][j])) {
+        continue;
+      }
+      ops.push({row: i, col: j, letter: this.letters[i][j],
+                pencil: this.pencils[i][j], clock: stamp[0], site: stamp[1]});
+    }
+  }
+  return ops;
+}
+
+/**
+ * Sends operations for all the cells edited locally since the last call.
+ * Called from updateAndSaveState(), which follows every edit.
+ */
+ExolveCoSolve.prototype.sendChanges = function() {
+  const ops = [];
+  for (let i = 0; i < this.xlv.gridHeight; i++) {
+    for (let j = 0; j < this.xlv.gridWidth; j++) {
+      const gridCell = this.xlv.grid[i][j];
+      const pencil = !!gridCell.isPencil;
+      if (!this.isEditable(gridCell) ||
+          (gridCell.currLetter == this.letters[i][j] &&
+           pencil == this.pencils[i][j])) {
+        continue;
+      }
+      this.clock++;
+      this.letters[i][j] = gridCell.currLetter;
+      this.pencils[i][j] = pencil;
+      this.stamps[i][j] = [this.clock, this.site];
+      ops.push({row: i, col: j, letter: gridCell.currLetter, pencil: pencil,
+                clock: this.clock, site: this.site});
+    }
+  }
+  if (ops.length > 0) {
+    this.send({type: 'cells', ops: ops});
+  }
+}
+
+/**
+ * Sends the current cell (if changed since the last call).
+ */
+ExolveCoSolve.prototype.sendCursor = function() {
+  const xlv = this.xlv;
+  const active = xlv.activeCells.length > 0 && xlv.currCellIsValid();
+  const row = active ? xlv.currRow : -1;
+  const col = active ? xlv.currCol : -1;
+  const cursor = row + ',' + col;
+  if (cursor == this.cursorSent) {
+    return;
+  }
+  this.cursorSent = cursor;
+  this.send({type: 'cursor', name: this.name, row: row, col: col});
+}
+
+ExolveCoSolve.prototype.receive = function(message) {
+  if (!message || message.puzzle != this.xlv.id ||
+      !message.site || message.site == this.site) {
+    return;
+  }
+  if (message.type == 'bye') {
+    delete this.collaborators[message.site];
+    this.redisplayCursors();
+    return;
+  }
+  let collaborator = this.collaborators[message.site];
+  if (!collaborator) {
+    const numCollaborators = Object.keys(this.collaborators).length;
+    collaborator = {
+      name: '',
+      row: -1,
+      col: -1,
+      colour: this.COLOURS[numCollaborators % this.COLOURS.length],
+    };
+    this.collaborators[message.site] = collaborator;
+  }
+  if (message.name) {
+    collaborator.name = '' + message.name;
+  }
+  if (message.type == 'hello') {
+    this.send({type: 'cells', ops: this.allOps()});
+    this.cursorSent = '';
+    this.sendCursor();
+  }
+  if (message.type == 'hello' || message.type == 'cells') {
+    this.merge(message.ops);
+  } else if (message.type == 'cursor') {
+    collaborator.row = message.row;
+    collaborator.col = message.col;
+    this.redisplayCursors();
+  }
+}
+
+/**
+ * Applies the received operations that are later than the latest edits of
+ * their cells.
+ */
+ExolveCoSolve.prototype.merge = function(ops) {
+  const xlv = this.xlv;
+  let changed = false;
+  for (const op of (Array.isArray(ops) ? ops : [])) {
+    if (!op || !Number.isInteger(op.row) || !Number.isInteger(op.col) ||
+        op.row < 0 || op.row >= xlv.gridHeight ||
+        op.col < 0 || op.col >= xlv.gridWidth ||
+        typeof op.letter != 'string' || !Number.isFinite(op.clock)) {
+      continue;
+    }
+    const gridCell = xlv.grid[op.row][op.col];
+    if (!this.isEditable(gridCell) || !this.isValidLetter(gridCell, op.letter)) {
+      continue;
+    }
+    const pencil = !!op.pencil && op.letter != '0' && op.letter != '1';
+    this.clock = Math.max(this.clock, op.clock);
+    const stamp = [op.clock, '' + op.site];
+    if (!this.isLater(stamp, this.stamps[op.row][op.col])) {
+      continue;
+    }
+    this.stamps[op.row][op.col] = stamp;
+    this.letters[op.row][op.col] = op.letter;
+    this.pencils[op.row][op.col] = pencil;
+    if (gridCell.currLetter == op.letter && !!gridCell.isPencil == pencil) {
+      continue;
+    }
+    gridCell.currLetter = op.letter;
+    gridCell.isPencil = pencil;
+    const displayChar = xlv.stateToDisplayChar(op.letter);
+    gridCell.textNode.nodeValue = displayChar;
+    if (xlv.atCurr(op.row, op.col)) {
+      xlv.gridInput.value = displayChar;
+    }
+    changed = true;
+  }
+  if (!changed) {
+    return;
+  }
+  xlv.adjustRebusFonts();
+  for (const ci of xlv.allClueIndices) {
+    xlv.updateClueState(ci, false, null, true);
+  }
+  xlv.solveLogSource = 'co-solver';
+  xlv.updateAndSaveState();
+}
+
+/**
+ * Puts back the letters last entered by other solvers, in cells where undo
+ * or redo (see applyUndoState()) has changed them: a solver only undoes
+ * their own edits.
+ */
+ExolveCoSolve.prototype.keepOthersEdits = function() {
+  const xlv = this.xlv;
+  for (let i = 0; i < xlv.gridHeight; i++) {
+    for (let j = 0; j < xlv.gridWidth; j++) {
+      const site = this.stamps[i][j][1];
+      const gridCell = xlv.grid[i][j];
+      if (!site || site == this.site || !this.isEditable(gridCell)) {
+        continue;
+      }
+      gridCell.currLetter = this.letters[i][j];
+      gridCell.isPencil = this.pencils[i][j];
+      gridCell.textNode.nodeValue = xlv.stateToDisplayChar(gridCell.currLetter);
+    }
+  }
+  xlv.adjustRebusFonts();
+}
+
+/**
+ * Shows the current cells of the other solvers, outlined in their colours.
+ */
+ExolveCoSolve.prototype.redisplayCursors = function() {
+  const xlv = this.xlv;
+  const group = xlv.coSolveGroup;
+  group.innerHTML = '';
+  let numShown = 0;
+  for (const site in this.collaborators) {
+    const collaborator = this.collaborators[site];
+    const row = collaborator.row;
+    const col = collaborator.col;
+    if (row < 0 || row >= xlv.gridHeight || col < 0 || col >= xlv.gridWidth) {
+      continue;
+    }
+    const gridCell = xlv.grid[row][col];
+    const cursor = document.createElement('div');
+    cursor.setAttributeNS(null, 'class', 'xlv-cosolve-cursor');
+    cursor.style.left = '' + gridCell.cellLeft + 'px';
+    cursor.style.top = '' + gridCell.cellTop + 'px';
+    cursor.style.width = '' + xlv.cellW + 'px';
+    cursor.style.height = '' + xlv.cellH + 'px';
+    cursor.style.borderColor = collaborator.colour;
+    if (xlv.layers3d > 1) {
+      cursor.style.transformOrigin = 'top left';
+      cursor.style.transform =
+        `${xlv.skew3d} translate(${gridCell.offset3d}px)`;
+    }
+    if (collaborator.name) {
+      const nameTag = document.createElement('div');
+      nameTag.setAttributeNS(null, 'class', 'xlv-cosolve-name');
+      nameTag.style.backgroundColor = collaborator.colour;
+      nameTag.innerText = collaborator.name;
+      cursor.appendChild(nameTag);
+    }
+    group.appendChild(cursor);
+    numShown++;
+  }
+  group.style.display = (numShown > 0) ? '' : 'none';
+}
+
+/**
+ * Starts co-solving over transport (see ExolveCoSolve), once the saved state
+ * has been restored. name is shown to the other solvers.
+ */
+Exolve.prototype.startCoSolve = function(transport, name='') {
+  this.stopCoSolve();
+  const starter = () => {
+    this.stopCoSolve();
+    this.coSolve = new ExolveCoSolve(this, transport, name);
+  };
+  if (this.stateRestored || !this.restoringState) {
+    starter();
+  } else {
+    this.restoringState.then(starter);
+  }
+}
+
+Exolve.prototype.stopCoSolve = function() {
+  if (this.coSolve) {
+    this.coSolve.stop();
+    this.coSolve = null;
+  }
+}
+
 Exolve.prototype.stateKey = function() {
   return 'xlvstate:' + this.id;
 }
 
-// Restore state from local storage or cookie (or location.hash).
+/**
+ * Restore state from this.storage or cookie (or location.hash). This returns
+ * a Promise that resolves once the state has been restored. If the storage
+ * adapter has a getNow() method, the state is restored before this returns
+ * (and this.stateRestored is true). Otherwise, it is restored once the
+ * Promise from the adapter's get() resolves.
+ */
 Exolve.prototype.restoreState = function() {
   this.resetState();
-  let foundState = false;
+  this.stateRestored = false;
+  if (typeof this.storage.getNow === 'function') {
+    let saved = null;
+    try {
+      saved = this.storage.getNow(this.stateKey());
+    } catch (err) {
+      console.log('Could not get saved state: ' + err);
+    }
+    this.restoreStateFrom(saved);
+    this.restoringState = Promise.resolve();
+    return this.restoringState;
+  }
+  this.restoringState = this.storage.get(this.stateKey()).catch((err) => {
+    console.log('Could not get saved state: ' + err);
+    return null;
+  }).then((saved) => {
+    this.restoreStateFrom(saved);
+  });
+  return this.restoringState;
+}
 
-  let lsVal = window.localStorage.getItem(this.stateKey());
-  if (lsVal) {
+/**
+ * Restore state from saved (the value from this.storage, possibly null) or
+ * cookie (or location.hash), and start saving state.
+ */
+Exolve.prototype.restoreStateFrom = function(saved) {
+  let foundState = false;
+  /**
+   * Stop the timer of any previously restored state, so that the time it
+   * has been running for does not get added to the restored timer.
+   */
+  this.stopTimer();
+  this.timer = this.newTimer();
+  this.solveLog = [];
+  this.undoStack = [];
+  this.redoStack = [];
+  this.lastUndoState = null;
+  if (saved) {
     try {
-      let decoded = JSON.parse(lsVal);
-      foundState = this.parseState(decoded.state);
+      if (saved.timer) {
+        Object.assign(this.timer, saved.timer);
+      }
+      if (Array.isArray(saved.log)) {
+        this.solveLog = saved.log;
+      }
+      if (Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+        this.undoStack = saved.undo;
+        this.redoStack = saved.redo;
+      }
+      foundState = this.parseState(saved.state);
       if (foundState) {
-        this.log("Found saved state in browser's local storage");
+        this.log('Found saved state in storage');
       }
-      if (decoded.notes) {
-        this.notes = decoded.notes;
+      if (saved.notes) {
+        this.notes = saved.notes;
         this.refreshNotesPanel();
       }
     } catch (err) {
@@ -5822,10 +7924,21 @@ Exolve.prototype.restoreState = function() {
     }
   } catch (e) {
   }
-  for (const ci of this.allClueIndices) {
-    // When restoring state, we reveal annos for fully prefilled entries.
+  if (!foundState && this.initialState) {
+    foundState = this.parseState(this.initialState);
+    if (foundState) {
+      this.log('Using the state from exolve-state');
+      if (this.initialTimer) {
+        Object.assign(this.timer, this.initialTimer);
+      }
+    }
+  }
+  for (const ci of this.allClueIndices) {
+    // When restoring state, we reveal annos for fully prefilled entries.
     this.updateClueState(ci, true, null, false /* dont note a fresh solve */);
   }
+  this.stateRestored = true;
+  this.setSolveLogBaseline();
   this.updateAndSaveState(false);  // notifyIfComplete=false
 }
 
@@ -5933,8 +8046,18 @@ Exolve.prototype.symCell = function(row, col) {
   return this.grid[this.gridHeight - 1 - row][this.gridWidth - 1 - col]
 }
 Exolve.prototype.cellLeftPos = function(col, offset) {
+  if (this.rtl) {
+    col = this.gridWidth - 1 - col;
+  }
   return this.offsetLeft + offset + (col * this.tilingW);
 }
+/**
+ * Like cellLeftPos(), but for the edge between col and col + 1 (which is
+ * the left edge of col when the grid is mirrored, see setUpLocale()).
+ */
+Exolve.prototype.cellAfterPos = function(col, offset) {
+  return this.cellLeftPos(this.rtl ? col : col + 1, offset);
+}
 Exolve.prototype.cellTopPos = function(row, offset) {
   return this.offsetTop + offset + (row * this.tilingH);
 }
@@ -5959,6 +8082,7 @@ Exolve.prototype.maybeConfirm = function(msg) {
 Exolve.prototype.deactivateCurrClue = function() {
   for (let x of this.activeClues) {
     x.style.background = 'inherit';
+    x.setAttributeNS(null, 'aria-selected', 'false');
   }
   this.activeClues = [];
   this.currClueIndex = null;
@@ -6126,7 +8250,7 @@ Exolve.prototype.gnavToInner = function(cell, dir) {
   if (activeClueIndex) {
     const clue = this.clues[activeClueIndex];
     if (clue.dir == 'A') {
-      if (clue.reversed) this.gridInputLarr.style.display = '';
+      if (clue.reversed != this.rtl) this.gridInputLarr.style.display = '';
       else this.gridInputRarr.style.display = '';
     } else if (clue.dir == 'D') {
       const pointDown = (this.layers3d == 1 && !clue.reversed) ||
@@ -6153,6 +8277,103 @@ Exolve.prototype.gnavToInner = function(cell, dir) {
   return activeClueIndex;
 }
 
+/**
+ * Returns the name of the clue for screen readers, such as "12 across".
+ */
+Exolve.prototype.ariaClueName = function(ci) {
+  const clue = this.clues[ci];
+  let dirKey = '';
+  if (clue.dir == 'A') {
+    dirKey = clue.reversed ? 'aria-back' : 'aria-across';
+  } else if (clue.dir == 'D') {
+    if (this.layers3d > 1) {
+      dirKey = clue.reversed ? 'aria-towards' : 'aria-away';
+    } else {
+      dirKey = clue.reversed ? 'aria-up' : 'aria-down';
+    }
+  } else if (clue.dir == 'Z') {
+    dirKey = clue.reversed ? 'aria-up' : 'aria-down';
+  }
+  const label = clue.label ? ('' + clue.label) : ci.substr(1);
+  return dirKey ? (label + ' ' + this.textLabels[dirKey]) : label;
+}
+
+/**
+ * Returns the description of the cell at row, col for screen readers, such
+ * as "12 across, letter 3 of 7, currently E". The cell is described as being
+ * in the clue ci if that is provided, else in all the clues that it is in.
+ */
+Exolve.prototype.cellAriaLabel = function(row, col, ci='') {
+  const gridCell = this.grid[row][col];
+  let clueIndices = [];
+  if (ci) {
+    clueIndices.push(ci);
+  } else {
+    if (gridCell.acrossClueLabel) {
+      clueIndices.push(this.getDirClueIndex('A', gridCell.acrossClueLabel));
+    }
+    if (gridCell.downClueLabel) {
+      clueIndices.push(this.getDirClueIndex('D', gridCell.downClueLabel));
+    }
+    if (gridCell.z3dClueLabel) {
+      clueIndices.push(this.getDirClueIndex('Z', gridCell.z3dClueLabel));
+    }
+    clueIndices = clueIndices.concat(gridCell.nodirClues || []);
+  }
+  const parts = [];
+  for (const clueIndex of clueIndices) {
+    const clue = this.clues[clueIndex];
+    if (!clue || !clue.cells) {
+      continue;
+    }
+    const pos = clue.cells.findIndex(c => c[0] == row && c[1] == col);
+    if (pos < 0) {
+      continue;
+    }
+    parts.push(this.ariaClueName(clueIndex) + ', ' +
+               this.textLabels['aria-letter'] + ' ' + (pos + 1) + ' ' +
+               this.textLabels['aria-of'] + ' ' + clue.cells.length);
+  }
+  const letter = this.stateToDisplayChar(gridCell.currLetter);
+  const contents = letter ?
+      (this.textLabels['aria-currently'] + ' ' + letter) :
+      this.textLabels['aria-empty'];
+  return parts.length > 0 ? (parts.join('; ') + ', ' + contents) : contents;
+}
+
+/**
+ * Updates the descriptions of all the light cells (and of the grid input
+ * box, for the current cell and clue) for screen readers.
+ */
+Exolve.prototype.updateAriaLabels = function() {
+  for (let i = 0; i < this.gridHeight; i++) {
+    for (let j = 0; j < this.gridWidth; j++) {
+      const gridCell = this.grid[i][j];
+      if (gridCell.cellGroup && (gridCell.isLight || gridCell.isDgmless)) {
+        gridCell.cellGroup.setAttributeNS(
+            null, 'aria-label', this.cellAriaLabel(i, j));
+      }
+    }
+  }
+  const gridCell = this.currCell();
+  if (gridCell && (gridCell.isLight || gridCell.isDgmless)) {
+    this.gridInput.setAttributeNS(null, 'aria-label', this.cellAriaLabel(
+        this.currRow, this.currCol, this.currClueIndex || ''));
+  }
+}
+
+/**
+ * Announces the clue (ci is the clue index, and text is the clue text)
+ * in the ARIA live region, if it is not the clue announced last.
+ */
+Exolve.prototype.announceClue = function(ci, text) {
+  if (!this.ariaLive || ci == this.ariaAnnouncedClue) {
+    return;
+  }
+  this.ariaAnnouncedClue = ci;
+  this.ariaLive.textContent = this.ariaClueName(ci) + ': ' + text.trim();
+}
+
 Exolve.prototype.activateCell = function(row, col) {
   this.deactivateCurrCell();
   const clue = this.gnavToInner([row, col], this.currDir);
@@ -6313,6 +8534,7 @@ Exolve.prototype.cnavToInner = function(activeClueIndex, grabFocus = false) {
       continue;
     }
     theClue.clueTR.style.background = colour;
+    theClue.clueTR.setAttributeNS(null, 'aria-selected', 'true');
     if (this.cluesPanelLines > 0) {
       this.scrollIfNeeded(theClue.clueTR);
     }
@@ -6327,7 +8549,7 @@ Exolve.prototype.cnavToInner = function(activeClueIndex, grabFocus = false) {
   if (curr.hints.length > 0) {
     const shown = curr.hintsDisplay ? curr.hintsDisplay.hintsShown : 0;
     curr.hintsDisplay = new ExolveHints(
-        this, clueSpan, curr.hints, shown, true /* resize */);
+        this, clueSpan, curr.hints, shown, true /* resize */, parentIndex);
   }
 
   document.getElementById(this.prefix + '-curr-clue-prev').addEventListener(
@@ -6356,6 +8578,7 @@ Exolve.prototype.cnavToInner = function(activeClueIndex, grabFocus = false) {
   this.updateClueState(parentIndex, false, null, false);
   this.currClue.style.display = '';
   this.resizeCurrClueAndControls();
+  this.announceClue(parentIndex, clueSpan.textContent);
   return gnav;
 }
 
@@ -6459,6 +8682,7 @@ Exolve.prototype.copyPlaceholderBlank = function(clueIndex) {
     }
     const letter = letters[i];
     const oldLetter = gridCell.currLetter;
+    gridCell.isPencil = this.pencilMode;
     if (oldLetter != letter) {
       gridCell.currLetter = letter;
       const revealedChar = this.stateToDisplayChar(letter);
@@ -6677,38 +8901,108 @@ Exolve.prototype.arrowNav = function(rincr, cincr, shouldLoop) {
 }
 
 /**
- * Handle navigation keys. Used by a listener, and also used to auto-advance
- * after a cell is filled. Returns false only if a tab input was actually used.
+ * Returns the canonical form of the keyboard shortcut spec, such as
+ * "Ctrl+Shift+R" (for "ctrl+shift+r" or "Cmd+Shift+r"). Modifiers are
+ * listed in the order Ctrl, Alt, Shift, and Shift is only listed with
+ * letters and named keys (for other characters such as "?", it is implied by
+ * the character).
  */
-Exolve.prototype.handleKeyUpInner = function(key, shift=false) {
-  const gridCell = this.currCell();
-  if (key == 9 && !shift) {
-    // tab
-    if (this.usingGnav) {
-      if (!gridCell || !this.currDir) {
-        return false;
-      }
-      const gnav = gridCell['next' + this.currDir];
-      if (!gnav) {
-        return false;
-      }
-      this.currDir = gnav.dir;
-      this.activateCell(gnav.cell[0], gnav.cell[1]);
-    } else {
-      if (!this.currClueIndex || !this.clues[this.currClueIndex] ||
-          !this.clues[this.currClueIndex].next) {
-        return false;
+Exolve.prototype.normalizeKeySpec = function(spec) {
+  spec = spec.trim();
+  let mods = [];
+  let key = spec;
+  // The key itself may be "+", as in "Ctrl++".
+  const plus = spec.length > 1 ? spec.lastIndexOf('+', spec.length - 2) : -1;
+  if (plus >= 0) {
+    mods = spec.substr(0, plus).toLowerCase().split('+');
+    key = spec.substr(plus + 1);
+  }
+  const hasMod = (names) => mods.some(m => names.includes(m.trim()));
+  const ctrl = hasMod(['ctrl', 'control', 'cmd', 'meta']);
+  const alt = hasMod(['alt', 'option']);
+  const shift = hasMod(['shift']);
+  let isLetter = false;
+  if ([...key].length == 1) {
+    isLetter = key.toUpperCase() != key.toLowerCase();
+    if (isLetter) {
+      key = key.toUpperCase();
+    } else if (key == ' ') {
+      key = 'Space';
+    }
+  } else {
+    const lkey = key.toLowerCase();
+    if (this.KEY_NAMES.hasOwnProperty(lkey)) {
+      key = this.KEY_NAMES[lkey];
+    } else if (/^f[0-9]+$/.test(lkey)) {
+      key = key.toUpperCase();
+    }
+  }
+  const useShift = shift && (isLetter || [...key].length > 1);
+  return (ctrl ? 'Ctrl+' : '') + (alt ? 'Alt+' : '') +
+         (useShift ? 'Shift+' : '') + key;
+}
+
+/**
+ * Returns the keyboard shortcut spec (in the canonical form created by
+ * normalizeKeySpec()) for the key event e.
+ */
+Exolve.prototype.keyEventSpec = function(e) {
+  let key = e.key;
+  if (!key || key == 'Unidentified') {
+    // Some virtual keyboards only provide key codes for these keys.
+    const keyCodeNames = {
+      8: 'Backspace', 9: 'Tab', 13: 'Enter', 37: 'ArrowLeft', 38: 'ArrowUp',
+      39: 'ArrowRight', 40: 'ArrowDown', 46: 'Delete',
+    };
+    key = keyCodeNames[e.which || e.keyCode];
+    if (!key) {
+      return '';
+    }
+  }
+  let prefix = '';
+  if (e.ctrlKey || e.metaKey) prefix += 'Ctrl+';
+  if (e.altKey) prefix += 'Alt+';
+  if (e.shiftKey) prefix += 'Shift+';
+  return this.normalizeKeySpec(prefix + (key == ' ' ? 'Space' : key));
+}
+
+/**
+ * Returns the name of the action (a key in this.keymap) that the keyboard
+ * shortcut spec is mapped to, or '' if none.
+ */
+Exolve.prototype.keyAction = function(spec) {
+  if (!spec) {
+    return '';
+  }
+  for (const action in this.keymap) {
+    for (const keySpec of this.keymap[action]) {
+      if (this.normalizeKeySpec(keySpec) == spec) {
+        return action;
       }
-      this.cnavTo(this.clues[this.currClueIndex].next);
     }
-    return true
-  } else if (key == 9 && shift) {
-    // shift-tab
+  }
+  return '';
+}
+
+/**
+ * Handle navigation actions (from this.keymap) that are tied to the grid
+ * input. Used by the key listeners, and also by the on-screen keyboard.
+ * Returns false only if a next-light/prev-light action did not find
+ * anywhere to go (so that the Tab key can do its default thing).
+ */
+Exolve.prototype.handleNavAction = function(action) {
+  const gridCell = this.currCell();
+  if (this.rtl && (action == 'move-left' || action == 'move-right')) {
+    // The grid is mirrored, so left is towards the next column.
+    action = (action == 'move-left') ? 'move-right' : 'move-left';
+  }
+  if (action == 'next-light' || action == 'prev-light') {
+    const nextOrPrev = (action == 'next-light') ? 'next' : 'prev';
     if (this.usingGnav) {
       if (!gridCell || !this.currDir) {
         return false;
       }
-      const gnav = gridCell['prev' + this.currDir];
+      const gnav = gridCell[nextOrPrev + this.currDir];
       if (!gnav) {
         return false;
       }
@@ -6716,10 +9010,10 @@ Exolve.prototype.handleKeyUpInner = function(key, shift=false) {
       this.activateCell(gnav.cell[0], gnav.cell[1]);
     } else {
       if (!this.currClueIndex || !this.clues[this.currClueIndex] ||
-          !this.clues[this.currClueIndex].prev) {
+          !this.clues[this.currClueIndex][nextOrPrev]) {
         return false;
       }
-      this.cnavTo(this.clues[this.currClueIndex].prev);
+      this.cnavTo(this.clues[this.currClueIndex][nextOrPrev]);
     }
     return true;
   }
@@ -6728,52 +9022,47 @@ Exolve.prototype.handleKeyUpInner = function(key, shift=false) {
   }
 
   this.usingGnav = true;
-  if (key == 8) {
+  if (action == 'back') {
     if (gridCell.currLetter != '0' && gridCell.currLetter != '?' &&
         !gridCell.prefill) {
       return true;
     }
     // backspace in an empty or prefilled cell
-    this.retreatCursorInLight();;
+    this.retreatCursorInLight();
     return true;
   }
-  if (key == 46) { // delete key
+  if (action == 'clear-cell') {
     if (gridCell && gridCell.isLight && !gridCell.prefill) {
       this.clearCell(this.currRow, this.currCol);
       this.updateActiveCluesState();
       this.updateAndSaveState();
     }
     return true;
-  }  
-  if (key == 13) {
-    // Enter
+  }
+  if (action == 'toggle-dir') {
     this.toggleCurrDirAndActivate();
-  } else if (key == 39) {
-    // right arrow
+  } else if (action == 'move-right') {
     if (!this.arrowNav(0, 1, true)) {
       /* Try one cell right-diagonally up then down */
       if (!this.arrowNav(-1, 1, false)) {
         this.arrowNav(1, 1, false);
       }
     }
-  } else if (key == 37) {
-    // left arrow
+  } else if (action == 'move-left') {
     if (!this.arrowNav(0, -1, true)) {
       /* Try one cell left-diagonally up then down */
       if (!this.arrowNav(-1, -1, false)) {
         this.arrowNav(1, -1, false);
       }
     }
-  } else if (key == 40) {
-    // down arrow
+  } else if (action == 'move-down') {
     if (!this.arrowNav(1, 0, true)) {
       /* Try one cell left-diagonally then right-diagonally down */
       if (!this.arrowNav(1, -1, false)) {
         this.arrowNav(1, 1, false);
       }
     }
-  } else if (key == 38) {
-    // up arrow
+  } else if (action == 'move-up') {
     if (!this.arrowNav(-1, 0, true)) {
       /* Try one cell left-diagonally then right-diagonally up */
       if (!this.arrowNav(-1, -1, false)) {
@@ -6784,12 +9073,21 @@ Exolve.prototype.handleKeyUpInner = function(key, shift=false) {
   return true;
 }
 
+/**
+ * The actions in KEY_UP_ACTIONS are handled on key-up in the grid input (so
+ * that, for example, Backspace has already cleared the cell by then).
+ */
 Exolve.prototype.handleKeyUp = function(e) {
-  let key = e.which || e.keyCode
-  if (key == 9) {
-    return;  // Already handled with key-down.
+  const action = this.keyAction(this.keyEventSpec(e));
+  const keyDownAction = this.lastKeyDownAction;
+  this.lastKeyDownAction = '';
+  if (keyDownAction && keyDownAction != action) {
+    // Modifiers were released before the key (as in Ctrl+Enter).
+    return;
+  }
+  if (this.KEY_UP_ACTIONS.includes(action)) {
+    this.handleNavAction(action);
   }
-  this.handleKeyUpInner(key)
 }
 
 Exolve.prototype.muzzleEvent = function(e) {
@@ -6806,27 +9104,69 @@ Exolve.prototype.fromNotesToGrid = function() {
   this.refocus();
 }
 
-// For tab/shift-tab, ctrl-q, ctrl-Q, ctrl-B, ctrl-e
+// Handles the keyboard shortcuts in this.keymap, everywhere in the puzzle.
 Exolve.prototype.handleKeyDown = function(e) {
-  let key = e.which || e.keyCode;
   this.lastKeyHadShift = e.shiftKey;
-  const isCtrl = e.ctrlKey || e.metaKey;
-  if (key == 9) {
-    if (this.handleKeyUpInner(key, e.shiftKey)) {
+  if (this.shortcutsPanel.style.display != 'none' && e.key == 'Escape') {
+    this.muzzleEvent(e);
+    this.toggleShortcuts();
+    return;
+  }
+  const action = this.keyAction(this.keyEventSpec(e));
+  this.lastKeyDownAction = action;
+  if (!action) {
+    return;
+  }
+  const inGridInput = e.target == this.gridInput;
+  const inOtherText = !inGridInput &&
+      (e.target.tagName == 'INPUT' || e.target.tagName == 'TEXTAREA' ||
+       e.target.isContentEditable);
+  const isTyping = !e.ctrlKey && !e.metaKey && !e.altKey && e.key &&
+                   [...e.key].length == 1;
+  if (isTyping &&
+      (inOtherText ||
+       (inGridInput && this.isValidDisplayChar(e.key.toUpperCase())))) {
+    // Let the character be typed.
+    this.lastKeyDownAction = '';
+    return;
+  }
+  if (this.KEY_UP_ACTIONS.includes(action)) {
+    if (inGridInput && isTyping) {
+      // Do not let the character be typed into the cell.
+      e.preventDefault();
+    }
+    return;
+  }
+  if (action == 'next-light' || action == 'prev-light') {
+    if (this.handleNavAction(action)) {
       // Tab input got used already.
-      e.preventDefault()
+      e.preventDefault();
     }
-  } else if (isCtrl && (e.key == 'q' || e.key == 'Q')) {
+  } else if (action == 'clear') {
     this.muzzleEvent(e);
-    if (e.key == 'Q') {
-      this.clearAll();
+    this.clearCurr();
+  } else if (action == 'clear-all') {
+    this.muzzleEvent(e);
+    this.clearAll();
+  } else if ((action == 'undo' || action == 'redo') &&
+             (inGridInput || !inOtherText)) {
+    // Text fields other than the grid's have their own undo/redo.
+    this.muzzleEvent(e);
+    if (action == 'undo') {
+      this.undo();
     } else {
-      this.clearCurr();
+      this.redo();
     }
-  } else if (isCtrl && e.key == 'B') {
+  } else if (action == 'pencil') {
+    this.muzzleEvent(e);
+    this.togglePencilMode();
+  } else if (action == 'candidates') {
+    this.muzzleEvent(e);
+    this.toggleCandidatesMode();
+  } else if (action == 'print') {
     this.muzzleEvent(e);
     this.printNow('crossword');
-  } else if (isCtrl && e.key == '/') {
+  } else if (action == 'notes') {
     if (this.notesPanel.contains(e.target) &&
         this.currCellIsValid()) {
       this.muzzleEvent(e);
@@ -6834,11 +9174,101 @@ Exolve.prototype.handleKeyDown = function(e) {
     } else if (this.focusOnNotes()) {
       this.muzzleEvent(e);
     }
-  } else if (isCtrl && e.key == '*') {
+  } else if (action == 'fave') {
     if (this.markAsFave()) {
       this.muzzleEvent(e);
     }
+  } else if (action == 'check-clue') {
+    if (this.checkButton.style.display != 'none' &&
+        !this.checkButton.disabled) {
+      this.muzzleEvent(e);
+      this.checkCurr();
+    }
+  } else if (action == 'reveal-cell') {
+    if (!this.hasUnsolvedCells && !this.checksums &&
+        !this.revealcellButton.disabled) {
+      this.muzzleEvent(e);
+      this.revealCell();
+    }
+  } else if (action == 'first-empty') {
+    this.muzzleEvent(e);
+    this.gotoFirstEmpty();
+  } else if (action == 'shortcuts') {
+    this.muzzleEvent(e);
+    this.toggleShortcuts();
+  }
+}
+
+/**
+ * Goes to the first empty square in the current clue (or in the whole grid,
+ * if there is no current clue, or if it has no empty squares).
+ */
+Exolve.prototype.gotoFirstEmpty = function() {
+  const isEmpty = (cell) => {
+    const gridCell = this.grid[cell[0]][cell[1]];
+    return (gridCell.isLight || gridCell.isDgmless) && !gridCell.prefill &&
+           (gridCell.currLetter == '0' || gridCell.currLetter == '?');
+  };
+  if (this.currClueIndex && this.clues[this.currClueIndex]) {
+    for (const ci of this.getLinkedClues(this.currClueIndex)) {
+      const clue = this.clues[ci];
+      if (!clue || !clue.cells) {
+        continue;
+      }
+      const cell = clue.cells.find(isEmpty);
+      if (cell) {
+        this.currDir = (clue.dir == 'X') ? ci : clue.dir;
+        this.activateCell(cell[0], cell[1]);
+        return;
+      }
+    }
+  }
+  for (let i = 0; i < this.gridHeight; i++) {
+    for (let j = 0; j < this.gridWidth; j++) {
+      if (isEmpty([i, j])) {
+        this.activateCell(i, j);
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Shows (or hides, if shown) the list of keyboard shortcuts.
+ */
+Exolve.prototype.toggleShortcuts = function() {
+  if (this.shortcutsPanel.style.display != 'none') {
+    this.shortcutsPanel.style.display = 'none';
+    this.refocus();
+    return;
+  }
+  let html = `
+    <div class="xlv-shortcuts-header">
+      <b>${this.textLabels['shortcuts']}</b>
+      <button id="${this.prefix}-shortcuts-close" class="xlv-small-button"
+          title="${this.textLabels['shortcuts-close.hover']}"
+          >${this.textLabels['shortcuts-close']}</button>
+    </div>
+    <table>`;
+  for (const action in this.keymap) {
+    const keys = this.keymap[action].map(
+        k => this.normalizeKeySpec(k).replace(/&/g, '&amp;').replace(
+            /</g, '&lt;'));
+    if (keys.length == 0) {
+      continue;
+    }
+    html += `
+      <tr>
+        <td>${keys.map(k => '<kbd>' + k + '</kbd>').join(', ')}</td>
+        <td>${this.textLabels['key-' + action] || action}</td>
+      </tr>`;
   }
+  html += `
+    </table>`;
+  this.shortcutsPanel.innerHTML = html;
+  document.getElementById(this.prefix + '-shortcuts-close').addEventListener(
+      'click', this.toggleShortcuts.bind(this));
+  this.shortcutsPanel.style.display = '';
 }
 
 Exolve.prototype.advanceCursor = function() {
@@ -7144,9 +9574,21 @@ Exolve.prototype.handleGridInput = function() {
     this.advanceCursor();
     return;
   }
-  const stateChar = this.displayToStateChar(displayChar);
+  let stateChar = this.displayToStateChar(displayChar);
+  if (this.candidatesMode && stateChar != '0' && stateChar != '1') {
+    // The letter in the cell (if any) stays as it was. Cells filled in ink
+    // cannot have candidates.
+    this.gridInput.value = currDisplayChar;
+    if (gridCell.currLetter == '0' || gridCell.currLetter == '?' ||
+        gridCell.isPencil) {
+      this.toggleCandidate(gridCell, stateChar);
+      this.updateAndSaveState();
+    }
+    return;
+  }
   const oldLetter = gridCell.currLetter;
   gridCell.currLetter = stateChar;
+  gridCell.isPencil = this.pencilMode;
   gridCell.textNode.nodeValue = displayChar;
   this.gridInput.value = displayChar;
   if (this.hasRebusCells) {
@@ -7209,10 +9651,145 @@ Exolve.prototype.handleGridInput = function() {
   }
 }
 
+/**
+ * Creates the on-screen keyboard, if it is to be used. By default, it is used
+ * only on touch-only devices (where the keyboard of the device would hide
+ * much of the grid), and only if there is a keyboard layout for the
+ * language. The exolve-option show-keyboard and no-keyboard override this,
+ * and keyboard-layout provides a custom layout.
+ */
+Exolve.prototype.makeKeyboard = function() {
+  this.keyboard = document.getElementById(this.prefix + '-keyboard');
+  this.usingKeyboard = false;
+  if (this.noKeyboard) {
+    return;
+  }
+  if (!this.showKeyboard &&
+      !(window.matchMedia &&
+        window.matchMedia('(hover: none) and (pointer: coarse)').matches)) {
+    return;
+  }
+  let rows = this.keyboardLayout;
+  if (!rows) {
+    const lang = (this.language || 'en').split('-')[0].toLowerCase();
+    if (!this.KEYBOARD_LAYOUTS.hasOwnProperty(lang)) {
+      return;
+    }
+    rows = this.KEYBOARD_LAYOUTS[lang].map(row => [...row]);
+  }
+  rows = rows.map(row => row.filter(c => this.isValidDisplayChar(c)));
+  const extras = [];
+  if (this.allowChars) {
+    for (const c in this.allowChars) {
+      if (!this.SPECIAL_DISPLAY_CHARS.hasOwnProperty(c) &&
+          !rows.some(row => row.includes(c))) {
+        extras.push(c);
+      }
+    }
+  }
+  if (extras.length > 0) {
+    rows.unshift(extras);
+  }
+  this.keyboard.innerHTML = '';
+  for (const row of rows) {
+    if (row.length == 0) {
+      continue;
+    }
+    const rowDiv = document.createElement('div');
+    rowDiv.className = 'xlv-keyboard-row';
+    for (const c of row) {
+      this.addKeyboardKey(rowDiv, c, '', this.keyboardType.bind(this, c));
+    }
+    this.keyboard.appendChild(rowDiv);
+  }
+  const rowDiv = document.createElement('div');
+  rowDiv.className = 'xlv-keyboard-row';
+  this.addKeyboardKey(rowDiv, this.textLabels['curr-clue-prev'],
+                      this.textLabels['curr-clue-prev.hover'],
+                      this.cnavPrev.bind(this));
+  this.addKeyboardKey(rowDiv, this.textLabels['keyboard-dir'],
+                      this.textLabels['keyboard-dir.hover'],
+                      this.toggleCurrDirAndActivate.bind(this, null));
+  if (this.hasDgmlessCells) {
+    // Space creates a blocked cell in a diagramless puzzle cell.
+    this.addKeyboardKey(rowDiv, this.BLOCK_CHAR,
+                        this.textLabels['keyboard-block.hover'],
+                        this.keyboardType.bind(this, ' '));
+  }
+  this.addKeyboardKey(rowDiv, this.textLabels['keyboard-backspace'],
+                      this.textLabels['keyboard-backspace.hover'],
+                      this.keyboardBackspace.bind(this));
+  this.addKeyboardKey(rowDiv, this.textLabels['curr-clue-next'],
+                      this.textLabels['curr-clue-next.hover'],
+                      this.cnavNext.bind(this));
+  this.keyboard.appendChild(rowDiv);
+
+  // Do not take the focus away from the grid when a key is pressed.
+  this.keyboard.addEventListener('mousedown', this.muzzleEvent.bind(this));
+  // Suppress the device's own keyboard and its autocorrect.
+  this.gridInput.setAttributeNS(null, 'inputmode', 'none');
+  this.gridInput.setAttributeNS(null, 'autocorrect', 'off');
+  this.gridInput.setAttributeNS(null, 'autocapitalize', 'off');
+  this.keyboard.style.display = '';
+  this.usingKeyboard = true;
+}
+
+/**
+ * Adds a key (button) with the given label and hover-text to the on-screen
+ * keyboard row rowDiv. The listener is called when the key is pressed.
+ */
+Exolve.prototype.addKeyboardKey = function(rowDiv, label, hover, listener) {
+  const key = document.createElement('button');
+  key.className = 'xlv-small-button xlv-keyboard-key';
+  key.tabIndex = -1;
+  key.innerHTML = label;
+  if (hover) {
+    key.title = hover;
+    key.setAttributeNS(null, 'aria-label', hover);
+  }
+  key.addEventListener('click', listener);
+  rowDiv.appendChild(key);
+}
+
+/**
+ * Handles the on-screen keyboard key for the character c, as if c had been
+ * typed into the current cell.
+ */
+Exolve.prototype.keyboardType = function(c) {
+  if (!this.currCellIsValid()) {
+    return;
+  }
+  this.lastKeyHadShift = false;
+  this.gridInput.value = this.gridInput.value + c;
+  this.handleGridInput();
+}
+
+/**
+ * Handles the on-screen keyboard backspace key: clears the current cell, or
+ * moves back in the current light if the cell is already clear (or is
+ * prefilled).
+ */
+Exolve.prototype.keyboardBackspace = function() {
+  const gridCell = this.currCell();
+  if (!gridCell) {
+    return;
+  }
+  if (gridCell.currLetter != '0' && gridCell.currLetter != '?' &&
+      !gridCell.prefill) {
+    this.gridInput.value = '';
+    this.handleGridInput();
+    return;
+  }
+  this.handleNavAction('back');
+}
+
 Exolve.prototype.deactivator = function() {
   this.deactivateCurrCell();
   this.deactivateCurrClue();
   this.usingGnav = false;
+  if (this.coSolve) {
+    this.coSolve.sendCursor();
+  }
 }
 
 Exolve.prototype.createListeners = function() {
@@ -7239,8 +9816,12 @@ Exolve.prototype.createListeners = function() {
   this.windowListeners = {};
   if (this.notTemp) {
     this.windowListeners['resize'] = this.handleResize.bind(this);
+    /** Pause/resume the timer (and save state) when hidden/shown */
+    this.windowListeners['visibilitychange'] =
+        this.updateAndSaveState.bind(this, false);
     this.windowListeners['beforeprint'] = this.handleBeforePrint.bind(this);
     this.windowListeners['afterprint'] = this.handleAfterPrint.bind(this);
+    this.windowListeners['online'] = this.retryPendingSubmission.bind(this);
   }
 }
 
@@ -7349,6 +9930,21 @@ Exolve.prototype.displayGridBackground = function() {
   }
   if (this.layers3d > 1) {
     this.background = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  } else if (this.hasVoidCells) {
+    // Non-rectangular grid: the background only covers the non-void cells
+    // (along with the grid lines around them).
+    this.background = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    for (let i = 0; i < this.gridHeight; i++) {
+      for (let j = 0; j < this.gridWidth; j++) {
+        if (this.grid[i][j].isVoid) {
+          continue;
+        }
+        this.background.appendChild(this.makeRect(
+            this.cellLeftPos(j, 0), this.cellTopPos(i, 0),
+            this.cellW + (2 * this.GRIDLINE), this.cellH + (2 * this.GRIDLINE),
+            this.colorScheme['background']));
+      }
+    }
   } else {
     this.background = this.makeRect(this.offsetLeft, this.offsetTop,
         this.boxW, this.boxH, this.colorScheme['background']);
@@ -7385,6 +9981,7 @@ Exolve.prototype.clearCellElements = function(cell) {
   cell.cellCircle = null;
   cell.cellNum = null;
   cell.cellText = null;
+  cell.cellCands = null;
   cell.cellRect = null;
   cell.miscGroup = null;
   cell.cellGroup = null;
@@ -7403,8 +10000,22 @@ Exolve.prototype.displayGrid = function() {
   this.numCellsToFill = 0;
   this.numCellsPrefilled = 0;
   const cellColor = this.colorScheme['cell'];
+  for (const rowGroup of this.ariaRows) {
+    rowGroup.remove();
+  }
+  this.ariaRows = [];
+  this.svg.setAttributeNS(null, 'aria-rowcount', this.gridHeight);
+  this.svg.setAttributeNS(null, 'aria-colcount', this.gridWidth);
   for (let i = 0; i < this.gridHeight; i++) {
     const cellTop = this.cellTopPos(i, this.GRIDLINE);
+    /**
+     * The light cells of each row are placed in a group with the ARIA role
+     * "row", for screen readers.
+     */
+    const rowGroup =
+        document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    rowGroup.setAttributeNS(null, 'role', 'row');
+    rowGroup.setAttributeNS(null, 'aria-rowindex', i + 1);
     for (let j = 0; j < this.gridWidth; j++) {
       const cellLeft = this.cellLeftPos(j, this.GRIDLINE);
 
@@ -7422,6 +10033,8 @@ Exolve.prototype.displayGrid = function() {
       }
       const cellGroup =
           document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      cellGroup.setAttributeNS(null, 'role', 'gridcell');
+      cellGroup.setAttributeNS(null, 'aria-colindex', j + 1);
       let activator = this.cellActivator.bind(this, i, j);
 
       this.numCellsToFill++
@@ -7455,6 +10068,9 @@ Exolve.prototype.displayGrid = function() {
         cellClass = 'xlv-cell-text xlv-prefill';
       } else {
         cellText.style.fill = this.colorScheme['light-text'];
+        if (gridCell.isPencil) {
+          cellClass += ' xlv-pencil';
+        }
       }
       cellText.style.fontSize = fontSize;
       cellText.setAttributeNS(null, 'class', cellClass);
@@ -7497,6 +10113,20 @@ Exolve.prototype.displayGrid = function() {
           }
         }
       }
+      if (!gridCell.prefill) {
+        const cellCands =
+            document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        cellCands.setAttributeNS(
+            null, 'x', gridCell.cellLeft + (this.cellW / 2));
+        cellCands.setAttributeNS(
+            null, 'y', gridCell.cellTop + this.cellH - this.GRIDLINE - 2);
+        cellCands.setAttributeNS(null, 'text-anchor', 'middle');
+        cellCands.setAttributeNS(null, 'class', 'xlv-cell-cands');
+        cellCands.addEventListener('click', activator);
+        cellGroup.appendChild(cellCands);
+        gridCell.cellCands = cellCands;
+        this.displayCellCandidates(gridCell);
+      }
       if ((gridCell.startsClueLabel && !gridCell.isDgmless &&
            !gridCell.skipNum && !this.hideInferredNumbers) ||
           gridCell.forcedClueLabel) {
@@ -7508,6 +10138,10 @@ Exolve.prototype.displayGrid = function() {
           const sc = this.shapedCells[gridCell.shapedCell - 1];
           nx = sc.labelX;
           ny = sc.labelY;
+        } else if (this.rtl) {
+          // Numbers go in the top-right corners in right-to-left grids.
+          nx = this.cellW + this.GRIDLINE - this.NUMBER_START_X;
+          cellNum.setAttributeNS(null, 'text-anchor', 'end');
         }
         cellNum.setAttributeNS(null, 'x', gridCell.cellLeft - this.GRIDLINE + nx);
         cellNum.setAttributeNS(null, 'y', gridCell.cellTop - this.GRIDLINE + ny);
@@ -7521,10 +10155,15 @@ Exolve.prototype.displayGrid = function() {
         cellGroup.appendChild(cellNum);
         gridCell.cellNum = cellNum;
       }
-      this.svg.appendChild(cellGroup);
+      rowGroup.appendChild(cellGroup);
+    }
+    if (rowGroup.childElementCount > 0) {
+      this.svg.appendChild(rowGroup);
+      this.ariaRows.push(rowGroup);
     }
   }
   this.adjustRebusFonts();
+  this.updateAriaLabels();
 
   // Bars/word-ends to the right and under; hyphens.
   for (let i = 0; i < this.gridHeight; i++) {
@@ -7536,7 +10175,7 @@ Exolve.prototype.displayGrid = function() {
       if (gridCell.wordEndToRight && (j + 1) < this.gridWidth &&
           this.grid[i][j + 1].isLight) {
         const wordEndRect = this.makeRect(
-            this.cellLeftPos(j + 1, this.GRIDLINE - this.SEP_WIDTH_BY2),
+            this.cellAfterPos(j, this.GRIDLINE - this.SEP_WIDTH_BY2),
             this.cellTopPos(i, this.GRIDLINE),
             this.SEP_WIDTH, this.cellH, this.colorScheme['separator']);
         miscGroup.appendChild(wordEndRect);
@@ -7553,8 +10192,11 @@ Exolve.prototype.displayGrid = function() {
       }
       if (gridCell.hyphenToRight) {
         const hw = (j + 1) < this.gridWidth ? this.hyphenW : this.hyphenWBy2;
+        const hyphenLeft =
+            this.cellAfterPos(j, this.GRIDLINE - this.hyphenWBy2) +
+            ((this.rtl && (j + 1) == this.gridWidth) ? this.hyphenWBy2 : 0);
         const hyphenRect = this.makeRect(
-            this.cellLeftPos(j + 1, this.GRIDLINE - this.hyphenWBy2),
+            hyphenLeft,
             this.cellTopPos(
                 i, this.GRIDLINE + this.cellHBy2 - this.SEP_WIDTH_BY2),
             hw, this.SEP_WIDTH, this.colorScheme['separator']);
@@ -7573,7 +10215,7 @@ Exolve.prototype.displayGrid = function() {
       }
       if (gridCell.hasBarAfter) {
         const barRect = this.makeRect(
-            this.cellLeftPos(j + 1, this.GRIDLINE - this.BAR_WIDTH_BY2),
+            this.cellAfterPos(j, this.GRIDLINE - this.BAR_WIDTH_BY2),
             this.cellTopPos(i, this.GRIDLINE),
             this.BAR_WIDTH, this.cellH, this.colorScheme['background']);
         miscGroup.appendChild(barRect);
@@ -7668,6 +10310,9 @@ Exolve.prototype.redisplayGrid = function() {
   }
   this.recolourCells();
   this.redisplayNinas();
+  if (this.coSolve) {
+    this.coSolve.redisplayCursors();
+  }
 }
 
 /**
@@ -7807,6 +10452,7 @@ Exolve.prototype.toggleNinas = function() {
 Exolve.prototype.clearCell = function(row, col) {
   let gridCell = this.grid[row][col];
   let oldLetter = gridCell.currLetter;
+  gridCell.candidates = [];
   if (oldLetter != '0') {
     gridCell.currLetter = '0';
     gridCell.textNode.nodeValue = '';
@@ -7846,45 +10492,184 @@ Exolve.prototype.isFull = function(clueIndex) {
       numPrefills++;
       continue
     }
-    if (gridCell.currLetter == '0' || gridCell.currLetter == '?') {
+    if (gridCell.currLetter == '0' || gridCell.currLetter == '?' ||
+        gridCell.isPencil) {
       return [0, 0];
     }
   }
   return (numPrefills == cells.length) ? [2, cells.length] : [1, cells.length];
 }
 
-Exolve.prototype.clearCurr = function() {
-  let clueIndices = []
-  if (this.activeCells.length > 0) {
-    let clueCells = null;
-    if (this.currClueIndex) {
-      clueCells = this.getAllCells(this.clueOrParentIndex(this.currClueIndex));
-    }
-    if (this.sameCells(this.activeCells, clueCells)) {
-      clueIndices = this.getLinkedClues(this.currClueIndex);
-    } else {
-      for (let cell of this.activeCells) {
-        const gridCell = this.grid[cell[0]][cell[1]]
-        if (this.currDir == 'A' && gridCell.acrossClueLabel) {
-          clueIndices.push(this.getDirClueIndex('A', gridCell.acrossClueLabel));
-        }
-        if (this.currDir == 'D' && gridCell.downClueLabel) {
-          clueIndices.push(this.getDirClueIndex('D', gridCell.downClueLabel));
-        }
-        if (this.currDir == 'Z' && gridCell.z3dClueLabel) {
-          clueIndices.push(this.getDirClueIndex('Z', gridCell.z3dClueLabel));
-        }
+/**
+ * Letters entered in pencil mode are tentative (gridCell.isPencil is set):
+ * they are shown greyed out and in italics, and do not count as filled in
+ * (for completion or for marking clues as solved), until they are inked.
+ */
+Exolve.prototype.togglePencilMode = function() {
+  this.pencilMode = !this.pencilMode;
+  this.pencilButton.innerText = this.pencilMode ?
+      this.textLabels['pencil-on'] : this.textLabels['pencil-off'];
+  this.gridInput.classList.toggle('xlv-pencil', this.pencilMode);
+  this.refocus();
+}
+
+/**
+ * Shows tentative letters as such, and shows the ink buttons only if there
+ * are tentative letters. Called from updateDisplayAndGetState().
+ */
+Exolve.prototype.displayPencilled = function() {
+  let numPencilledActive = 0;
+  for (let i = 0; i < this.gridHeight; i++) {
+    for (let j = 0; j < this.gridWidth; j++) {
+      const gridCell = this.grid[i][j];
+      if (gridCell.cellText) {
+        gridCell.cellText.classList.toggle('xlv-pencil', !!gridCell.isPencil);
       }
     }
-  } else if (this.currClueIndex) {
-    clueIndices = this.getLinkedClues(this.currClueIndex);
   }
-  const currClues = {};
-  for (const ci of clueIndices) {
-    currClues[ci] = true;
+  for (const x of this.activeCells) {
+    if (this.grid[x[0]][x[1]].isPencil) {
+      numPencilledActive++;
+    }
   }
-  for (let clueIndex in currClues) {
-    const theClue = this.clues[clueIndex];
+  this.inkAllButton.style.display = (this.numCellsPencilled > 0) ? '' : 'none';
+  this.inkButton.style.display = this.inkAllButton.style.display;
+  this.inkButton.disabled = numPencilledActive == 0;
+}
+
+/**
+ * Confirms the tentative letters in cells (a list of [row, col] pairs).
+ */
+Exolve.prototype.inkCells = function(cells) {
+  let inked = false;
+  for (const x of cells) {
+    const gridCell = this.grid[x[0]][x[1]];
+    if (gridCell.isPencil) {
+      gridCell.isPencil = false;
+      inked = true;
+    }
+  }
+  if (!inked) {
+    return;
+  }
+  for (const ci of this.allClueIndices) {
+    this.updateClueState(ci, false, null, true);
+  }
+  this.updateAndSaveState();
+}
+
+Exolve.prototype.inkCurr = function() {
+  this.inkCells(this.activeCells);
+  this.refocus();
+}
+
+Exolve.prototype.inkAll = function() {
+  const cells = [];
+  for (let i = 0; i < this.gridHeight; i++) {
+    for (let j = 0; j < this.gridWidth; j++) {
+      cells.push([i, j]);
+    }
+  }
+  this.inkCells(cells);
+  this.refocus();
+}
+
+/**
+ * Each cell can have a list of candidate letters (gridCell.candidates), that
+ * are shown in small print at the bottom of the cell, when the cell is empty
+ * (or has a tentative letter). In candidates mode, typing a letter in a cell
+ * adds it to (or removes it from) the candidates, without changing the letter
+ * in the cell. This is not allowed in cells that have a non-tentative letter,
+ * and candidates get cleared when a non-tentative letter is entered.
+ */
+Exolve.prototype.toggleCandidatesMode = function() {
+  this.candidatesMode = !this.candidatesMode;
+  this.candidatesButton.innerText = this.candidatesMode ?
+      this.textLabels['candidates-on'] : this.textLabels['candidates-off'];
+  this.refocus();
+}
+
+Exolve.prototype.toggleCandidate = function(gridCell, letter) {
+  const index = gridCell.candidates.indexOf(letter);
+  if (index >= 0) {
+    gridCell.candidates.splice(index, 1);
+  } else {
+    gridCell.candidates.push(letter);
+    gridCell.candidates.sort();
+  }
+}
+
+Exolve.prototype.displayCellCandidates = function(gridCell) {
+  if (!gridCell.cellCands) {
+    return;
+  }
+  let text = '';
+  if (gridCell.currLetter == '0' || gridCell.currLetter == '?' ||
+      gridCell.isPencil) {
+    text = gridCell.candidates.map(
+        c => this.stateToDisplayChar(c)).join('');
+  }
+  gridCell.cellCands.textContent = text;
+  // Shrink the font if needed, to fit all the candidates in the cell.
+  const numChars = Math.max([...text].length, 1);
+  const fontSize = Math.min(this.numberSize,
+                            Math.floor((this.cellW - 4) / (0.6 * numChars)));
+  gridCell.cellCands.style.fontSize = fontSize + 'px';
+}
+
+/**
+ * Called from updateDisplayAndGetState().
+ */
+Exolve.prototype.displayCandidates = function() {
+  for (let i = 0; i < this.gridHeight; i++) {
+    for (let j = 0; j < this.gridWidth; j++) {
+      this.displayCellCandidates(this.grid[i][j]);
+    }
+  }
+}
+
+/**
+ * Returns the state without the markers of tentative letters (which are
+ * returned like other letters) and without candidate letters.
+ */
+Exolve.prototype.plainState = function(state) {
+  const cmark = this.CANDIDATES_STATE_MARK;
+  return state.split(this.PENCIL_STATE_MARK).join('').replace(
+      new RegExp(cmark + '[^' + cmark + ']*' + cmark, 'g'), '');
+}
+
+Exolve.prototype.clearCurr = function() {
+  let clueIndices = []
+  if (this.activeCells.length > 0) {
+    let clueCells = null;
+    if (this.currClueIndex) {
+      clueCells = this.getAllCells(this.clueOrParentIndex(this.currClueIndex));
+    }
+    if (this.sameCells(this.activeCells, clueCells)) {
+      clueIndices = this.getLinkedClues(this.currClueIndex);
+    } else {
+      for (let cell of this.activeCells) {
+        const gridCell = this.grid[cell[0]][cell[1]]
+        if (this.currDir == 'A' && gridCell.acrossClueLabel) {
+          clueIndices.push(this.getDirClueIndex('A', gridCell.acrossClueLabel));
+        }
+        if (this.currDir == 'D' && gridCell.downClueLabel) {
+          clueIndices.push(this.getDirClueIndex('D', gridCell.downClueLabel));
+        }
+        if (this.currDir == 'Z' && gridCell.z3dClueLabel) {
+          clueIndices.push(this.getDirClueIndex('Z', gridCell.z3dClueLabel));
+        }
+      }
+    }
+  } else if (this.currClueIndex) {
+    clueIndices = this.getLinkedClues(this.currClueIndex);
+  }
+  const currClues = {};
+  for (const ci of clueIndices) {
+    currClues[ci] = true;
+  }
+  for (let clueIndex in currClues) {
+    const theClue = this.clues[clueIndex];
     if (theClue.annoSpan) {
       theClue.annoSpan.style.display = 'none';
     }
@@ -7940,6 +10725,7 @@ Exolve.prototype.clearCurr = function() {
   if (this.currClueIndex) {
     this.updateClueState(this.currClueIndex, false, 'unsolved', true);
   }
+  this.solveLogSource = 'cleared';
   this.updateAndSaveState();
   this.refocus();
 }
@@ -7974,6 +10760,7 @@ Exolve.prototype.clearAll = function(conf=true) {
         continue;
       }
       gridCell.currLetter = '0';
+      gridCell.candidates = [];
       gridCell.textNode.nodeValue = '';
       if (this.atCurr(row, col)) {
         this.gridInput.value = '';
@@ -8010,6 +10797,7 @@ Exolve.prototype.clearAll = function(conf=true) {
       clueInputs[0].value = '';
     }
   }
+  this.solveLogSource = 'cleared';
   this.updateAndSaveState();
   this.refocus();
   return true;
@@ -8076,6 +10864,7 @@ Exolve.prototype.forceAlts = function(groups, inclusionBits) {
         continue;
       }
       gridCell.currLetter = solution;
+      gridCell.isPencil = false;
       const revealedChar = this.stateToDisplayChar(solution);
       gridCell.textNode.nodeValue = revealedChar;
       if (this.atCurr(r, c)) {
@@ -8085,6 +10874,7 @@ Exolve.prototype.forceAlts = function(groups, inclusionBits) {
     this.updateClueState(ci, false, null, true);
   }
   this.adjustRebusFonts();
+  this.solveLogSource = 'revealed';
   this.updateAndSaveState();
   this.refocus();
 }
@@ -8174,6 +10964,10 @@ Exolve.prototype.cellLightTogglerDone = function(button, text) {
 }
 
 Exolve.prototype.cellLightToggler = function(button, text) {
+  if (this.checksums) {
+    /** Lights can only be checked and revealed as wholes. */
+    return;
+  }
   if (this.cellLightToggleTimer) {
     clearTimeout(this.cellLightToggleTimer)
     this.cellLightToggleTimer = null
@@ -8193,6 +10987,12 @@ Exolve.prototype.checkCurr = function() {
     this.cellLightToggleTimer = null;
   }
   this.checkButton.innerHTML = this.textLabels['check'];
+  this.timer.numChecks++;
+  if (this.checksums) {
+    this.checkCurrUsingChecksums();
+    this.refocus();
+    return;
+  }
   let resetActiveCells = false;
   if (this.activeCells.length == 0 && this.currClueIndex &&
       !this.allCellsKnown(this.currClueIndex)) {
@@ -8236,6 +11036,7 @@ Exolve.prototype.checkCurr = function() {
   }
   this.adjustRebusFonts();
   this.updateActiveCluesState();
+  this.solveLogSource = 'checked';
   this.updateAndSaveState();
   this.refocus();
   this.cellNotLight = false;
@@ -8246,10 +11047,17 @@ Exolve.prototype.checkAllHandler = function(ev) {
 }
 
 Exolve.prototype.checkAll = function(conf=true, erase=true) {
+  if (this.checksums) {
+    this.timer.numChecks++;
+    const allCorrect = this.checkAllUsingChecksums();
+    this.refocus();
+    return allCorrect;
+  }
   if (conf && !this.maybeConfirm(this.textLabels['confirm-check-all'])) {
     this.refocus();
     return false;
   }
+  this.timer.numChecks++;
   let allCorrect = true;
   this.updateAltsActive();
   for (let row = 0; row < this.gridHeight; row++) {
@@ -8274,11 +11082,103 @@ Exolve.prototype.checkAll = function(conf=true, erase=true) {
   for (const ci of this.allClueIndices) {
     this.updateClueState(ci, false, null, true);
   }
+  this.solveLogSource = 'checked';
   this.updateAndSaveState();
   this.refocus();
   return allCorrect;
 }
 
+/**
+ * Returns the checksum of the letters (state chars) in the light of the clue
+ * ci, mixed with the puzzle id and ci. This is a 64-bit non-cryptographic
+ * hash, written out as 16 hex digits.
+ */
+Exolve.prototype.lightChecksum = function(ci, letters) {
+  const text = this.id + '|' + ci + '|' + letters.join('|');
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 2654435761);
+    h2 = Math.imul(h2 ^ c, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^
+       Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^
+       Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h2 >>> 0).toString(16).padStart(8, '0') +
+         (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Parses the exolve-checksums section, if present. Each line in it has a
+ * checksum (see lightChecksum()) followed by the index of the clue (such as
+ * A1 or D12) whose light it is for.
+ */
+Exolve.prototype.parseChecksums = function() {
+  const lines = this.sectionLines['checksums'];
+  if (!lines) {
+    return;
+  }
+  if (this.hasDgmlessCells) {
+    this.throwErr('exolve-checksums cannot be used when there are ' +
+                  'diagramless cells');
+  }
+  this.checksums = {};
+  for (let l = lines[0]; l <= lines[1]; l++) {
+    this.parsingLine = l;
+    const line = this.specLines[l];
+    const index = line.indexOf(' ');
+    const ci = line.substr(index + 1).trim();
+    if (index < 0 || !this.clues[ci] || this.clues[ci].parentClueIndex ||
+        this.getAllCells(ci).length == 0) {
+      this.throwErr('exolve-checksums: cannot parse ' + line);
+    }
+    this.checksums[ci] = line.substr(0, index);
+  }
+  this.parsingLine = -1;
+}
+
+/**
+ * Returns true if the letters entered in the light of clue ci match its
+ * checksum.
+ */
+Exolve.prototype.lightMatchesChecksum = function(ci) {
+  const letters = [];
+  for (const cell of this.getAllCells(ci)) {
+    const gridCell = this.grid[cell[0]][cell[1]];
+    if (gridCell.currLetter == '0') {
+      return false;
+    }
+    letters.push(gridCell.currLetter);
+  }
+  return this.lightChecksum(ci, letters) == this.checksums[ci];
+}
+
+Exolve.prototype.checkCurrUsingChecksums = function() {
+  const ci = this.clueOrParentIndex(this.currClueIndex);
+  if (!ci || !this.checksums[ci]) {
+    this.checkResult.innerText = this.textLabels['checksum-none'];
+    return;
+  }
+  this.checkResult.innerText = this.clueLabelDisp(this.clues[ci]) + ': ' +
+      this.textLabels[this.lightMatchesChecksum(ci) ?
+          'checksum-correct' : 'checksum-incorrect'];
+}
+
+Exolve.prototype.checkAllUsingChecksums = function() {
+  let allCorrect = true;
+  for (const ci in this.checksums) {
+    if (!this.lightMatchesChecksum(ci)) {
+      allCorrect = false;
+      break;
+    }
+  }
+  this.checkResult.innerText = this.textLabels[allCorrect ?
+      'checksum-all-correct' : 'checksum-not-all-correct'];
+  return allCorrect;
+}
+
 Exolve.prototype.revealClueAnno = function(ci) {
   const clueIndices = this.getLinkedClues(ci);
   for (const clueIndex of clueIndices) {
@@ -8314,7 +11214,11 @@ Exolve.prototype.revealCurr = function() {
     clearTimeout(this.cellLightToggleTimer);
     this.cellLightToggleTimer = null;
   }
+  if (this.checksums) {
+    return;
+  }
   this.revealButton.innerHTML = this.textLabels['reveal'];
+  this.timer.numReveals++;
   // If active cells are present and usingGnav, we reveal only those (the
   // current clue might be pointing to a random orphan).
   let clueIndexForAnnoReveal = null;
@@ -8379,6 +11283,9 @@ Exolve.prototype.revealCurr = function() {
     }
     const oldLetter = gridCell.currLetter;
     const letter = this.getSolutionActive(x);
+    if (letter && letter != '0' && letter != '?') {
+      gridCell.isPencil = false;
+    }
     if (letter && letter != '0' && letter != '?' &&
         this.getSolutionActive(x) != oldLetter) {
       gridCell.currLetter = letter;
@@ -8405,6 +11312,7 @@ Exolve.prototype.revealCurr = function() {
   if (this.currClueIndex && !this.cellNotLight) {
     this.updateClueState(this.currClueIndex, false, 'solved', true);
   }
+  this.solveLogSource = 'revealed';
   this.updateAndSaveState();
   this.refocus();
   this.cellNotLight = false;
@@ -8415,10 +11323,14 @@ Exolve.prototype.revealAllHandler = function(ev) {
 }
 
 Exolve.prototype.revealAll = function(conf=true) {
+  if (this.checksums) {
+    return false;
+  }
   if (conf && !this.maybeConfirm(this.textLabels['confirm-reveal-all'])) {
     this.refocus();
     return false;
   }
+  this.timer.numReveals++;
   this.updateAltsActive();
   for (let row = 0; row < this.gridHeight; row++) {
     for (let col = 0; col < this.gridWidth; col++) {
@@ -8431,6 +11343,9 @@ Exolve.prototype.revealAll = function(conf=true) {
       }
       const cell = [row, col];
       const solution = this.getSolutionActive(cell);
+      if (solution && solution != '?') {
+        gridCell.isPencil = false;
+      }
       if (solution && solution != gridCell.currLetter) {
         gridCell.currLetter = solution;
         const revealedChar = this.stateToDisplayChar(solution);
@@ -8461,6 +11376,7 @@ Exolve.prototype.revealAll = function(conf=true) {
     this.revealClueAnno(ci);
     this.updateClueState(ci, false, 'solved', true);
   }
+  this.solveLogSource = 'revealed';
   this.updateAndSaveState();
   this.refocus();
   return true;
@@ -8564,13 +11480,17 @@ Exolve.prototype.scratchPadMath = function() {
 
 Exolve.prototype.submitSolution = function() {
   let message = this.textLabels['confirm-submit']
-  let state = this.updateDisplayAndGetState()
+  let state = this.plainState(this.updateDisplayAndGetState())
   if (this.numCellsFilled != this.numCellsToFill) {
     message = this.textLabels['confirm-incomplete-submit']
   }
   if (!this.maybeConfirm(message)) {
     return
   }
+  if (this.submitMethod == 'post') {
+    this.postSolution(state);
+    return;
+  }
   let fullSubmitURL = this.submitURL + '&' + this.submitKeys[0] + '=' +
       encodeURIComponent(state)
   for (let i = 0; i < this.answersList.length; i++) {
@@ -8584,11 +11504,180 @@ Exolve.prototype.submitSolution = function() {
   window.location.replace(fullSubmitURL)
 }
 
+/**
+ * Submissions that could not be sent (when offline) are saved in local
+ * storage under this key, and are sent again later.
+ */
+Exolve.prototype.pendingSubmissionKey = function() {
+  return 'xlvsubmit:' + this.id;
+}
+
+/** Pending submissions older than this are discarded, not sent. */
+Exolve.prototype.PENDING_SUBMISSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the JSON body of a submission, for the grid state passed.
+ */
+Exolve.prototype.submissionBody = function(state) {
+  const answers = [];
+  for (const a of this.answersList) {
+    if (!a.isq) {
+      break;
+    }
+    answers.push(a.input.value);
+  }
+  const score = this.computeScore();
+  return JSON.stringify({
+    id: this.id,
+    title: this.title,
+    setter: this.setter,
+    timestamp: Date.now(),
+    grid: state,
+    answers: answers,
+    filled: this.numCellsFilled,
+    toFill: this.numCellsToFill,
+    totalMs: this.timerElapsedMs(),
+    firstEntryMs: this.timer.firstEntryMs,
+    numChecks: this.timer.numChecks,
+    numReveals: this.timer.numReveals,
+    numHints: this.numHintsSeen(),
+    score: score ? score.score : null,
+    maxScore: score ? score.maxScore : null,
+    version: this.VERSION,
+  });
+}
+
+/**
+ * Resolves to the HMAC-SHA-256 signature of body (in hex), using
+ * submitSigningKey (or the puzzle id) as the key. Resolves to '' if the
+ * browser does not support this (crypto.subtle is only available in secure
+ * contexts) or if signing fails.
+ */
+Exolve.prototype.signSubmission = function(body) {
+  if (!window.crypto || !window.crypto.subtle) {
+    return Promise.resolve('');
+  }
+  const encoder = new TextEncoder();
+  const subtle = window.crypto.subtle;
+  return Promise.resolve().then(() => subtle.importKey(
+      'raw', encoder.encode(this.submitSigningKey || this.id),
+      {name: 'HMAC', hash: 'SHA-256'}, false, ['sign'])).then(
+    key => subtle.sign('HMAC', key, encoder.encode(body))).then(
+    signature => Array.from(new Uint8Array(signature)).map(
+        b => b.toString(16).padStart(2, '0')).join('')).catch(err => {
+    console.log('Could not sign the submission: ' + err);
+    return '';
+  });
+}
+
+/**
+ * Submits the grid state (along with the answers to questions, the solve
+ * timer stats, etc.) as JSON, POSTed to submitURL, with the signature in the
+ * X-Exolve-Signature header. The solver stays on the page, and the server's
+ * response gets shown below the submit button.
+ */
+Exolve.prototype.postSolution = function(state) {
+  const body = this.submissionBody(state);
+  this.signSubmission(body).then(signature => {
+    this.sendSubmission({
+      timestamp: Date.now(),
+      url: this.submitURL,
+      body: body,
+      signature: signature,
+    });
+  });
+}
+
+/**
+ * Sends the submission (created in postSolution(), possibly saved earlier
+ * as a pending submission). If the server cannot be reached (or has a
+ * server error), saves the submission, to send it again later (see
+ * retryPendingSubmission()).
+ */
+Exolve.prototype.sendSubmission = function(submission) {
+  const pendingStore = new ExolveLocalStorage();
+  const key = this.pendingSubmissionKey();
+  const headers = {'Content-Type': 'application/json'};
+  if (submission.signature) {
+    headers['X-Exolve-Signature'] = 'sha256=' + submission.signature;
+  }
+  this.submitButton.disabled = true;
+  this.submitStatus.innerText = this.textLabels['submit-sending'];
+  return fetch(submission.url, {
+    method: 'POST',
+    headers: headers,
+    body: submission.body,
+  }).then(response => {
+    if (response.status >= 500) {
+      throw new Error('Server error, status = ' + response.status);
+    }
+    return response.text().then(text => {
+      let message = text.trim();
+      try {
+        const json = JSON.parse(text);
+        if (json && json.message) {
+          message = json.message;
+        }
+      } catch (err) {
+      }
+      this.submitStatus.innerText = response.ok ?
+          (message || this.textLabels['submit-done']) :
+          this.textLabels['submit-failed'] + ' ' +
+              (message || response.status);
+      return pendingStore.delete(key);
+    });
+  }).catch(err => {
+    console.log('Could not submit: ' + err);
+    this.submitStatus.innerText = this.textLabels['submit-pending'];
+    return pendingStore.put(key, submission);
+  }).finally(() => {
+    this.submitButton.disabled = false;
+  });
+}
+
+/**
+ * Sends the pending submission (that could not be sent earlier), if any,
+ * after confirming with the solver. Pending submissions that are too old
+ * (see PENDING_SUBMISSION_MAX_AGE_MS) or that the solver does not want to
+ * send are discarded. Called when the puzzle is created, and when the
+ * browser comes back online.
+ */
+Exolve.prototype.retryPendingSubmission = function() {
+  if (!this.submitURL || this.submitMethod != 'post') {
+    return;
+  }
+  const pendingStore = new ExolveLocalStorage();
+  const key = this.pendingSubmissionKey();
+  pendingStore.get(key).then(submission => {
+    if (!submission) {
+      return;
+    }
+    if (!(Date.now() - submission.timestamp <=
+          this.PENDING_SUBMISSION_MAX_AGE_MS) ||
+        !this.maybeConfirm(this.textLabels['confirm-pending-submit'])) {
+      return pendingStore.delete(key);
+    }
+    this.sendSubmission(submission);
+  }).catch(err => {
+    console.log('Could not get the pending submission: ' + err);
+  });
+}
+
 Exolve.prototype.displayButtons = function() {
   this.clearButton.title = this.textLabels['clear.hover']
   this.clearAllButton.title = this.textLabels['clear-all.hover']
   this.clearButton.disabled = true
-  if (!this.hasUnsolvedCells) {
+  this.pencilButton.title = this.textLabels['pencil.hover']
+  this.inkButton.title = this.textLabels['ink.hover']
+  this.inkAllButton.title = this.textLabels['ink-all.hover']
+  this.candidatesButton.title = this.textLabels['candidates.hover']
+  if (this.checksums) {
+    this.checkButton.style.display = ''
+    this.checkButton.title = this.textLabels['checksum-check.hover']
+    this.checkButton.disabled = true
+    this.checkAllButton.style.display = ''
+    this.checkAllButton.title = this.textLabels['checksum-check-all.hover']
+  } else if (!this.hasUnsolvedCells) {
     this.checkButton.style.display = ''
     this.checkButton.title = this.textLabels['check.hover']
     this.checkButton.disabled = true
@@ -8607,7 +11696,7 @@ Exolve.prototype.displayButtons = function() {
       this.revealcellButton.disabled = true
     }
   }
-  if (!this.hasUnsolvedCells || this.hasReveals) {
+  if ((!this.hasUnsolvedCells || this.hasReveals) && !this.checksums) {
     this.revealButton.style.display = ''
     this.revealButton.title = this.textLabels['reveal.hover']
     this.revealButton.disabled = true
@@ -8935,30 +12024,25 @@ Exolve.prototype.deleteStorage = function(id, timestamp) {
     }
   }
   document.getElementById(this.prefix + '-storage-list').style.display = 'none';
+  let deleter;
   if (id) {
-    window.localStorage.removeItem('xlvstate:' + id);
+    deleter = this.storage.delete('xlvstate:' + id);
   } else {
-    const keysToDelete = [];
-    for (let idx = 0; idx < window.localStorage.length; idx++) {
-      let key = window.localStorage.key(idx)
-      if (!key.startsWith('xlvstate:')) {
-        continue;
-      }
-      let lsVal;
-      try {
-        lsVal = JSON.parse(window.localStorage.getItem(key));
-      } catch (err) {
-        continue;
-      }
-      if (lsVal.timestamp < timestamp) {
-        keysToDelete.push(key);
+    deleter = this.storage.list('xlvstate:').then((entries) => {
+      const deletions = [];
+      for (const entry of entries) {
+        if (entry.timestamp < timestamp) {
+          deletions.push(this.storage.delete(entry.key));
+        }
       }
-    }
-    for (let key of keysToDelete) {
-      window.localStorage.removeItem(key);
-    }
+      return Promise.all(deletions);
+    });
   }
-  this.manageStorage(null);
+  deleter.catch((err) => {
+    console.log('Could not delete saved state: ' + err);
+  }).then(() => {
+    this.manageStorage(null);
+  });
 }
 
 Exolve.prototype.manageStorage = function(e) {
@@ -8966,60 +12050,11 @@ Exolve.prototype.manageStorage = function(e) {
   let slist = document.getElementById(this.prefix + '-storage-list')
   if (slist.style.display == 'none') {
     b.title = this.textLabels['manage-storage-close.hover']
-    let saved = [];
-    let bytes = 0;
-    for (let idx = 0; idx < window.localStorage.length; idx++) {
-      let key = window.localStorage.key(idx)
-      if (!key.startsWith('xlvstate:')) {
-        continue;
-      }
-      bytes += key.length;
-      let lsVal;
-      try {
-        lsVal = window.localStorage.getItem(key);
-        bytes += lsVal.length;
-        lsVal = JSON.parse(lsVal);
-      } catch (err) {
-        continue;
-      }
-      saved.push({
-        timestamp: lsVal.timestamp,
-        id: key.substr(9)
-      });
-    }
-    b.innerText = this.textLabels['manage-storage-close'] +
-                  ' ' + (bytes/1024).toFixed(1) + ' KB';
-    saved.sort(function(a, b) {return b.timestamp - a.timestamp;});
-    let html = '<table>'
-    let x = 0
-    for (let s of saved) {
-      html += `
-      <tr>
-        <td>${s.id}</td>
-        <td><button class="xlv-small-button"
-               title="Delete this puzzle's saved state"
-               id="${this.prefix}-delstor-${x}">
-                 &times; this</button></td>
-        <td><button class="xlv-small-button"
-               title="Delete saved states for ALL puzzles older than this"
-               id="${this.prefix}-delprev-${x}">
-                 &times older</button></td>
-        <td>${(new Date(s.timestamp)).toLocaleString()}</td>
-      </tr>
-      `;
-      x += 1;
-    }
-    html += '<table>'
-    slist.innerHTML = html
-    x = 0
-    for (let s of saved) {
-      document.getElementById(`${this.prefix}-delstor-${x}`).
-        addEventListener('click', this.deleteStorage.bind(this, `${s.id}`, 0));
-      document.getElementById(`${this.prefix}-delprev-${x}`).
-        addEventListener('click', this.deleteStorage.bind(this, '', s.timestamp));
-      x += 1;
-    }
-    slist.style.display = ''
+    this.storage.list('xlvstate:').then((entries) => {
+      this.showStorageList(entries);
+    }).catch((err) => {
+      console.log('Could not list saved states: ' + err);
+    });
   } else {
     slist.style.display = 'none'
     b.innerText = this.textLabels['manage-storage']
@@ -9027,6 +12062,57 @@ Exolve.prototype.manageStorage = function(e) {
   }
 }
 
+/**
+ * Shows the list of saved puzzle states. entries is the list from
+ * this.storage.list().
+ */
+Exolve.prototype.showStorageList = function(entries) {
+  let b = document.getElementById(this.prefix + '-manage-storage')
+  let slist = document.getElementById(this.prefix + '-storage-list')
+  let saved = [];
+  let bytes = 0;
+  for (const entry of entries) {
+    bytes += entry.key.length + (entry.size || 0);
+    saved.push({
+      timestamp: entry.timestamp,
+      id: entry.key.substr(9)
+    });
+  }
+  b.innerText = this.textLabels['manage-storage-close'] +
+                ' ' + (bytes/1024).toFixed(1) + ' KB';
+  saved.sort(function(a, b) {return b.timestamp - a.timestamp;});
+  let html = '<table>'
+  let x = 0
+  for (let s of saved) {
+    html += `
+    <tr>
+      <td>${s.id}</td>
+      <td><button class="xlv-small-button"
+             title="Delete this puzzle's saved state"
+             id="${this.prefix}-delstor-${x}">
+               &times; this</button></td>
+      <td><button class="xlv-small-button"
+             title="Delete saved states for ALL puzzles older than this"
+             id="${this.prefix}-delprev-${x}">
+               &times older</button></td>
+      <td>${(new Date(s.timestamp)).toLocaleString()}</td>
+    </tr>
+    `;
+    x += 1;
+  }
+  html += '<table>'
+  slist.innerHTML = html
+  x = 0
+  for (let s of saved) {
+    document.getElementById(`${this.prefix}-delstor-${x}`).
+      addEventListener('click', this.deleteStorage.bind(this, `${s.id}`, 0));
+    document.getElementById(`${this.prefix}-delprev-${x}`).
+      addEventListener('click', this.deleteStorage.bind(this, '', s.timestamp));
+    x += 1;
+  }
+  slist.style.display = ''
+}
+
 /**
  * mode can be one of: 'page' 'crossword' 'wysiwyg'
  */
@@ -9301,6 +12387,10 @@ Exolve.prototype.changeBG = function(color) {
         rect.style.fill = color;
       }
     }
+  } else if (this.hasVoidCells) {
+    for (const rect of this.background.children) {
+      rect.style.fill = color;
+    }
   } else {
     this.background.style.fill = color;
   }
@@ -10179,6 +13269,9 @@ Exolve.prototype.createIdIfNeeded = function() {
     const hash = this.javaHash(idHashFodders);
     this.id = `xlv-${hash.toString(36)}`;
   }
+  if (this.headless) {
+    return;
+  }
   if (exolvePuzzles[this.id]) {
     this.throwErr('Puzzle id ' + this.id + ' is already in use');
   }
@@ -10204,6 +13297,8 @@ Exolve.prototype.createPuzzle = function() {
   this.parseAlternatives();
 
   this.createIdIfNeeded();
+  this.parseChecksums();
+  this.parseScoring();
 
   this.finalClueTweaks();
   this.setWordEndsAndHyphens();
@@ -10222,15 +13317,34 @@ Exolve.prototype.createPuzzle = function() {
   this.redisplayGrid();
 
   this.displayButtons();
+  this.makeKeyboard();
   this.parseAndDisplayPS();
   this.makeNotesPanel();
   this.resizeCurrClueAndControls();
   this.setColumnLayout();
 
   this.restoreState();
+  if (this.stateRestored) {
+    this.finishCreatingPuzzle();
+  } else {
+    // Wait for the saved state, so that entries made (and customizations)
+    // in the meantime do not get overwritten when it gets restored.
+    this.restoringState = this.restoringState.then(
+        this.finishCreatingPuzzle.bind(this));
+  }
+}
+
+/**
+ * The part of createPuzzle() that needs the saved state to be restored
+ * first.
+ */
+Exolve.prototype.finishCreatingPuzzle = function() {
   this.checkConsistency();
 
   this.bindListeners();
+  if (this.notTemp) {
+    this.retryPendingSubmission();
+  }
 
   this.loadWebifi();
 
@@ -10239,6 +13353,1233 @@ Exolve.prototype.createPuzzle = function() {
   }
 }
 
+/**
+ * The parsing-only counterpart of createPuzzle(), used when this.headless is
+ * true. Nothing here touches the DOM.
+ */
+Exolve.prototype.parseHeadless = function() {
+  this.parseOverall();
+  this.setUpLocale();
+  this.parseRelabel();
+
+  this.index = 0;
+  this.prefix = 'xlv-headless';
+
+  this.parseGrid();
+  this.markClueStartsUsingGrid();
+  this.parseClueLists();
+
+  this.processClueChildren();
+  this.clueSolutionsToGridSolutions();
+
+  this.parseAlternatives();
+
+  this.createIdIfNeeded();
+  this.parseChecksums();
+  this.parseScoring();
+
+  this.finalClueTweaks();
+  this.setWordEndsAndHyphens();
+
+  /**
+   * What displayClues() checks and sets, without the displaying.
+   */
+  for (const ci of this.allClueIndices) {
+    const theClue = this.clues[ci];
+    if (!theClue.clue && !theClue.parentClueIndex) {
+      this.throwErr('Found no clue text nor a parent clue for ' + ci);
+    }
+    const clueDir = theClue.clueTableDir || theClue.dir;
+    if (clueDir == 'A') {
+      this.hasAcrossClues = true;
+    } else if (clueDir == 'D') {
+      this.hasDownClues = true;
+    } else if (clueDir == 'Z') {
+      this.hasZ3dClues = true;
+    } else if (clueDir == 'X') {
+      this.hasNodirClues = true;
+    } else {
+      this.throwErr('Unexpected clue direction ' + clueDir + ' in ' + ci);
+    }
+  }
+
+  for (const entry of this.questionTexts) {
+    this.answersList.push({
+      ans: this.parseQuestion(entry).answer,
+      input: null,
+      isq: true,
+    });
+  }
+
+  this.parseColoursNinasEtc();
+  this.checkConsistency();
+}
+
+/**
+ * Returns the text of the named section (such as 'preamble'), or ''.
+ */
+Exolve.prototype.sectionText = function(section) {
+  const lines = this.sectionLines[section] || [-1,-1];
+  if (lines[0] < 0) {
+    return '';
+  }
+  return this.extractSectionLines(lines[0], lines[1]);
+}
+
+/**
+ * Returns the solution of the clue (punctuated as per its placeholder), or ''
+ * if it is not known. The solution is the explicitly provided one if there is
+ * such, else it is read from the grid (using the default alternatives).
+ */
+Exolve.prototype.plainClueSolution = function(ci) {
+  const clue = this.clues[ci];
+  if (clue.solution) {
+    return clue.solution;
+  }
+  if (clue.parentClueIndex) {
+    return '';
+  }
+  const sols = this.getClueSolutionsWithAlts(ci);
+  if (!sols || sols.length == 0 || sols[0].solution.includes('?')) {
+    return '';
+  }
+  return this.punctuateEntry(sols[0].solution, clue.placeholder);
+}
+
+/**
+ * Returns a plain (JSON-serializable) object capturing everything that has
+ * been parsed from the puzzle specs. Grid letters are returned as display
+ * characters (the solution is '' for cells without known solutions).
+ */
+Exolve.prototype.toPlainData = function() {
+  const plainCCCCs = (list) => list.map(cccc => {
+    return cccc.cls ? {cls: cccc.cls} : {cells: cccc.cells};
+  });
+  const data = {
+    version: this.VERSION,
+    id: this.id,
+    title: this.title || '',
+    setter: this.setter || '',
+    email: this.email || '',
+    copyright: this.copyright || '',
+    credits: this.credits.slice(),
+    host: this.host || '',
+    width: this.gridWidth,
+    height: this.gridHeight,
+    layers3d: this.layers3d,
+    language: this.language,
+    languageScript: this.languageScript,
+    langMaxCharCodes: this.langMaxCharCodes,
+    rtl: this.rtl,
+    preamble: this.sectionText('prelude') || this.sectionText('preamble'),
+    explanations: this.sectionText('explanations'),
+    postscript: this.sectionText('postscript'),
+    maker: this.sectionText('maker'),
+    options: {
+      hideInferredNumbers: this.hideInferredNumbers,
+      cluesPanelLines: this.cluesPanelLines,
+      allowChars: this.allowChars ? Object.keys(this.allowChars) : null,
+      hideCopyPlaceholders: this.hideCopyPlaceholders,
+      addSolutionToAnno: this.addSolutionToAnno,
+      ignoreUnclued: this.ignoreUnclued,
+      ignoreEnumMismatch: this.ignoreEnumMismatch,
+      showCellLevelButtons: this.showCellLevelButtons,
+      printCompleted3Cols: this.printCompleted3Cols,
+      printIncomplete2Cols: this.printIncomplete2Cols,
+      noNinaButton: this.noNinaButton,
+      useWebifi: this.useWebifi,
+      colourOnlyCellBottom: this.colourOnlyCellBottom,
+      extractionSlots: this.extractionSlots,
+    },
+    hasUnsolvedCells: this.hasUnsolvedCells,
+    hasDgmlessCells: this.hasDgmlessCells,
+    hasRebusCells: this.hasRebusCells,
+    hasReveals: this.hasReveals,
+    grid: [],
+    clues: [],
+    questions: [],
+    ninas: this.ninas.map(nina => {
+      return {colour: nina.colour, list: plainCCCCs(nina.list)};
+    }),
+    colours: this.colourfuls.map(c => {
+      return {colour: c.colour, list: plainCCCCs(c.list)};
+    }),
+    alternatives: this.alts ? this.alts.groupToCells.map(cells => {
+      return cells.map(cell => {
+        const alt = this.alts.cellToAlt.get(JSON.stringify(cell));
+        return {cell: cell, letter: alt.letter};
+      });
+    }) : [],
+    scoring: this.scoring ? {
+      light: this.scoring.light,
+      hint: this.scoring.hint.slice(),
+      check: this.scoring.check,
+      reveal: this.scoring.reveal,
+    } : null,
+    submit: this.submitURL ? {
+      url: this.submitURL,
+      method: this.submitMethod,
+      keys: this.submitKeys.slice(),
+    } : null,
+    warnings: this.warnings.map(w => {
+      return {msg: w.msg, opt: w.opt || ''};
+    }),
+  };
+  for (let i = 0; i < this.gridHeight; i++) {
+    const row = [];
+    for (let j = 0; j < this.gridWidth; j++) {
+      const gridCell = this.grid[i][j];
+      const cell = {
+        isLight: gridCell.isLight,
+      };
+      if (gridCell.isLight) {
+        const s = gridCell.solution;
+        cell.solution = (!s || s == '0' || s == '?' || s == '1') ? '' :
+                        this.stateToDisplayChar(s);
+        cell.prefill = gridCell.prefill;
+        cell.isDgmless = gridCell.isDgmless;
+        cell.hasCircle = gridCell.hasCircle;
+        cell.startsClueLabel = gridCell.startsClueLabel || '';
+      } else {
+        cell.isVoid = gridCell.isVoid;
+      }
+      cell.hasBarAfter = gridCell.hasBarAfter;
+      cell.hasBarUnder = gridCell.hasBarUnder;
+      cell.wordEndToRight = !!gridCell.wordEndToRight;
+      cell.wordEndBelow = !!gridCell.wordEndBelow;
+      cell.hyphenToRight = !!gridCell.hyphenToRight;
+      cell.hyphenBelow = !!gridCell.hyphenBelow;
+      if (gridCell.decorators) {
+        cell.decorators = gridCell.decorators.slice();
+      }
+      if (gridCell.shapedCell) {
+        cell.shapedCell = gridCell.shapedCell;
+      }
+      row.push(cell);
+    }
+    data.grid.push(row);
+  }
+  const clueIndices = this.allClueIndices.slice();
+  for (const ci in this.clues) {
+    if (!clueIndices.includes(ci)) {
+      clueIndices.push(ci);
+    }
+  }
+  for (const ci of clueIndices) {
+    const clue = this.clues[ci];
+    data.clues.push({
+      index: ci,
+      dir: clue.dir,
+      label: clue.label,
+      displayLabel: clue.displayLabel || '',
+      clue: clue.clue,
+      enumStr: clue.enumStr || '',
+      enumLen: clue.enumLen,
+      hyphenAfter: clue.hyphenAfter.slice(),
+      wordEndAfter: clue.wordEndAfter.slice(),
+      placeholder: clue.placeholder,
+      anno: clue.anno,
+      solution: this.plainClueSolution(ci),
+      cells: clue.cells.slice(),
+      entryCells: clue.parentClueIndex ? [] : this.getAllCells(ci),
+      reversed: clue.reversed,
+      parentClueIndex: clue.parentClueIndex || '',
+      childrenClueIndices: clue.childrenClueIndices ?
+          clue.childrenClueIndices.slice() : [],
+      isOrphan: !!this.isOrphan(ci),
+      hints: clue.hints.slice(),
+    });
+  }
+  for (const entry of this.questionTexts) {
+    const qParse = this.parseQuestion(entry);
+    data.questions.push({
+      question: qParse.rawQ,
+      enumStr: qParse.hideEnum ? '' : qParse.enumParse.enumStr,
+      enumLen: qParse.enumParse.enumLen,
+      answer: qParse.answer,
+      lowercaseOk: !qParse.forceUpper,
+      hints: qParse.hints,
+    });
+  }
+  return data;
+}
+
+/**
+ * Returns the (1-based) line number within puzzleText of the line at index
+ * lineIndex in specLines, or 0 if not known.
+ */
+Exolve.prototype.specLineNum = function(lineIndex) {
+  if (!this.specLineNums || lineIndex === undefined || lineIndex < 0 ||
+      lineIndex >= this.specLineNums.length) {
+    return 0;
+  }
+  return this.specLineNums[lineIndex];
+}
+
+/**
+ * Returns the line number of grid row i in puzzleText, or 0.
+ */
+Exolve.prototype.gridRowLineNum = function(i) {
+  const lines = this.sectionLines['grid'];
+  return lines ? this.specLineNum(lines[0] + i) : 0;
+}
+
+/**
+ * Checks the puzzle for problems that setters would want to fix before
+ * publishing, and returns all of them as an array of objects with
+ * these fields:
+ *   severity: 'error', 'warning', or 'info'.
+ *   code: a short name for the kind of problem, such as 'enum-mismatch'.
+ *   msg: a description of the problem.
+ *   line: the (1-based) line number in the specs, or 0 if not applicable.
+ *   clue: the clue index, for problems with a specific clue.
+ *   fixes: an array of suggested fixes, each an object with a kind field
+ *       (such as 'add-option') and kind-specific fields.
+ * Besides the warnings found during parsing, this checks grid symmetry,
+ * the proportion of unchecked cells in lights, and duplicate answers.
+ */
+Exolve.prototype.lint = function() {
+  const problems = [];
+  for (const warning of this.warnings) {
+    const details = warning.details || {};
+    const optFixes = warning.opt ?
+        [{kind: 'add-option', option: warning.opt}] : [];
+    if (details.code == 'unclued') {
+      /** Report each unclued light separately */
+      for (const ci of details.clues) {
+        const clue = this.clues[ci];
+        problems.push({
+          severity: 'warning',
+          code: 'unclued',
+          msg: 'No clue provided for ' + this.clueLabelDisp(clue),
+          line: (clue.cells.length > 0) ?
+              this.gridRowLineNum(clue.cells[0][0]) : 0,
+          clue: ci,
+          fixes: [{
+            kind: 'add-clue',
+            clue: ci,
+            length: this.getAllCells(ci).length,
+          }].concat(optFixes),
+        });
+      }
+      continue;
+    }
+    const problem = {
+      severity: 'warning',
+      code: details.code || 'warning',
+      msg: warning.msg,
+      line: this.specLineNum(details.lineIndex),
+      fixes: (details.fixes || []).concat(optFixes),
+    };
+    if (details.clue) {
+      problem.clue = details.clue;
+    }
+    problems.push(problem);
+  }
+  this.lintSymmetry(problems);
+  this.lintUncheckedCells(problems);
+  this.lintDuplicateAnswers(problems);
+  problems.sort((p1, p2) => p1.line - p2.line);
+  return problems;
+}
+
+/**
+ * Adds an 'asymmetric-grid' problem if the grid (lights and bars) is not
+ * symmetric under 180-degree rotation, nor under left-right or up-down
+ * reflection. The fix lists the cells that differ from their images under
+ * the rotation.
+ */
+Exolve.prototype.lintSymmetry = function(problems) {
+  if (this.layers3d > 1 || this.hasDgmlessCells ||
+      this.shapedCells.length > 0) {
+    return;
+  }
+  const h = this.gridHeight;
+  const w = this.gridWidth;
+  /**
+   * Each symmetry maps a cell, the cell to the left of a bar after a cell,
+   * and the cell above a bar under a cell.
+   */
+  const symmetries = [
+    {
+      cell: (i, j) => [h - 1 - i, w - 1 - j],
+      after: (i, j) => [h - 1 - i, w - 2 - j],
+      under: (i, j) => [h - 2 - i, w - 1 - j],
+    },
+    {
+      cell: (i, j) => [i, w - 1 - j],
+      after: (i, j) => [i, w - 2 - j],
+      under: (i, j) => [i, w - 1 - j],
+    },
+    {
+      cell: (i, j) => [h - 1 - i, j],
+      after: (i, j) => [h - 1 - i, j],
+      under: (i, j) => [h - 2 - i, j],
+    },
+  ];
+  let rotationMismatches = null;
+  for (const sym of symmetries) {
+    const mismatches = [];
+    for (let i = 0; i < h; i++) {
+      for (let j = 0; j < w; j++) {
+        const gridCell = this.grid[i][j];
+        const [ci, cj] = sym.cell(i, j);
+        let matches = (gridCell.isLight == this.grid[ci][cj].isLight);
+        if (j < w - 1) {
+          const [ai, aj] = sym.after(i, j);
+          matches = matches &&
+              (gridCell.hasBarAfter == this.grid[ai][aj].hasBarAfter);
+        }
+        if (i < h - 1) {
+          const [ui, uj] = sym.under(i, j);
+          matches = matches &&
+              (gridCell.hasBarUnder == this.grid[ui][uj].hasBarUnder);
+        }
+        if (!matches) {
+          mismatches.push([i, j]);
+        }
+      }
+    }
+    if (mismatches.length == 0) {
+      return;
+    }
+    if (!rotationMismatches) {
+      rotationMismatches = mismatches;
+    }
+  }
+  problems.push({
+    severity: 'info',
+    code: 'asymmetric-grid',
+    msg: 'The grid is not symmetric (' + rotationMismatches.length +
+         ' cells differ from their images under 180-degree rotation)',
+    line: this.gridRowLineNum(rotationMismatches[0][0]),
+    fixes: [{
+      kind: 'make-symmetric',
+      cells: rotationMismatches,
+    }],
+  });
+}
+
+/**
+ * Adds an 'unchecked-cells' problem for every across/down light in which
+ * more than half the cells are unchecked (i.e., are not in both an across
+ * and a down light).
+ */
+Exolve.prototype.lintUncheckedCells = function(problems) {
+  if (this.layers3d > 1 || this.hasDgmlessCells || this.hasNodirClues) {
+    return;
+  }
+  for (const ci in this.clues) {
+    const clue = this.clues[ci];
+    const len = clue.cells.length;
+    if ((clue.dir != 'A' && clue.dir != 'D') || len < 2) {
+      continue;
+    }
+    const unchecked = clue.cells.filter((cell) => {
+      const gridCell = this.grid[cell[0]][cell[1]];
+      return !gridCell.acrossClueLabel || !gridCell.downClueLabel;
+    });
+    if (unchecked.length <= len / 2) {
+      continue;
+    }
+    problems.push({
+      severity: 'info',
+      code: 'unchecked-cells',
+      msg: this.clueLabelDisp(clue) + ': ' + unchecked.length + ' of ' +
+           len + ' cells are unchecked',
+      line: (clue.lineIndex >= 0) ? this.specLineNum(clue.lineIndex) :
+          this.gridRowLineNum(clue.cells[0][0]),
+      clue: ci,
+      fixes: [],
+    });
+  }
+}
+
+/**
+ * Adds a 'duplicate-answer' problem for every clue whose answer (ignoring
+ * punctuation) is the same as that of an earlier clue.
+ */
+Exolve.prototype.lintDuplicateAnswers = function(problems) {
+  const seen = {};
+  for (const ci of this.allClueIndices) {
+    const clue = this.clues[ci];
+    if (clue.parentClueIndex) {
+      continue;
+    }
+    const solution = this.plainClueSolution(ci);
+    if (!solution) {
+      continue;
+    }
+    /**
+     * Compare entries from the grid when available, as special characters
+     * allowed in the grid may look like punctuation.
+     */
+    const sols = this.getClueSolutionsWithAlts(ci);
+    const key = (sols && sols.length > 0 && !sols[0].solution.includes('?')) ?
+        sols[0].solution :
+        solution.toUpperCase().replace(/[^\p{L}\p{N}]/gu, '');
+    if (!key) {
+      continue;
+    }
+    if (!seen[key]) {
+      seen[key] = ci;
+      continue;
+    }
+    problems.push({
+      severity: 'warning',
+      code: 'duplicate-answer',
+      msg: this.clueLabelDisp(clue) + ': the answer ' + solution +
+           ' is also the answer for ' +
+           this.clueLabelDisp(this.clues[seen[key]]),
+      line: this.specLineNum(clue.lineIndex),
+      clue: ci,
+      fixes: [],
+    });
+  }
+}
+
+/**
+ * If set (before creating puzzles), this storage adapter is used instead of
+ * ExolveLocalStorage, for puzzles that do not have an exolve-storage section.
+ */
+Exolve.defaultStorage = null;
+
+/**
+ * Parses the puzzle specs without creating any HTML elements (and without
+ * needing a DOM, so that this can be used in Node.js as well), returning
+ * a plain object as described in toPlainData(). Errors in the specs are
+ * thrown.
+ */
+Exolve.parseSpec = function(puzzleSpec) {
+  const xlv = new Exolve(puzzleSpec, '', null, false, 0, 0, false, true);
+  return xlv.toPlainData();
+}
+
+/**
+ * Scores a submitted state (as created by getGridStateAndNumFilled(), such as
+ * the grid letters sent by exolve-submit, optionally followed by the answers
+ * to questions, each preceded by STATE_SEP), for the puzzle specs. This does
+ * not need a DOM, so it can be used on servers that receive submissions.
+ * Honours exolve-alternatives (in the same way as "Check all!"), rebus cells,
+ * [lowercase-ok] questions, and exolve-checksums. Pencilled (tentative)
+ * letters are treated as empty, as they do not count towards completion in
+ * the puzzle either. Throws an error if the specs or the state cannot be
+ * parsed. Returns an object with the fields:
+ *   lights: array of objects for all lights (including linked groups of
+ *       lights, but not their children), with the fields:
+ *     clue: the clue index (such as A1 or D12).
+ *     label: the clue label (such as 1a or 12d).
+ *     entry: the letters entered (with ? for each empty or pencilled cell).
+ *     filled: true if all the cells of the light have been filled.
+ *     pencilled: true if some cells of the light have pencilled letters.
+ *     correct: true/false, or null if the puzzle has no solution for the
+ *         light.
+ *   questions: array of objects for all exolve-questions, with the fields:
+ *     answer: the submitted answer.
+ *     expected: the answer given in the specs ('' if none).
+ *     correct: true/false, or null if there is no expected answer.
+ *   numLights, numLightsCorrect, numQuestions, numQuestionsCorrect:
+ *       counts of the lights/questions that can be scored (that do not have
+ *       correct: null) and how many of those are correct.
+ *   allCorrect: true if all the lights and questions that can be scored are
+ *       correct.
+ */
+Exolve.scoreState = function(puzzleSpec, state) {
+  const xlv = new Exolve(puzzleSpec, '', null, false, 0, 0, false, true);
+  const decoded = xlv.decodeState(state);
+  if (!decoded) {
+    throw new Error('Could not parse the state: ' + state);
+  }
+  for (let i = 0; i < xlv.gridHeight; i++) {
+    for (let j = 0; j < xlv.gridWidth; j++) {
+      const gridCell = xlv.grid[i][j];
+      if (gridCell.isLight || gridCell.isDgmless) {
+        const parsed = decoded.cells.shift();
+        gridCell.isPencil = parsed[1];
+        gridCell.currLetter = gridCell.isPencil ? '0' : parsed[0];
+      }
+    }
+  }
+  xlv.updateAltsActive();
+  const result = {
+    lights: [],
+    questions: [],
+    numLights: 0,
+    numLightsCorrect: 0,
+    numQuestions: 0,
+    numQuestionsCorrect: 0,
+    allCorrect: true,
+  };
+  for (const ci of xlv.allClueIndices) {
+    const cells = xlv.getAllCells(ci);
+    if (cells.length == 0) {
+      continue;
+    }
+    let entry = '';
+    let filled = true;
+    let pencilled = false;
+    let correct = !xlv.hasUnsolvedCells;
+    for (const cell of cells) {
+      const letter = xlv.grid[cell[0]][cell[1]].currLetter;
+      if (xlv.grid[cell[0]][cell[1]].isPencil) {
+        pencilled = true;
+      }
+      if (letter == '0') {
+        filled = false;
+      }
+      entry += (letter == '0') ? '?' : xlv.stateToDisplayChar(letter);
+      if (correct && xlv.getSolutionActive(cell) != letter) {
+        correct = false;
+      }
+    }
+    if (xlv.checksums) {
+      correct = xlv.checksums[ci] ? xlv.lightMatchesChecksum(ci) : null;
+    } else if (xlv.hasUnsolvedCells) {
+      correct = null;
+    }
+    result.lights.push({
+      clue: ci,
+      label: xlv.clueLabelDisp(xlv.clues[ci]),
+      entry: entry,
+      filled: filled,
+      pencilled: pencilled,
+      correct: correct,
+    });
+  }
+  const answers = decoded.answers || [];
+  for (let i = 0; i < xlv.questionTexts.length; i++) {
+    const qParse = xlv.parseQuestion(xlv.questionTexts[i]);
+    const normalize = (a) => {
+      a = a.trim().replace(/\s+/g, ' ');
+      return qParse.forceUpper ? a.toUpperCase() : a;
+    };
+    const answer = answers[i] || '';
+    const expected = qParse.answer;
+    result.questions.push({
+      answer: answer,
+      expected: expected,
+      correct: expected ? (normalize(answer) == normalize(expected)) : null,
+    });
+  }
+  for (const light of result.lights) {
+    if (light.correct === null) continue;
+    result.numLights++;
+    if (light.correct) result.numLightsCorrect++;
+  }
+  for (const q of result.questions) {
+    if (q.correct === null) continue;
+    result.numQuestions++;
+    if (q.correct) result.numQuestionsCorrect++;
+  }
+  result.allCorrect = (result.numLights == result.numLightsCorrect) &&
+                      (result.numQuestions == result.numQuestionsCorrect);
+  return result;
+}
+
+/**
+ * Parses the puzzle specs headlessly (like Exolve.parseSpec()) and returns
+ * all the problems found, as described in lint(). If there is an error in
+ * the specs, then parsing stops, and the error is returned (with severity
+ * 'error') as the only problem.
+ */
+Exolve.lintSpec = function(puzzleSpec) {
+  /**
+   * Create the object before calling the constructor on it, so that we
+   * can find out the line at which the error (if any) was found.
+   */
+  const xlv = Object.create(Exolve.prototype);
+  try {
+    Exolve.call(xlv, puzzleSpec, '', null, false, 0, 0, false, true);
+  } catch (err) {
+    return [{
+      severity: 'error',
+      code: 'error',
+      msg: '' + err,
+      line: xlv.specLineNum(xlv.parsingLine),
+      fixes: [],
+    }];
+  }
+  return xlv.lint();
+}
+
+/**
+ * Splits the grid line for the given row into its cells, scanning it in the
+ * same way as in parseGrid(). Returns an array with an object for each cell,
+ * with the fields cell (the text for the cell, such as "A" or "&amp;") and
+ * decorators (the text following it, including any whitespace).
+ */
+Exolve.prototype.gridLineParts = function(row) {
+  const DECORATORS = '+|_@!*~^{[';
+  const isDecorator = (c) => DECORATORS.includes(c) || /\s/.test(c);
+  const line = this.specLines[this.sectionLines['grid'][0] + row];
+  const parts = [];
+  let index = 0;
+  for (let j = 0; j < this.gridWidth; j++) {
+    const start = index;
+    if (line.charAt(index) == '&') {
+      index++;
+    }
+    const first = line.charAt(index++);
+    if (this.multiLetter && (index - start > 1 ||
+                             (first != '.' && first != '0'))) {
+      while (index < line.length) {
+        const c = line.charAt(index);
+        if (c == '&' && index + 1 < line.length) {
+          index += 2;
+        } else if (c != '.' && c != '0' && !isDecorator(c)) {
+          index++;
+        } else {
+          break;
+        }
+      }
+    }
+    const cell = line.substring(start, index);
+    const decStart = index;
+    while (index < line.length && isDecorator(line.charAt(index))) {
+      const c = line.charAt(index);
+      if (c == '[' || c == '{') {
+        const end = line.indexOf(c == '[' ? ']' : '}', index);
+        index = (end < 0) ? line.length : end;
+      }
+      index++;
+    }
+    parts.push({cell: cell, decorators: line.substring(decStart, index)});
+  }
+  return parts;
+}
+
+/**
+ * Returns the grid line for the given row, with 0s in place of solution
+ * letters (except in pre-filled cells), keeping all the decorators.
+ */
+Exolve.prototype.gridLinePlaceholder = function(row) {
+  return this.gridLineParts(row).map((part, j) => {
+    const gridCell = this.grid[row][j];
+    return (((gridCell.isLight && !gridCell.prefill) || gridCell.isDgmless) ?
+            '0' : part.cell) + part.decorators;
+  }).join('');
+}
+
+/**
+ * Returns placeholders for the lines of the specs that give away solutions,
+ * as an object mapping indices in specLines to placeholder lines. Grid lines
+ * get 0s in place of solution letters, and clue lines lose their annos.
+ */
+Exolve.prototype.solutionPlaceholders = function() {
+  const placeholders = {};
+  const gridIndex = this.sectionLines['grid'][0];
+  for (let i = 0; i < this.gridHeight; i++) {
+    placeholders[gridIndex + i] = this.gridLinePlaceholder(i);
+  }
+  for (const ci in this.clues) {
+    const clue = this.clues[ci];
+    if (clue.lineIndex === undefined || !clue.specAnno) {
+      continue;
+    }
+    const line = this.specLines[clue.lineIndex];
+    if (line.endsWith(clue.specAnno)) {
+      placeholders[clue.lineIndex] =
+          line.substr(0, line.length - clue.specAnno.length).trim();
+    }
+  }
+  return placeholders;
+}
+
+/**
+ * Adds to placeholders (see solutionPlaceholders()) the exolve-question
+ * lines without their expected answers, and "..." for the lines of the
+ * exolve-explanations section (lines cannot be simply removed, as the
+ * placeholders have to keep the line numbering).
+ */
+Exolve.prototype.addRevelationPlaceholders = function(placeholders) {
+  const MARKER = 'exolve-';
+  for (let l = 0; l < this.numLines; l++) {
+    const line = this.specLines[l];
+    if (line.indexOf(MARKER) != 0) {
+      continue;
+    }
+    const parsed = this.colonSplit(line.substr(MARKER.length));
+    if (parsed.section != 'question') {
+      continue;
+    }
+    const answer = this.parseQuestion(parsed.value).answer;
+    if (answer && line.endsWith(answer)) {
+      placeholders[l] = line.substr(0, line.length - answer.length).trim();
+    }
+  }
+  const lines = this.sectionLines['explanations'];
+  if (lines) {
+    placeholders[lines[0] - 1] = MARKER + 'explanations:';
+    for (let l = lines[0]; l <= lines[1]; l++) {
+      placeholders[l] = '...';
+    }
+  }
+}
+
+/**
+ * Returns this.puzzleText with the lines in placeholders (see
+ * solutionPlaceholders()) replaced, and with a new section (whose contents
+ * are the given lines) inserted before exolve-end.
+ */
+Exolve.prototype.rewriteSpec = function(placeholders, section, lines) {
+  const rawLines = this.puzzleText.split('\n');
+  const indentOf = (l) =>
+      rawLines[this.specLineNums[l] - 1].match(/^\s*/)[0];
+  for (const l in placeholders) {
+    rawLines[this.specLineNums[l] - 1] = indentOf(l) + placeholders[l];
+  }
+  const indent = indentOf(this.sectionLines['grid'][0] - 1);
+  const sectionLines = [indent + 'exolve-' + section + ':'];
+  for (const line of lines) {
+    sectionLines.push(indent + '  ' + line);
+  }
+  let endLine = rawLines.length;
+  for (let l = 0; l < this.numLines; l++) {
+    if (this.specLines[l].match(/^exolve-end\b/)) {
+      endLine = this.specLineNums[l] - 1;
+      break;
+    }
+  }
+  rawLines.splice(endLine, 0, ...sectionLines);
+  return rawLines.join('\n');
+}
+
+/**
+ * Returns the puzzle specs, with the solution letters in the grid, the clue
+ * annos, the expected answers to questions, and the explanations hidden in an
+ * exolve-encoded section (see decodeSpecLines()). This is just obfuscation:
+ * the key is the exolve-id, which is in the specs. Throws an error if the
+ * specs cannot be parsed or are already encoded.
+ */
+Exolve.encodeSpec = function(puzzleSpec) {
+  const xlv = new Exolve(puzzleSpec, '', null, false, 0, 0, false, true);
+  if (xlv.sectionLines['encoded']) {
+    throw new Error('The puzzle specs are already encoded');
+  }
+  const beginIndex = xlv.sectionLines['begin'][0] - 1;
+  const placeholders = xlv.solutionPlaceholders();
+  xlv.addRevelationPlaceholders(placeholders);
+  const lines = [];
+  for (const l in placeholders) {
+    lines.push([l - beginIndex, xlv.specLines[l]]);
+  }
+  const key = xlv.sectionLines['id'] ? xlv.id : '';
+  const encoded = xlv.scrambleText(key, JSON.stringify({lines: lines}));
+  const encodedLines = [];
+  for (let i = 0; i < encoded.length; i += 64) {
+    encodedLines.push(encoded.substr(i, 64));
+  }
+  return xlv.rewriteSpec(placeholders, 'encoded', encodedLines);
+}
+
+/**
+ * Returns the puzzle specs, with the solution letters in the grid and the
+ * clue annos removed, and with an exolve-checksums section added, so that
+ * solvers can check whole lights (see parseChecksums()). Throws an error if
+ * the specs cannot be parsed, or have diagramless cells, or alternatives, or
+ * lights without solutions. Lights whose cells are only known from the annos
+ * (such as some jigsaw lights) do not get checksums.
+ */
+Exolve.checksumSpec = function(puzzleSpec) {
+  const xlv = new Exolve(puzzleSpec, '', null, false, 0, 0, false, true);
+  if (xlv.sectionLines['checksums'] || xlv.sectionLines['encoded']) {
+    throw new Error('The puzzle specs already have exolve-checksums or ' +
+                    'exolve-encoded');
+  }
+  if (xlv.hasDgmlessCells || xlv.hasUnsolvedCells || xlv.alts) {
+    throw new Error('Checksums need all solutions, and no diagramless cells ' +
+                    'or alternatives');
+  }
+  const placeholders = xlv.solutionPlaceholders();
+  const hidden = new Exolve(xlv.rewriteSpec(placeholders, 'checksums', []),
+                            '', null, false, 0, 0, false, true);
+  if (hidden.id != xlv.id) {
+    throw new Error('The puzzle id changes when solutions are removed: ' +
+                    'please add an exolve-id section');
+  }
+  const lines = [];
+  for (const ci of xlv.allClueIndices) {
+    const cells = xlv.getAllCells(ci);
+    if (cells.length == 0 || !hidden.clues[ci] ||
+        JSON.stringify(hidden.getAllCells(ci)) != JSON.stringify(cells)) {
+      continue;
+    }
+    const letters = cells.map(cell => xlv.grid[cell[0]][cell[1]].solution);
+    lines.push(xlv.lightChecksum(ci, letters) + ' ' + ci);
+  }
+  return xlv.rewriteSpec(placeholders, 'checksums', lines);
+}
+
+/**
+ * Locale bundles: the textLabels for the user interface in various
+ * languages, keyed by language code. The bundle used for a puzzle is picked
+ * by the language code in its exolve-language section ("pt-BR" falls back to
+ * "pt" if there is no "pt-BR" bundle). Labels missing from a bundle stay in
+ * English, and exolve-relabel overrides the labels from the bundle. More
+ * bundles (or more labels for the built-in ones) can be added, before
+ * creating the puzzle, with Exolve.addLocale() or Exolve.loadLocale().
+ */
+Exolve.LOCALES = {
+  'de': {
+    'clear': 'Löschen',
+    'clear-all': 'Alles löschen!',
+    'pencil-off': 'Bleistift: aus',
+    'pencil-on': 'Bleistift: an',
+    'ink': 'Bestätigen',
+    'ink-all': 'Alle bestätigen',
+    'candidates-off': 'Kandidaten: aus',
+    'candidates-on': 'Kandidaten: an',
+    'check': 'Prüfen',
+    'checkcell': 'Feld prüfen',
+    'check-all': 'Alles prüfen!',
+    'checksum-correct': 'Richtig!',
+    'checksum-incorrect': 'Nicht richtig',
+    'checksum-all-correct': 'Alles richtig!',
+    'checksum-not-all-correct': 'Nicht alles richtig',
+    'checksum-none': 'Kann nicht geprüft werden',
+    'reveal': 'Aufdecken',
+    'revealcell': 'Feld aufdecken',
+    'show-ninas': 'Ninas zeigen',
+    'hide-ninas': 'Ninas verbergen',
+    'reveal-all': 'Alles aufdecken!',
+    'hint': 'Hinweis',
+    'hint-bulb.hover': 'Klicken, um einen Hinweis zu sehen.',
+    'hint-bulb-another.hover': 'Klicken, um einen weiteren Hinweis zu sehen.',
+    'hint.hover': 'Klicken, um die Hinweise zu verbergen.',
+    'submit': 'Abschicken',
+    'submit-sending': 'Wird abgeschickt...',
+    'submit-done': 'Abgeschickt!',
+    'submit-failed': 'Abschicken fehlgeschlagen:',
+    'setter-by': 'Von',
+    'curr-clue-prev.hover': 'Vorherige Frage.',
+    'curr-clue-next.hover': 'Nächste Frage.',
+    'squares-filled': 'Ausgefüllte Felder',
+    'timer': 'Zeit',
+    'timer-paused': '(pausiert)',
+    'score': 'Punkte',
+    'replay': 'Lösungsweg abspielen',
+    'replay-stop': 'Abspielen beenden',
+    'across-label': 'Waagerecht',
+    'down-label': 'Senkrecht',
+    'nodir-label': 'Sonstige',
+    'crossword-id': 'Rätsel-ID',
+    'notes': 'Notizen',
+    'jotter': 'Notizblock',
+    'print': 'Drucken',
+    'print-crossword': 'Rätsel drucken',
+    'print-page': 'Seite drucken',
+    'shortcuts': 'Tastenkürzel',
+    'shortcuts-close.hover': 'Schließen',
+    'confirm-clear-all': 'Wirklich alle Einträge löschen!?',
+    'confirm-check-all': 'Wirklich alle Fehler löschen!?',
+    'confirm-show-ninas': 'Wirklich die Nina(s) aufdecken!?',
+    'confirm-reveal-all': 'Wirklich die ganze Lösung aufdecken!?',
+    'confirm-submit': 'Wirklich abschicken!?',
+    'confirm-incomplete-submit': 'Wirklich eine UNVOLLSTÄNDIGE Lösung ' +
+        'abschicken!?',
+    'saving-msg': 'Ihre Einträge werden automatisch im lokalen Speicher ' +
+        'des Browsers gesichert.',
+    'aria-grid': 'Kreuzworträtsel-Gitter',
+    'aria-across': 'waagerecht',
+    'aria-down': 'senkrecht',
+    'aria-currently': 'derzeit',
+    'aria-empty': 'leer',
+  },
+  'es': {
+    'clear': 'Borrar',
+    'clear-all': '¡Borrar todo!',
+    'pencil-off': 'Lápiz: no',
+    'pencil-on': 'Lápiz: sí',
+    'ink': 'Confirmar',
+    'ink-all': 'Confirmar todo',
+    'candidates-off': 'Candidatas: no',
+    'candidates-on': 'Candidatas: sí',
+    'check': 'Comprobar',
+    'checkcell': 'Comprobar casilla',
+    'check-all': '¡Comprobar todo!',
+    'checksum-correct': '¡Correcto!',
+    'checksum-incorrect': 'Incorrecto',
+    'checksum-all-correct': '¡Todo correcto!',
+    'checksum-not-all-correct': 'No todo es correcto',
+    'checksum-none': 'No se puede comprobar',
+    'reveal': 'Revelar',
+    'revealcell': 'Revelar casilla',
+    'show-ninas': 'Mostrar ninas',
+    'hide-ninas': 'Ocultar ninas',
+    'reveal-all': '¡Revelar todo!',
+    'hint': 'Pista',
+    'hint-bulb.hover': 'Haz clic para ver una pista.',
+    'hint-bulb-another.hover': 'Haz clic para ver otra pista.',
+    'hint.hover': 'Haz clic para ocultar las pistas.',
+    'submit': 'Enviar',
+    'submit-sending': 'Enviando...',
+    'submit-done': '¡Enviado!',
+    'submit-failed': 'Error al enviar:',
+    'setter-by': 'Por',
+    'curr-clue-prev.hover': 'Definición anterior.',
+    'curr-clue-next.hover': 'Definición siguiente.',
+    'squares-filled': 'Casillas llenas',
+    'timer': 'Tiempo',
+    'timer-paused': '(en pausa)',
+    'score': 'Puntos',
+    'replay': 'Repetir la resolución',
+    'replay-stop': 'Detener',
+    'across-label': 'Horizontales',
+    'down-label': 'Verticales',
+    'nodir-label': 'Otras',
+    'crossword-id': 'ID del crucigrama',
+    'notes': 'Notas',
+    'jotter': 'Borrador',
+    'print': 'Imprimir',
+    'print-crossword': 'Imprimir crucigrama',
+    'print-page': 'Imprimir página',
+    'shortcuts': 'Atajos de teclado',
+    'shortcuts-close.hover': 'Cerrar',
+    'confirm-clear-all': '¿Seguro que quieres borrar todas las entradas?',
+    'confirm-check-all': '¿Seguro que quieres borrar todos los errores?',
+    'confirm-show-ninas': '¿Seguro que quieres revelar las ninas?',
+    'confirm-reveal-all': '¿Seguro que quieres revelar toda la solución?',
+    'confirm-submit': '¿Seguro que quieres enviar?',
+    'confirm-incomplete-submit': '¿Seguro que quieres enviar una ' +
+        'solución INCOMPLETA?',
+    'saving-msg': 'Tus respuestas se guardan automáticamente en el ' +
+        'almacenamiento local del navegador.',
+    'aria-grid': 'Cuadrícula del crucigrama',
+    'aria-across': 'horizontal',
+    'aria-down': 'vertical',
+    'aria-currently': 'ahora',
+    'aria-empty': 'vacía',
+  },
+  'fr': {
+    'clear': 'Effacer',
+    'clear-all': 'Tout effacer !',
+    'pencil-off': 'Crayon : non',
+    'pencil-on': 'Crayon : oui',
+    'ink': 'Valider',
+    'ink-all': 'Tout valider',
+    'candidates-off': 'Candidats : non',
+    'candidates-on': 'Candidats : oui',
+    'check': 'Vérifier',
+    'checkcell': 'Vérifier la case',
+    'check-all': 'Tout vérifier !',
+    'checksum-correct': 'Correct !',
+    'checksum-incorrect': 'Incorrect',
+    'checksum-all-correct': 'Tout est correct !',
+    'checksum-not-all-correct': 'Pas tout correct',
+    'checksum-none': 'Impossible de vérifier',
+    'reveal': 'Révéler',
+    'revealcell': 'Révéler la case',
+    'show-ninas': 'Montrer les ninas',
+    'hide-ninas': 'Cacher les ninas',
+    'reveal-all': 'Tout révéler !',
+    'hint': 'Indice',
+    'hint-bulb.hover': 'Cliquez pour voir un indice.',
+    'hint-bulb-another.hover': 'Cliquez pour voir un autre indice.',
+    'hint.hover': 'Cliquez pour cacher les indices.',
+    'submit': 'Envoyer',
+    'submit-sending': 'Envoi en cours...',
+    'submit-done': 'Envoyé !',
+    'submit-failed': 'Échec de l\'envoi :',
+    'setter-by': 'Par',
+    'curr-clue-prev.hover': 'Définition précédente.',
+    'curr-clue-next.hover': 'Définition suivante.',
+    'squares-filled': 'Cases remplies',
+    'timer': 'Temps',
+    'timer-paused': '(en pause)',
+    'score': 'Score',
+    'replay': 'Rejouer la résolution',
+    'replay-stop': 'Arrêter',
+    'across-label': 'Horizontalement',
+    'down-label': 'Verticalement',
+    'nodir-label': 'Autres',
+    'crossword-id': 'ID de la grille',
+    'notes': 'Notes',
+    'jotter': 'Brouillon',
+    'print': 'Imprimer',
+    'print-crossword': 'Imprimer la grille',
+    'print-page': 'Imprimer la page',
+    'shortcuts': 'Raccourcis clavier',
+    'shortcuts-close.hover': 'Fermer',
+    'confirm-clear-all': 'Voulez-vous vraiment tout effacer !?',
+    'confirm-check-all': 'Voulez-vous vraiment effacer toutes les ' +
+        'erreurs !?',
+    'confirm-show-ninas': 'Voulez-vous vraiment révéler les ninas !?',
+    'confirm-reveal-all': 'Voulez-vous vraiment révéler toute la ' +
+        'solution !?',
+    'confirm-submit': 'Voulez-vous vraiment envoyer !?',
+    'confirm-incomplete-submit': 'Voulez-vous vraiment envoyer une ' +
+        'solution INCOMPLÈTE !?',
+    'saving-msg': 'Vos réponses sont enregistrées automatiquement dans le ' +
+        'stockage local du navigateur.',
+    'aria-grid': 'Grille de mots croisés',
+    'aria-across': 'horizontal',
+    'aria-down': 'vertical',
+    'aria-currently': 'actuellement',
+    'aria-empty': 'vide',
+  },
+  'hi': {
+    'clear': 'मिटाएं',
+    'clear-all': 'सब मिटाएं!',
+    'pencil-off': 'पेंसिल: बंद',
+    'pencil-on': 'पेंसिल: चालू',
+    'ink': 'पक्का करें',
+    'ink-all': 'सब पक्का करें',
+    'candidates-off': 'विकल्प: बंद',
+    'candidates-on': 'विकल्प: चालू',
+    'check': 'जाँचें',
+    'checkcell': 'खाना जाँचें',
+    'check-all': 'सब जाँचें!',
+    'checksum-correct': 'सही!',
+    'checksum-incorrect': 'सही नहीं',
+    'checksum-all-correct': 'सब सही!',
+    'checksum-not-all-correct': 'सब सही नहीं',
+    'checksum-none': 'जाँच नहीं हो सकती',
+    'reveal': 'दिखाएं',
+    'revealcell': 'खाना दिखाएं',
+    'show-ninas': 'निना दिखाएं',
+    'hide-ninas': 'निना छिपाएं',
+    'reveal-all': 'सब दिखाएं!',
+    'hint': 'संकेत',
+    'hint-bulb.hover': 'संकेत देखने के लिए क्लिक करें।',
+    'hint-bulb-another.hover': 'एक और संकेत देखने के लिए क्लिक करें।',
+    'hint.hover': 'संकेत छिपाने के लिए क्लिक करें।',
+    'submit': 'जमा करें',
+    'submit-sending': 'जमा हो रहा है...',
+    'submit-done': 'जमा हो गया!',
+    'submit-failed': 'जमा नहीं हो सका:',
+    'setter-by': 'रचयिता:',
+    'curr-clue-prev.hover': 'पिछला सूत्र।',
+    'curr-clue-next.hover': 'अगला सूत्र।',
+    'squares-filled': 'भरे हुए खाने',
+    'timer': 'समय',
+    'timer-paused': '(रुका हुआ)',
+    'score': 'अंक',
+    'replay': 'हल दोबारा चलाएं',
+    'replay-stop': 'रोकें',
+    'across-label': 'बाएं से दाएं',
+    'down-label': 'ऊपर से नीचे',
+    'nodir-label': 'अन्य',
+    'crossword-id': 'पहेली आईडी',
+    'notes': 'टिप्पणियाँ',
+    'jotter': 'कच्चा काम',
+    'print': 'प्रिंट',
+    'print-crossword': 'पहेली प्रिंट करें',
+    'print-page': 'पेज प्रिंट करें',
+    'shortcuts': 'कीबोर्ड शॉर्टकट',
+    'shortcuts-close.hover': 'बंद करें',
+    'confirm-clear-all': 'क्या आप सचमुच सब कुछ मिटाना चाहते हैं!?',
+    'confirm-check-all': 'क्या आप सचमुच सारी गलतियाँ मिटाना चाहते हैं!?',
+    'confirm-show-ninas': 'क्या आप सचमुच निना दिखाना चाहते हैं!?',
+    'confirm-reveal-all': 'क्या आप सचमुच पूरा हल देखना चाहते हैं!?',
+    'confirm-submit': 'क्या आप सचमुच जमा करना चाहते हैं!?',
+    'confirm-incomplete-submit': 'क्या आप सचमुच अधूरा हल जमा करना ' +
+        'चाहते हैं!?',
+    'saving-msg': 'आपके उत्तर ब्राउज़र के लोकल स्टोरेज में अपने आप सहेजे ' +
+        'जाते हैं।',
+    'aria-grid': 'वर्ग पहेली',
+    'aria-across': 'बाएं से दाएं',
+    'aria-down': 'ऊपर से नीचे',
+    'aria-currently': 'अभी',
+    'aria-empty': 'खाली',
+  },
+  'ru': {
+    'clear': 'Очистить это',
+    'clear-all': 'Очистить все!',
+    'pencil-off': 'Карандаш: выкл.',
+    'pencil-on': 'Карандаш: вкл.',
+    'ink': 'Подтвердить',
+    'ink-all': 'Подтвердить все',
+    'candidates-off': 'Варианты: выкл.',
+    'candidates-on': 'Варианты: вкл.',
+    'check': 'Проверить',
+    'checkcell': 'Проверить клетку',
+    'check-all': 'Проверить все!',
+    'checksum-correct': 'Верно!',
+    'checksum-incorrect': 'Неверно',
+    'checksum-all-correct': 'Все верно!',
+    'checksum-not-all-correct': 'Не все верно',
+    'checksum-none': 'Проверить невозможно',
+    'reveal': 'Показать',
+    'revealcell': 'Показать клетку',
+    'show-ninas': 'Показать нины',
+    'hide-ninas': 'Скрыть нины',
+    'reveal-all': 'Показать все!',
+    'hint': 'Подсказка',
+    'hint-bulb.hover': 'Нажмите, чтобы увидеть подсказку.',
+    'hint-bulb-another.hover': 'Нажмите, чтобы увидеть еще одну подсказку.',
+    'hint.hover': 'Нажмите, чтобы скрыть подсказки.',
+    'submit': 'Отправить',
+    'submit-sending': 'Отправка...',
+    'submit-done': 'Отправлено!',
+    'submit-failed': 'Ошибка отправки:',
+    'setter-by': 'Автор:',
+    'curr-clue-prev.hover': 'Предыдущий вопрос.',
+    'curr-clue-next.hover': 'Следующий вопрос.',
+    'squares-filled': 'Заполнено клеток',
+    'timer': 'Время',
+    'timer-paused': '(пауза)',
+    'score': 'Очки',
+    'replay': 'Повтор решения',
+    'replay-stop': 'Остановить повтор',
+    'across-label': 'По горизонтали',
+    'down-label': 'По вертикали',
+    'nodir-label': 'Прочие',
+    'crossword-id': 'ID кроссворда',
+    'notes': 'Заметки',
+    'jotter': 'Черновик',
+    'print': 'Печать',
+    'print-crossword': 'Печать кроссворда',
+    'print-page': 'Печать страницы',
+    'shortcuts': 'Горячие клавиши',
+    'shortcuts-close.hover': 'Закрыть',
+    'confirm-clear-all': 'Вы уверены, что хотите очистить все!?',
+    'confirm-check-all': 'Вы уверены, что хотите стереть все ошибки!?',
+    'confirm-show-ninas': 'Вы уверены, что хотите показать нины!?',
+    'confirm-reveal-all': 'Вы уверены, что хотите показать все решение!?',
+    'confirm-submit': 'Вы уверены, что хотите отправить!?',
+    'confirm-incomplete-submit': 'Вы уверены, что хотите отправить ' +
+        'НЕПОЛНОЕ решение!?',
+    'saving-msg': 'Ваши ответы автоматически сохраняются в локальном ' +
+        'хранилище браузера.',
+    'aria-grid': 'Сетка кроссворда',
+    'aria-across': 'по горизонтали',
+    'aria-down': 'по вертикали',
+    'aria-currently': 'сейчас',
+    'aria-empty': 'пусто',
+  },
+};
+
+/**
+ * Adds the given labels (an object mapping textLabels names to text) to the
+ * locale bundle for the language code lang, creating it if needed. This
+ * needs to be called before creating the puzzles that should use it.
+ */
+Exolve.addLocale = function(lang, labels) {
+  if (!Exolve.LOCALES.hasOwnProperty(lang)) {
+    Exolve.LOCALES[lang] = {};
+  }
+  Object.assign(Exolve.LOCALES[lang], labels);
+}
+
+/**
+ * Fetches a locale bundle (a JSON object mapping textLabels names to text)
+ * from url, and adds it (with Exolve.addLocale()) for the language code
+ * lang. Returns a Promise that resolves once the bundle has been added, so
+ * that the puzzle can be created after that:
+ *   Exolve.loadLocale('it', 'exolve-it.json').then(() => createExolve(...));
+ */
+Exolve.loadLocale = function(lang, url) {
+  return fetch(url).then(response => {
+    if (!response.ok) {
+      throw new Error(`Could not load locale ${lang} from ${url}, ` +
+                      `status = ${response.status}`);
+    }
+    return response.json();
+  }).then(labels => {
+    Exolve.addLocale(lang, labels);
+  });
+}
+
 /**
  * createExolve(puzzleText) is just a convenient wrapper that looks for
  *     the customizeExolve() function.
@@ -10260,3 +14601,12 @@ function createExolve(puzzleText, containerId="",
 function createPuzzle() {
   return createExolve(puzzleText, "");
 }
+
+// Allow use via require() in Node.js, such as with Exolve.parseSpec().
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Exolve, createExolve, ExolveHints,
+    ExolveLocalStorage, ExolveRestStorage, ExolveSyncedStorage,
+    ExolveBroadcastTransport, ExolveWebSocketTransport, ExolveCoSolve,
+  };
+}
@@ -27,53 +27,203 @@ https://github.com/viresh-ratnakar/exolve
 Version: Exolve v1.64, November 25, 2025
 */
 
-function exolveToIpuzAddClue(xlvp, ci, cluesArray) {
+/**
+ * Exolve features that ipuz has no place for (such as 3-D layers, diagramless
+ * cells and questions) are saved in an ipuz extension (a top-level object,
+ * and also an object within some clues) with this name. exolveFromIpuz()
+ * reads them back.
+ */
+function exolveToIpuzExtensionName() {
+  return 'https://github.com/viresh-ratnakar/exolve';
+}
+
+/**
+ * Converts an array of [row, col] cells to ipuz [col, row] cells, which are
+ * 1-based.
+ */
+function exolveToIpuzCells(cells) {
+  return cells.map(cell => [cell[1] + 1, cell[0] + 1]);
+}
+
+/**
+ * Returns the ipuz direction under which the clue is listed. 3-D down clues
+ * and nodir clues are listed under "Clues", along with their cells.
+ */
+function exolveToIpuzDirection(xlvp, clue) {
+  const dir = clue.clueTableDir || clue.dir;
+  if (dir == 'A') {
+    return 'Across';
+  }
+  if (dir == 'D') {
+    return 'Down';
+  }
+  if (dir == 'X' && xlvp.nodirHeading &&
+      xlvp.nodirHeading != xlvp.textLabels['nodir-label']) {
+    return 'Clues:' + xlvp.nodirHeading;
+  }
+  return 'Clues';
+}
+
+/**
+ * Returns the solution to show for the clue in ipuz, without the markup that
+ * Exolve adds to solutions with alternatives.
+ */
+function exolveToIpuzAnswer(xlvp, ci) {
   const clue = xlvp.clues[ci];
-  if (clue.reversed) {
-    throw 'Reversed clues like ' + ci + ' are not supported';
+  if (!clue.altsGroups || clue.explicitSol) {
+    return xlvp.plainClueSolution(ci);
+  }
+  const solutions = xlvp.getClueSolutionsWithAlts(ci);
+  if (!solutions || solutions.length == 0) {
+    return '';
   }
+  return xlvp.punctuateEntry(solutions[0].solution, clue.placeholder);
+}
+
+function exolveToIpuzAddClue(xlvp, ci, ipuz) {
+  const clue = xlvp.clues[ci];
+  if (!clue) {
+    return;
+  }
+  const dir = exolveToIpuzDirection(xlvp, clue);
   const ipuzClue = {
     number: clue.label,
     label: clue.displayLabel,
     clue: xlvp.formatClue(clue.clue, false, /* deprecated */ true, false),
   };
-  if (clue.childrenClueIndices.length > 0) {
-    ipuzClue.number = [clue.label];
+  const clueExt = {};
+  const clueText = xlvp.deDefMarkers(clue.clue.trim());
+  const enumPart = xlvp.parseEnum(clueText);
+  if (enumPart.dontShow) {
+    /** The enum (such as "(5)*") is not shown, but it is still used */
+    clueExt.hiddenEnum =
+        clueText.substring(enumPart.afterClue, enumPart.afterEnum).trim();
+  }
+  if (clue.childrenClueIndices && clue.childrenClueIndices.length > 0) {
+    ipuzClue.continued = [];
     for (const chi of clue.childrenClueIndices) {
       const chClue = xlvp.clues[chi];
-      ipuzClue.number.push(chClue.label);
+      ipuzClue.continued.push({
+        direction: exolveToIpuzDirection(xlvp, chClue),
+        number: chClue.label,
+      });
     }
   }
-  if (clue.solution) {
-    ipuzClue.answer = clue.solution;
+  if (!clue.parentClueIndex && !xlvp.isOrphan(ci)) {
+    ipuzClue.cells = exolveToIpuzCells(xlvp.getAllCells(ci));
+  } else if (clue.cellsOfOrphan) {
+    clueExt.revealCells = exolveToIpuzCells(clue.cellsOfOrphan);
+  }
+  if (Object.keys(clueExt).length > 0) {
+    ipuzClue[exolveToIpuzExtensionName()] = clueExt;
+  }
+  const answer = exolveToIpuzAnswer(xlvp, ci);
+  if (answer) {
+    ipuzClue.answer = answer;
   }
   if (clue.anno) {
     ipuzClue.explanation = clue.anno;
   }
-  cluesArray.push(ipuzClue);
+  if (!ipuz.clues[dir]) {
+    ipuz.clues[dir] = [];
+  }
+  ipuz.clues[dir].push(ipuzClue);
 }
 
-function exolveToIpuzAddCell(xlvp, gridCell, cellsArray, solCellsArray=null) {
+/**
+ * Returns an ipuz (RGB hex) colour for an Exolve colour, or '' for colours
+ * (such as named colours) that are not in #rgb/#rrggbb/rgb() forms.
+ */
+function exolveToIpuzColour(colour) {
+  colour = colour.trim().toLowerCase();
+  let matches = colour.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+  if (matches) {
+    return matches[1] + matches[1] + matches[2] + matches[2] +
+           matches[3] + matches[3];
+  }
+  matches = colour.match(/^#([0-9a-f]{6})$/);
+  if (matches) {
+    return matches[1];
+  }
+  matches = colour.match(/^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/);
+  if (matches) {
+    return matches.slice(1, 4).map(
+        x => Math.min(255, parseInt(x)).toString(16).padStart(2, '0')).join('');
+  }
+  return '';
+}
+
+/**
+ * Returns the ipuz styles for cells in ninas (highlight) and in exolve-colour
+ * sections (color), keyed by JSON.stringify([row, col]).
+ */
+function exolveToIpuzCellStyles(xlvp) {
+  const styles = {};
+  const setStyles = (list, prop, value) => {
+    for (const cccc of list) {
+      for (const cell of (cccc.cells || [])) {
+        const key = JSON.stringify(cell);
+        if (!styles[key]) {
+          styles[key] = {};
+        }
+        styles[key][prop] = value;
+      }
+    }
+  };
+  for (const nina of xlvp.ninas) {
+    setStyles(nina.list, 'highlight', true);
+  }
+  for (const colourful of xlvp.colourfuls) {
+    const colour = exolveToIpuzColour(colourful.colour);
+    if (colour) {
+      setStyles(colourful.list, 'color', colour);
+    }
+  }
+  return styles;
+}
+
+function exolveToIpuzAddCell(xlvp, gridCell, styles, cellsArray,
+                             solCellsArray=null) {
+  if (gridCell.isVoid && !gridCell.hasBarAfter && !gridCell.hasBarUnder) {
+    /**
+     * Void cells are omitted cells in ipuz (except for void cells with bars,
+     * which omitted cells cannot have, and which are left as blocks).
+     */
+    cellsArray.push(null);
+    if (solCellsArray) {
+      solCellsArray.push(null);
+    }
+    return;
+  }
   const ipuzCell = {
     cell: '#',
   };
+  const style = {};
   if (gridCell.isLight) {
-    ipuzCell.cell = gridCell.startsClueLabel ?? '0';
-    ipuzCell.style = {};
+    ipuzCell.cell = (gridCell.skipNum || !gridCell.startsClueLabel) ?
+        '0' : gridCell.startsClueLabel;
+    Object.assign(style,
+        styles[JSON.stringify([gridCell.row, gridCell.col])] || {});
     if (gridCell.hasCircle) {
-      ipuzCell.style.shapebg = 'circle';
-    }
-    let bars = '';
-    if (gridCell.hasBarUnder) {
-      bars += 'B';
+      style.shapebg = 'circle';
     }
-    if (gridCell.hasBarAfter) {
-      bars += 'R';
-    }
-    if (bars) {
-      ipuzCell.style.barred = bars;
+    if (gridCell.prefill) {
+      ipuzCell.value = xlvp.stateToDisplayChar(gridCell.solution);
     }
   }
+  let bars = '';
+  if (gridCell.hasBarUnder) {
+    bars += 'B';
+  }
+  if (gridCell.hasBarAfter) {
+    bars += 'R';
+  }
+  if (bars) {
+    style.barred = bars;
+  }
+  if (gridCell.isLight || bars) {
+    ipuzCell.style = style;
+  }
   cellsArray.push(ipuzCell);
   if (!solCellsArray) {
     return;
@@ -82,27 +232,108 @@ function exolveToIpuzAddCell(xlvp, gridCell, cellsArray, solCellsArray=null) {
     value: '#',
   };
   if (gridCell.isLight) {
+    /**
+     * Cells without known solutions get '?', or '' if '?' is allowed as a
+     * solution character.
+     */
     const c = (gridCell.solution && gridCell.solution != '0' &&
                gridCell.solution != '?') ?
-      xlvp.stateToDisplayChar(gridCell.solution) : '?';
+      xlvp.stateToDisplayChar(gridCell.solution) :
+      ((xlvp.allowChars && xlvp.allowChars['?']) ? '' : '?');
     ipuzSolCell.value = c;
   }
   solCellsArray.push(ipuzSolCell);
 }
 
-function exolveToIpuz(xlvp) {
-  try {
-    if (xlvp.layers3d > 1) {
-      throw 'This puzzle has lights other than across/down';
-    }
-    if (xlvp.hasNodirClues) {
-      throw 'Nodir clues are not yet supported';
+/**
+ * Returns the top-level Exolve extension object, for the Exolve features that
+ * ipuz has no place for. Returns null if there are no such features.
+ */
+function exolveToIpuzExtension(xlvp) {
+  const extension = {};
+  if (xlvp.layers3d > 1) {
+    extension.layers3d = xlvp.layers3d;
+  }
+  if (xlvp.language) {
+    extension.language = xlvp.language + ' ' + xlvp.languageScript + ' ' +
+                         xlvp.langMaxCharCodes;
+  }
+  if (xlvp.allowChars) {
+    /** Skip the internal state chars that allow-chars maps some chars to */
+    const allowChars = Object.keys(xlvp.allowChars).filter(c => c > ' ');
+    if (allowChars.length > 0) {
+      extension.allowChars = allowChars.join('');
     }
-    if (xlvp.hasDgmlessCells > 1) {
-      throw 'This puzzle has diagramless cells';
+  }
+  if (xlvp.hasRebusCells) {
+    extension.rebusCells = true;
+  }
+  const dgmlessCells = [];
+  const skipNumCells = [];
+  const deletedClues = [];
+  for (let i = 0; i < xlvp.gridHeight; i++) {
+    for (let j = 0; j < xlvp.gridWidth; j++) {
+      const gridCell = xlvp.grid[i][j];
+      if (gridCell.isDgmless) {
+        dgmlessCells.push([i, j]);
+      }
+      if (gridCell.skipNum) {
+        skipNumCells.push([i, j]);
+      }
+      /** Lights whose clues have been deleted (with "*" as the clue) */
+      const starts = {
+        A: gridCell.startsAcrossClue,
+        D: gridCell.startsDownClue,
+        Z: gridCell.startsZ3dClue,
+      };
+      for (const dir in starts) {
+        const label = gridCell.startsClueLabel;
+        if (starts[dir] && label && !xlvp.clues[dir + label]) {
+          deletedClues.push({
+            direction: exolveToIpuzDirection(xlvp, {dir: dir}),
+            number: label,
+          });
+        }
+      }
     }
-    if (xlvp.allowChars) {
-      throw 'This puzzle uses special characters';
+  }
+  if (deletedClues.length > 0) {
+    extension.deletedClues = deletedClues;
+  }
+  if (dgmlessCells.length > 0) {
+    extension.diagramless = exolveToIpuzCells(dgmlessCells);
+  }
+  if (skipNumCells.length > 0) {
+    extension.skippedNumbers = exolveToIpuzCells(skipNumCells);
+  }
+  const reversals = Object.values(xlvp.usedReversals).concat(
+      Object.values(xlvp.reversals));
+  if (reversals.length > 0) {
+    extension.reversals = reversals;
+  }
+  const sectionValues = (lines) => lines.map(
+      line => xlvp.colonSplit(xlvp.specLines[line]).value.trim());
+  if (xlvp.ninaLines.length > 0) {
+    extension.ninas = sectionValues(xlvp.ninaLines);
+  }
+  if (xlvp.colourLines.length > 0) {
+    extension.colours = sectionValues(xlvp.colourLines);
+  }
+  if (xlvp.altsSpecs.length > 0) {
+    extension.alternatives = xlvp.altsSpecs.slice();
+  }
+  if (xlvp.questionTexts.length > 0) {
+    extension.questions = xlvp.questionTexts.map(entry => {
+      return (typeof entry === 'object') ? entry : {question: entry};
+    });
+  }
+  return (Object.keys(extension).length > 0) ? extension : null;
+}
+
+function exolveToIpuz(xlvp) {
+  try {
+    if (xlvp.hasZ3dClues && xlvp.hasNodirClues) {
+      throw 'Nodir clues are not supported in 3-D crosswords';
     }
     const ipuz = {
       version: "http://ipuz.org/v2",
@@ -114,10 +345,7 @@ function exolveToIpuz(xlvp) {
         height: xlvp.gridHeight,
       },
       puzzle: new Array(xlvp.gridHeight),
-      clues: {
-        Across: [],
-        Down: [],
-      },
+      clues: {},
     };
     if (xlvp.title) {
       ipuz.title = xlvp.title;
@@ -128,11 +356,15 @@ function exolveToIpuz(xlvp) {
     if (xlvp.setter) {
       ipuz.author = xlvp.setter;
     }
-    const preamble = xlvp.preambleElt.innerHTML.trim();
+    const preamble = (xlvp.headless ?
+        (xlvp.sectionText('prelude') || xlvp.sectionText('preamble')) :
+        xlvp.preambleElt.innerHTML).trim();
     if (preamble) {
       ipuz.intro = preamble;
     }
-    const explanations = xlvp.explanations.innerHTML.trim();
+    const explanations = (xlvp.headless ?
+        xlvp.sectionText('explanations') :
+        xlvp.explanations.innerHTML).trim();
     if (explanations) {
       ipuz.explanation = explanations;
     }
@@ -140,37 +372,34 @@ function exolveToIpuz(xlvp) {
       ipuz.showenumerations = true;
     }
     if (!xlvp.hasUnsolvedCells) {
-      ipuz.solution = new Array(xlvp.gridGeight);
+      ipuz.solution = new Array(xlvp.gridHeight);
     }
+    const styles = exolveToIpuzCellStyles(xlvp);
     for (let i = 0; i < xlvp.gridHeight; i++) {
       ipuz.puzzle[i] = [];
-      const ipuzCells = ipuz.puzzle[i];
       let ipuzSolCells = null;
       if (!xlvp.hasUnsolvedCells) {
         ipuz.solution[i] = [];
         ipuzSolCells = ipuz.solution[i];
       }
       for (let j = 0; j < xlvp.gridWidth; j++) {
-        const gridCell = xlvp.grid[i][j];
-        /** Add cell */
-        exolveToIpuzAddCell(xlvp, gridCell, ipuzCells, ipuzSolCells);
-        if (!gridCell.isLight) {
-          continue;
-        }
-        /** Add clue(s) if cell starts light(s) */
-        if (gridCell.startsAcrossClue) {
-          const ci = 'A' + gridCell.startsClueLabel;
-          exolveToIpuzAddClue(xlvp, ci, ipuz.clues.Across);
-        }
-        if (gridCell.startsDownClue) {
-          const ci = 'D' + gridCell.startsClueLabel;
-          exolveToIpuzAddClue(xlvp, ci, ipuz.clues.Down);
-        }
+        exolveToIpuzAddCell(xlvp, xlvp.grid[i][j], styles, ipuz.puzzle[i],
+                            ipuzSolCells);
       }
     }
+    for (const ci of xlvp.allClueIndices) {
+      exolveToIpuzAddClue(xlvp, ci, ipuz);
+    }
+    const extension = exolveToIpuzExtension(xlvp);
+    if (extension) {
+      ipuz[exolveToIpuzExtensionName()] = extension;
+    }
     return JSON.stringify(ipuz);
 
   } catch (err) {
+    if (xlvp.headless) {
+      throw 'Cannot save this crossword as .ipuz: ' + err;
+    }
     alert('Cannot save this crossword as .ipuz: ' + err);
     return null;
   }
@@ -0,0 +1,257 @@
+/*
+MIT License
+
+Copyright (c) 2026 Viresh Ratnakar
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+
+The latest code and documentation for Exolve can be found at:
+https://github.com/viresh-ratnakar/exolve
+
+Version: Exolve v1.64.6, October 19, 2026
+*/
+
+/**
+ * Escapes s for use in XML text and attribute values.
+ */
+function exolveToJpzEscape(s) {
+  return ('' + s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(
+      />/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns the HTML s (such as a clue) as XML content. Simple formatting tags
+ * (which jpz clues can have) are kept, other tags are dropped, and everything
+ * else is escaped.
+ */
+function exolveToJpzHtml(s) {
+  const parts = ('' + s).replace(/&nbsp;/g, '&#160;').split(/(<[^<>]*>)/);
+  return parts.map((part, x) => {
+    if (x % 2) {
+      /** Odd-numbered parts are the tags */
+      if (part.match(/^<\/?(b|i|u|em|strong|sub|sup)>$/i)) {
+        return part.toLowerCase();
+      }
+      return part.match(/^<br\s*\/?>$/i) ? '<br/>' : '';
+    }
+    return part.replace(
+        /&(?!(amp|lt|gt|quot|apos|#[0-9]+|#x[0-9a-f]+);)/gi, '&amp;').replace(
+        /</g, '&lt;').replace(/>/g, '&gt;');
+  }).join('');
+}
+
+/**
+ * Returns the jpz word element (with the given id) for the cells (an array
+ * of [row, col] pairs). Runs of consecutive cells along rows or columns are
+ * listed as ranges.
+ */
+function exolveToJpzWord(id, cells) {
+  const runs = [];
+  for (const cell of cells) {
+    const run = runs[runs.length - 1];
+    if (run && (run.cells.length == 1 || run.across) &&
+        cell[0] == run.end[0] && cell[1] == run.end[1] + 1) {
+      run.across = true;
+    } else if (run && (run.cells.length == 1 || !run.across) &&
+               cell[1] == run.end[1] && cell[0] == run.end[0] + 1) {
+      run.across = false;
+    } else {
+      runs.push({cells: [cell], end: cell, across: false});
+      continue;
+    }
+    run.cells.push(cell);
+    run.end = cell;
+  }
+  const range = (from, to) => (from == to) ? ('' + (from + 1)) :
+      ((from + 1) + '-' + (to + 1));
+  const runAttrs = (run) => {
+    const start = run.cells[0];
+    return `x="${range(start[1], run.end[1])}" ` +
+           `y="${range(start[0], run.end[0])}"`;
+  };
+  if (runs.length == 1) {
+    return `<word id="${id}" ${runAttrs(runs[0])}/>`;
+  }
+  return `<word id="${id}">` +
+         runs.map(run => `<cells ${runAttrs(run)}/>`).join('') + '</word>';
+}
+
+/**
+ * Returns the title of the jpz list of clues in which the clue is listed.
+ */
+function exolveToJpzListTitle(xlvp, clue) {
+  if (clue.startNewTable) {
+    return clue.newTableHeading;
+  }
+  const dir = clue.clueTableDir || clue.dir;
+  if (dir == 'A') {
+    return xlvp.textLabels['across-label'];
+  }
+  if (dir == 'D') {
+    return xlvp.textLabels['down-label'];
+  }
+  return xlvp.nodirHeading || xlvp.textLabels['nodir-label'];
+}
+
+/**
+ * Returns the contents of a .jpz file (in the XML format used by Crossword
+ * Compiler) for the puzzle. exolveFromJpz() can read it back. Each table of
+ * clues becomes a jpz list of clues. Linked clues have words made of all
+ * their lights. The enums of clues are saved in the "format" attributes, and
+ * the annotations in the "citation" attributes. 3-D crosswords and diagramless
+ * cells cannot be saved in .jpz.
+ */
+function exolveToJpz(xlvp) {
+  try {
+    if (xlvp.layers3d > 1) {
+      throw '3-D crosswords are not supported';
+    }
+    if (xlvp.hasDgmlessCells) {
+      throw 'Diagramless cells are not supported';
+    }
+    let alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    if (xlvp.allowChars) {
+      /** Skip the internal state chars that allow-chars maps some chars to */
+      alphabet += Object.keys(xlvp.allowChars).filter(c => c > ' ').join('');
+    }
+    let jpz = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<crossword-compiler-applet ' +
+      'xmlns="http://crossword.info/xml/crossword-compiler-applet">\n' +
+      '<rectangular-puzzle ' +
+      'xmlns="http://crossword.info/xml/rectangular-puzzle" ' +
+      `alphabet="${exolveToJpzEscape(alphabet)}">\n` +
+      '<metadata>\n';
+    if (xlvp.title) {
+      jpz += `<title>${exolveToJpzEscape(xlvp.title)}</title>\n`;
+    }
+    if (xlvp.setter) {
+      jpz += `<creator>${exolveToJpzEscape(xlvp.setter)}</creator>\n`;
+    }
+    if (xlvp.copyright) {
+      jpz += `<copyright>${exolveToJpzEscape(xlvp.copyright)}</copyright>\n`;
+    }
+    const preamble = (xlvp.headless ?
+        (xlvp.sectionText('prelude') || xlvp.sectionText('preamble')) :
+        xlvp.preambleElt.innerHTML).trim();
+    if (preamble) {
+      jpz += `<description>${exolveToJpzHtml(preamble)}</description>\n`;
+    }
+    jpz += '</metadata>\n<crossword>\n' +
+      `<grid width="${xlvp.gridWidth}" height="${xlvp.gridHeight}">\n` +
+      '<grid-look numbering-scheme="normal"/>\n';
+
+    const colours = {};
+    for (const colourful of xlvp.colourfuls) {
+      for (const cccc of colourful.list) {
+        for (const cell of (cccc.cells || [])) {
+          colours[JSON.stringify(cell)] = colourful.colour;
+        }
+      }
+    }
+    for (let i = 0; i < xlvp.gridHeight; i++) {
+      for (let j = 0; j < xlvp.gridWidth; j++) {
+        const gridCell = xlvp.grid[i][j];
+        const attrs = [`x="${j + 1}"`, `y="${i + 1}"`];
+        if (!gridCell.isLight) {
+          attrs.push(`type="${gridCell.isVoid ? 'void' : 'block'}"`);
+        } else {
+          const s = gridCell.solution;
+          if (s && s != '0' && s != '?') {
+            attrs.push('solution="' +
+                       exolveToJpzEscape(xlvp.stateToDisplayChar(s)) + '"');
+          }
+          if (gridCell.startsClueLabel && !gridCell.skipNum &&
+              !xlvp.hideInferredNumbers) {
+            attrs.push('number="' +
+                       exolveToJpzEscape(gridCell.startsClueLabel) + '"');
+          }
+          if (gridCell.prefill) {
+            attrs.push('hint="true"');
+          }
+          if (gridCell.hasCircle) {
+            attrs.push('background-shape="circle"');
+          }
+          const colour = colours[JSON.stringify([i, j])];
+          if (colour) {
+            attrs.push(`background-color="${exolveToJpzEscape(colour)}"`);
+          }
+        }
+        if (gridCell.hasBarAfter) {
+          attrs.push('right-bar="true"');
+        }
+        if (gridCell.hasBarUnder) {
+          attrs.push('bottom-bar="true"');
+        }
+        jpz += `<cell ${attrs.join(' ')}/>\n`;
+      }
+    }
+    jpz += '</grid>\n';
+
+    let words = '';
+    let numWords = 0;
+    const lists = [];
+    let lastDir = '';
+    for (const ci of xlvp.allClueIndices) {
+      const clue = xlvp.clues[ci];
+      const dir = clue.clueTableDir || clue.dir;
+      if (dir != lastDir || clue.startNewTable || lists.length == 0) {
+        lists.push({title: exolveToJpzListTitle(xlvp, clue), clues: []});
+        lastDir = dir;
+      }
+      const attrs = [];
+      const cells = clue.parentClueIndex ? clue.cells :
+          (xlvp.isOrphan(ci) ? (clue.cellsOfOrphan || []) :
+           xlvp.getAllCells(ci));
+      if (cells.length > 0) {
+        numWords++;
+        words += exolveToJpzWord(numWords, cells) + '\n';
+        attrs.push(`word="${numWords}"`);
+      }
+      attrs.push(`number="${exolveToJpzEscape(clue.displayLabel)}"`);
+      const clueText = xlvp.deDefMarkers(clue.clue.trim());
+      const enumPart = xlvp.parseEnum(clueText);
+      const text = clueText.substring(0, enumPart.afterClue).trim();
+      if (enumPart.enumStr && !enumPart.dontShow) {
+        const format = enumPart.enumStr.replace(/^\(|\)$/g, '').trim();
+        attrs.push(`format="${exolveToJpzEscape(format)}"`);
+      }
+      if (clue.anno) {
+        attrs.push(`citation="${exolveToJpzEscape(clue.anno)}"`);
+      }
+      lists[lists.length - 1].clues.push(
+          `<clue ${attrs.join(' ')}>${exolveToJpzHtml(text)}</clue>`);
+    }
+    jpz += words;
+    for (const list of lists) {
+      jpz += '<clues ordering="normal">\n' +
+        `<title><b>${exolveToJpzHtml(list.title)}</b></title>\n` +
+        list.clues.join('\n') + '\n</clues>\n';
+    }
+    jpz += '</crossword>\n</rectangular-puzzle>\n' +
+      '</crossword-compiler-applet>\n';
+    return jpz;
+
+  } catch (err) {
+    if (xlvp.headless) {
+      throw 'Cannot save this crossword as .jpz: ' + err;
+    }
+    alert('Cannot save this crossword as .jpz: ' + err);
+    return null;
+  }
+}
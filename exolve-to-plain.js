@@ -0,0 +1,128 @@
+/*
+MIT License
+
+Copyright (c) 2026 Viresh Ratnakar
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+
+The latest code and documentation for Exolve can be found at:
+https://github.com/viresh-ratnakar/exolve
+
+Version: Exolve v1.64.6, October 19, 2026
+*/
+
+/**
+ * Returns the clue label to use in plain text, including the labels of
+ * any linked children (for example, "1, 5a").
+ */
+function exolveToPlainLabel(xlvp, clue) {
+  let label = clue.label;
+  for (const chi of clue.childrenClueIndices) {
+    const chClue = xlvp.clues[chi];
+    label += ', ' + chClue.label;
+    if (chClue.dir != clue.dir) {
+      label += chClue.dir.toLowerCase();
+    }
+  }
+  return label;
+}
+
+/**
+ * exolveToPlain(xlvp) returns the Exolve puzzle xlvp in plain text: the title,
+ * setter, copyright, and preamble, followed by the clues under "Across" and
+ * "Down" headings (and nodir clues, if any, under their own heading),
+ * followed by any solutions and annotations, in their own sections. This is
+ * the format that exolveFromText() (in exolve-from-text.js) reads. 3-D
+ * crosswords are not supported.
+ */
+function exolveToPlain(xlvp) {
+  try {
+    if (xlvp.layers3d > 1 || xlvp.hasZ3dClues) {
+      throw 'This puzzle has lights other than across/down';
+    }
+    const stripTags = (s) =>
+        s.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+    const lines = [];
+    if (xlvp.title) {
+      lines.push(stripTags(xlvp.title));
+    }
+    if (xlvp.setter) {
+      lines.push('By ' + stripTags(xlvp.setter));
+    }
+    if (xlvp.copyright) {
+      lines.push('Ⓒ ' + stripTags(xlvp.copyright));
+    }
+    const preamble = xlvp.headless ?
+        (xlvp.sectionText('prelude') || xlvp.sectionText('preamble')) :
+        xlvp.preambleElt.innerHTML;
+    if (preamble.trim()) {
+      lines.push(stripTags(preamble));
+    }
+    const dirs = [['A', 'Across'], ['D', 'Down']];
+    if (xlvp.hasNodirClues) {
+      dirs.push(['X', stripTags(xlvp.textLabels['nodir-label'])]);
+    }
+    const sols = {A: [], D: [], X: []};
+    const annos = {A: [], D: [], X: []};
+    for (const [dir, heading] of dirs) {
+      const clueIndices = xlvp.allClueIndices.filter(
+          ci => (xlvp.clues[ci].clueTableDir || xlvp.clues[ci].dir) == dir);
+      if (clueIndices.length == 0) {
+        continue;
+      }
+      if (lines.length > 0) {
+        lines.push('');
+      }
+      lines.push(heading);
+      for (const ci of clueIndices) {
+        const clue = xlvp.clues[ci];
+        let clueText = xlvp.formatClue(
+            xlvp.plainClueText(clue), false, /* deprecated */ true, false);
+        if (!clueText && clue.parentClueIndex) {
+          clueText = 'See ' + xlvp.clues[clue.parentClueIndex].label;
+        }
+        lines.push(exolveToPlainLabel(xlvp, clue) + ' ' + clueText);
+        const solution = xlvp.plainClueSolution(ci);
+        if (solution) {
+          sols[dir].push(clue.label + ' ' + solution);
+        }
+        if (clue.anno) {
+          annos[dir].push(clue.label + ' ' + clue.anno.trim());
+        }
+      }
+    }
+    for (const [dir, heading] of dirs) {
+      if (sols[dir].length > 0) {
+        lines.push('', heading + ' solutions', ...sols[dir]);
+      }
+    }
+    for (const [dir, heading] of dirs) {
+      if (annos[dir].length > 0) {
+        lines.push('', heading + ' annotations', ...annos[dir]);
+      }
+    }
+    return lines.join('\n') + '\n';
+  } catch (err) {
+    if (xlvp.headless) {
+      throw 'Cannot save this crossword as plain text: ' + err;
+    }
+    alert('Cannot save this crossword as plain text: ' + err);
+    return null;
+  }
+}
@@ -74,21 +74,115 @@ function exolveToPuzEnc8859(s, buffer, offset) {
   return offset;
 }
 
-function exolveToPuz(xlvp) {
+/**
+ * Writes an extra section with the 4-letter name and data (a Uint8Array) at
+ * offset in buffer, returning the offset past it.
+ */
+function exolveToPuzSection(name, data, buffer, offset) {
+  offset = exolveToPuzEnc8859(name, buffer, offset);
+  exolveToPuzShort(buffer, offset, data.length);
+  exolveToPuzShort(buffer, offset + 2,
+                   exolveToPuzCksum(data, 0, data.length, 0));
+  offset += 4;
+  buffer.set(data, offset);
+  offset += data.length;
+  buffer[offset++] = 0;
+  return offset;
+}
+
+/**
+ * Returns the ISO-8859-1 bytes of s, as a Uint8Array.
+ */
+function exolveToPuzBytes(s) {
+  const bytes = new Uint8Array(s.length);
+  exolveToPuzEnc8859(s, bytes, 0);
+  return bytes;
+}
+
+/**
+ * Scrambles letters (the solution letters, in column-major order, skipping
+ * blocks) with the 4-digit key, the way Across Lite does: for each digit of
+ * the key, each letter is shifted by the digits of the key in turn, the
+ * letters are cut at the digit, and the two halves are riffle-shuffled.
+ */
+function exolveToPuzScramble(letters, key) {
+  const digits = key.split('').map(d => parseInt(d));
+  const len = letters.length;
+  const A = 'A'.charCodeAt(0);
+  for (let k = 0; k < digits.length; k++) {
+    let s = '';
+    for (let i = 0; i < len; i++) {
+      const shift = digits[i % digits.length];
+      s += String.fromCharCode(A + ((letters.charCodeAt(i) - A + shift) % 26));
+    }
+    s = s.substr(digits[k]) + s.substr(0, digits[k]);
+    const mid = Math.floor(len / 2);
+    letters = '';
+    for (let i = 0; i < mid; i++) {
+      letters += s.charAt(mid + i) + s.charAt(i);
+    }
+    if (len % 2) {
+      letters += s.charAt(len - 1);
+    }
+  }
+  return letters;
+}
+
+/**
+ * Returns the solver's entries (in state chars, '0' for empty cells) in the
+ * light cells of xlvp, in row-major order. Tentative (pencil) entries are
+ * left out. When headless, the entries come from the exolve-state section,
+ * if there is one.
+ */
+function exolveToPuzEntries(xlvp) {
+  const decoded = (xlvp.headless && xlvp.initialState) ?
+      xlvp.decodeState(xlvp.initialState) : null;
+  const entries = [];
+  for (let i = 0; i < xlvp.gridHeight; i++) {
+    for (let j = 0; j < xlvp.gridWidth; j++) {
+      const gridCell = xlvp.grid[i][j];
+      if (!gridCell.isLight && !gridCell.isDgmless) {
+        continue;
+      }
+      let entry = [gridCell.currLetter || '0', gridCell.isPencil];
+      if (xlvp.headless) {
+        entry = decoded ? decoded.cells.shift() : ['0', false];
+      }
+      if (gridCell.isLight) {
+        entries.push(entry[1] ? '0' : entry[0]);
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Returns the contents of a .puz file (as a Uint8Array) for the puzzle xlvp.
+ * Rebus cells are saved in the GRBS and RTBL sections, the solver's entries
+ * in the player grid (and in the RUSR section, for rebus entries), and the
+ * solving time in the LTIM section. If key (4 digits) is provided, then the
+ * solution is scrambled with it.
+ */
+function exolveToPuz(xlvp, key='') {
   try {
     if (xlvp.layers3d > 1) {
       throw 'This puzzle has lights other than across/down';
     }
+    if (xlvp.hasNodirClues) {
+      throw 'Nodir clues are not supported';
+    }
     if (xlvp.hasDgmlessCells > 1) {
       throw 'This puzzle has diagramless cells';
     }
-    if (xlvp.allowChars) {
-      throw 'This puzzle uses special characters';
+    if (key && !/^[1-9][0-9]{3}$/.test(key)) {
+      throw 'The key for scrambling should have 4 digits';
     }
+    const numCells = xlvp.gridWidth * xlvp.gridHeight;
     /**
      * Generously estimate length of the buffer needed.
      */
-    const estDotPuzLen = 10000 + (2 * xlvp.puzzleText.length);
+    const estDotPuzLen = 10000 + (2 * xlvp.puzzleText.length) +
+                         (16 * numCells);
     const buffer = new Uint8Array(estDotPuzLen);
     let offset = 0;
 
@@ -107,12 +201,17 @@ function exolveToPuz(xlvp) {
     exolveToPuzShort(buffer, 0x2E, xlvp.allClueIndices.length);
     buffer[0x30] = 1;  // Unknown bitmask
 
-    const numCells = xlvp.gridWidth * xlvp.gridHeight;
-
-    let solution = '';
+    const entries = exolveToPuzEntries(xlvp);
+    const solution = [];
     let playerState = '';
     const orderedClueIndices = [];
     const circleLocs = [];
+    /** Rebus solutions are numbered (from 0) in rebusKeys */
+    const rebusKeys = {};
+    let numRebuses = 0;
+    const rebusLocs = new Uint8Array(numCells);
+    const userRebuses = [];
+    let hasUserRebuses = false;
     for (let i = 0; i < xlvp.gridHeight; i++) {
       for (let j = 0; j < xlvp.gridWidth; j++) {
         const gridCell = xlvp.grid[i][j];
@@ -120,14 +219,27 @@ function exolveToPuz(xlvp) {
           throw 'This puzzle has barred cells';
         }
         if (!gridCell.isLight) {
-          solution = solution + '.';
+          solution.push('.');
           playerState = playerState + '.';
+          userRebuses.push('');
         } else {
           const c = (gridCell.solution && gridCell.solution != '?' &&
                      gridCell.solution != '0') ?
             xlvp.stateToDisplayChar(gridCell.solution) : '?';
-          solution = solution + c;
-          playerState = playerState + '-';
+          if (c.length > 1) {
+            if (!rebusKeys.hasOwnProperty(c)) {
+              rebusKeys[c] = numRebuses++;
+            }
+            rebusLocs[(i * xlvp.gridWidth) + j] = rebusKeys[c] + 1;
+          }
+          solution.push(c);
+          const entry = xlvp.stateToDisplayChar(entries.shift());
+          playerState = playerState +
+              ((!entry || entry == xlvp.BLOCK_CHAR) ? '-' : entry.charAt(0));
+          userRebuses.push(entry.length > 1 ? entry : '');
+          if (entry.length > 1) {
+            hasUserRebuses = true;
+          }
           if (gridCell.startsAcrossClue) {
             orderedClueIndices.push('A' + gridCell.startsClueLabel);
           }
@@ -144,8 +256,35 @@ function exolveToPuz(xlvp) {
       throw 'Non-standard clue types';
     }
 
+    if (key) {
+      const lightIndices = [];
+      for (let j = 0; j < xlvp.gridWidth; j++) {
+        for (let i = 0; i < xlvp.gridHeight; i++) {
+          const k = (i * xlvp.gridWidth) + j;
+          if (solution[k] == '.') {
+            continue;
+          }
+          if (!/^[A-Z]$/.test(solution[k])) {
+            throw 'Only solutions that just have the letters A-Z can be ' +
+                  'scrambled';
+          }
+          lightIndices.push(k);
+        }
+      }
+      const letters = lightIndices.map(k => solution[k]).join('');
+      const lettersBuffer = exolveToPuzBytes(letters);
+      exolveToPuzShort(buffer, 0x1E, exolveToPuzCksum(
+          lettersBuffer, 0, lettersBuffer.length, 0));
+      exolveToPuzShort(buffer, 0x32, 0x0004);
+      const scrambled = exolveToPuzScramble(letters, key);
+      for (let x = 0; x < lightIndices.length; x++) {
+        solution[lightIndices[x]] = scrambled.charAt(x);
+      }
+    }
+
     offset = 0x34;
-    offset = exolveToPuzEnc8859(solution, buffer, offset);
+    offset = exolveToPuzEnc8859(
+        solution.map(c => c.charAt(0)).join(''), buffer, offset);
     offset = exolveToPuzEnc8859(playerState, buffer, offset);
 
     const titleOffset = offset;
@@ -172,8 +311,10 @@ function exolveToPuz(xlvp) {
       }
       const startOffset = offset;
       clueOffsets.push(startOffset);
+      const clueText = theClue.clueSpan ?
+          theClue.clueSpan.innerText : xlvp.plainClueText(theClue);
       let puzClue = xlvp.formatClue(
-          theClue.clueSpan.innerText.replace(/\s+/g,' '),
+          clueText.replace(/\s+/g,' '),
           false, /* deprecated */ true, false);
       if (theClue.children.length > 0) {
         const chI = theClue.displayLabel.indexOf(',');
@@ -193,24 +334,43 @@ function exolveToPuz(xlvp) {
      * formatting, but note that most .puz players would not apply such
      * formatting (exolve-player does).
      */
+    const preamble = (xlvp.headless ?
+        (xlvp.sectionText('prelude') || xlvp.sectionText('preamble')) :
+        xlvp.preambleElt.innerHTML).trim();
     const notesOffset = offset;
-    offset = exolveToPuzEnc8859(xlvp.preambleElt.innerHTML.trim(), buffer, offset);
+    offset = exolveToPuzEnc8859(preamble, buffer, offset);
     const notesLen = offset - notesOffset;
     buffer[offset++] = 0;
 
-    let gextOffset = -1;
+    if (numRebuses > 0) {
+      offset = exolveToPuzSection('GRBS', rebusLocs, buffer, offset);
+      let rtbl = '';
+      for (const rebus in rebusKeys) {
+        rtbl += String(rebusKeys[rebus]).padStart(2, ' ') + ':' + rebus + ';';
+      }
+      offset = exolveToPuzSection(
+          'RTBL', exolveToPuzBytes(rtbl), buffer, offset);
+    }
+    const timer = xlvp.headless ? xlvp.initialTimer :
+        (xlvp.timer ? xlvp.timerToSave() : null);
+    if (timer && timer.elapsedMs >= 1000) {
+      /** The LTIM section has the elapsed seconds and 1 if stopped */
+      const ltim = Math.floor(timer.elapsedMs / 1000) + ',' +
+                   (timer.paused ? '1' : '0');
+      offset = exolveToPuzSection(
+          'LTIM', exolveToPuzBytes(ltim), buffer, offset);
+    }
     if (circleLocs.length > 0) {
-      gextOffset = offset;
-      offset = exolveToPuzEnc8859('GEXT', buffer, offset);
-      exolveToPuzShort(buffer, offset, numCells);
-      offset += 4;
+      const gext = new Uint8Array(numCells);
       for (const loc of circleLocs) {
-        buffer[offset + loc] = 0x80;
+        gext[loc] = 0x80;
       }
-      offset += numCells;
-      buffer[offset++] = 0;
-      const c_gext = exolveToPuzCksum(buffer, gextOffset + 8, numCells, 0);
-      exolveToPuzShort(buffer, gextOffset + 6, c_gext);
+      offset = exolveToPuzSection('GEXT', gext, buffer, offset);
+    }
+    if (hasUserRebuses) {
+      offset = exolveToPuzSection(
+          'RUSR', exolveToPuzBytes(userRebuses.join('\0') + '\0'),
+          buffer, offset);
     }
 
     /**
@@ -269,6 +429,9 @@ function exolveToPuz(xlvp) {
     buffer[0x17] = 0x44 ^ ((c_part & 0xFF00) >> 8);
     return buffer.slice(0, offset);
   } catch (err) {
+    if (xlvp.headless) {
+      throw 'Cannot save this crossword as .puz: ' + err;
+    }
     alert('Cannot save this crossword as .puz: ' + err);
     return null;
   }